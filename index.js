@@ -1,12 +1,70 @@
 const { Client, LocalAuth } = require("whatsapp-web.js");
 const fs = require("fs");
 const path = require("path");
+const { createStore } = require("./lib/store");
+const { downloadMediaToFile } = require("./lib/media-download");
+const { createMediaStore, dirSize, formatBytes } = require("./lib/media-store");
+const {
+  listRecords,
+  matchesRecord,
+  parseQueryArgs,
+  queryRecords,
+} = require("./lib/records");
+const {
+  summarizeRecords,
+  formatSummary,
+  parseStatsPeriod,
+} = require("./lib/stats");
+const { createDigestScheduler, startOfDay } = require("./lib/digest");
+const {
+  parseExportArgs,
+  findExportRecords,
+  buildExport,
+  exportFilename,
+} = require("./lib/export");
+const {
+  createRules,
+  parseDuration,
+  normalizeTarget,
+  matchesTarget,
+} = require("./lib/rules");
+const {
+  createKeywordWatch,
+  highlightMatches,
+  parseWatchword,
+} = require("./lib/keywords");
+const { createSinks, SINK_FACTORIES } = require("./lib/notifiers");
+const { createTelegramSink, parseTarget } = require("./lib/notifiers/telegram");
+const { createOutbox } = require("./lib/outbox");
+const { createDashboard } = require("./lib/dashboard");
+const {
+  createSupervisor,
+  withTimeout,
+  RECONNECT_STATES,
+} = require("./lib/supervisor");
+const { createConfig, TELEGRAM_SETTABLE } = require("./lib/config");
+const { createEncryption, loadKeys } = require("./lib/encryption");
+const { createReplay, createRecorder } = require("./lib/replay");
+const { createBackfill } = require("./lib/backfill");
+const { createSessionBackups } = require("./lib/session-backup");
+const {
+  createAlertActions,
+  removeButton,
+  ALERT_ACTIONS,
+} = require("./lib/alert-actions");
+const {
+  describeMessage,
+  describeReaction,
+  formatStructured,
+  messageText,
+} = require("./lib/message-types");
 require("dotenv").config();
 
-// ─── Indian Standard Time Helper ────────────────────
-function getIST(date) {
-  return (date || new Date()).toLocaleString("en-IN", {
-    timeZone: "Asia/Kolkata",
+// ─── Timestamp Helper ───────────────────────────────
+// Zone and locale come from config (timeZone, locale) and apply live
+function formatTime(date) {
+  return (date || new Date()).toLocaleString(config.get("locale"), {
+    timeZone: config.get("timeZone"),
   });
 }
 
@@ -24,321 +82,2292 @@ if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) {
   console.error("❌ TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID are required.");
   process.exit(1);
 }
-if (!WA_PHONE_NUMBER) {
-  console.error("❌ WA_PHONE_NUMBER is required for pairing code auth.");
+// Replay mode feeds a recorded fixture through the handlers in place of
+// WhatsApp; recording writes one from the live client (see lib/replay.js)
+const REPLAY_FIXTURE = process.env.REPLAY_FIXTURE;
+const RECORD_FIXTURE = process.env.RECORD_FIXTURE;
+
+if (REPLAY_FIXTURE && RECORD_FIXTURE) {
+  console.error("❌ Set REPLAY_FIXTURE or RECORD_FIXTURE, not both.");
+  process.exit(1);
+}
+
+// Event notifications fan out to every sink listed here; Telegram stays the
+// command channel either way.
+const NOTIFY_SINKS = (process.env.NOTIFY_SINKS || "telegram")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+// Optional local dashboard; off unless DASHBOARD_PORT is set
+const DASHBOARD_PORT = Number(process.env.DASHBOARD_PORT) || 0;
+const DASHBOARD_HOST = process.env.DASHBOARD_HOST || "127.0.0.1";
+const DASHBOARD_TOKEN = process.env.DASHBOARD_TOKEN;
+
+if (DASHBOARD_PORT && (!DASHBOARD_TOKEN || DASHBOARD_TOKEN.length < 16)) {
+  console.error(
+    "❌ DASHBOARD_TOKEN (16+ characters) is required when DASHBOARD_PORT is set.",
+  );
+  process.exit(1);
+}
+
+const SINK_REQUIRED_ENV = {
+  webhook: ["WEBHOOK_URL"],
+  smtp: ["SMTP_HOST", "SMTP_FROM", "SMTP_TO"],
+  ntfy: ["NTFY_TOPIC"],
+};
+
+for (const sink of NOTIFY_SINKS) {
+  if (!SINK_FACTORIES[sink]) {
+    console.error(
+      `❌ NOTIFY_SINKS: unknown sink "${sink}" (use ${Object.keys(SINK_FACTORIES).join(", ")}).`,
+    );
+    process.exit(1);
+  }
+  const missing = (SINK_REQUIRED_ENV[sink] || []).filter(
+    (name) => !process.env[name],
+  );
+  if (missing.length) {
+    console.error(`❌ ${missing.join(", ")} required for the ${sink} sink.`);
+    process.exit(1);
+  }
+}
+
+// Session, media, data/ and the message log live here (default: next to
+// this file)
+const AGENT_HOME = path.resolve(process.env.AGENT_HOME || __dirname);
+
+// ─── Configuration File ─────────────────────────────────
+// Tunables live in config.json (see config.example.json and lib/config.js);
+// each can also be overridden from the environment.
+const config = createConfig(
+  process.env.CONFIG_PATH || path.join(AGENT_HOME, "config.json"),
+);
+const configErrors = config.load();
+if (configErrors.length) {
+  configErrors.forEach((e) => console.error(`❌ Config: ${e}`));
+  process.exit(1);
+}
+
+// ─── Encryption at Rest ─────────────────────────────────
+// Off unless ENCRYPTION_KEY or ENCRYPTION_KEY_FILE is set; see
+// lib/encryption.js and `npm run crypt` for reading files offline.
+let encryption;
+try {
+  encryption = createEncryption({ keys: loadKeys() });
+} catch (err) {
+  console.error(`❌ Encryption: ${err.message}`);
+  process.exit(1);
+}
+
+// ─── Accounts ───────────────────────────────────────────
+// One WhatsApp number per entry of the accounts setting ("name=number"), or
+// just WA_PHONE_NUMBER. Each runs its own client, session, pairing flow,
+// caches and temp/status media. The first keeps the single-account
+// locations (session "wa-agent", media/, data/) so adding accounts needs no
+// re-pairing; the others live under accounts/<name>/. Saved records, rules,
+// watchwords and the outbox are shared; with more than one account, records
+// and alerts say which one they came from.
+const ACCOUNT_SPECS = config.get("accounts").length
+  ? config.get("accounts").map((entry) => {
+      const [name, phone] = entry.split("=");
+      return { name, phone: phone.replace(/^\+/, "") };
+    })
+  : [{ name: "default", phone: WA_PHONE_NUMBER }];
+const MULTI_ACCOUNT = ACCOUNT_SPECS.length > 1;
+
+if (!ACCOUNT_SPECS[0].phone && !REPLAY_FIXTURE) {
+  console.error(
+    "❌ WA_PHONE_NUMBER (or the accounts setting) is required for pairing code auth.",
+  );
+  process.exit(1);
+}
+
+// ─── Replay & Recording ─────────────────────────────────
+// In a multi-account fixture each line names its account; untagged lines
+// belong to the first
+let replays = null;
+let recorder = null;
+try {
+  if (REPLAY_FIXTURE) {
+    replays = ACCOUNT_SPECS.map((spec, i) =>
+      createReplay(path.resolve(REPLAY_FIXTURE), {
+        encryption,
+        realtime: process.env.REPLAY_REALTIME === "true",
+        account: MULTI_ACCOUNT ? spec.name : null,
+        includeUntagged: i === 0,
+      }),
+    );
+  }
+} catch (err) {
+  console.error(`❌ Replay: ${err.message}`);
   process.exit(1);
 }
+if (RECORD_FIXTURE) {
+  recorder = createRecorder(path.resolve(RECORD_FIXTURE), {
+    encryption,
+    maxMediaBytes: () => config.get("maxMediaSizeMb") * 1024 * 1024,
+  });
+}
 
 // ─── Constants ──────────────────────────────────────────
-const AUTH_DATA_PATH = path.join(__dirname, ".wwebjs_auth");
-const TEMP_MEDIA_DIR = path.join(__dirname, "media", "temp");
-const SAVED_MEDIA_DIR = path.join(__dirname, "media", "saved");
-const DELETE_WINDOW_MS = 68 * 60 * 60 * 1000; // 68 hours
-const MAX_CACHE_SIZE = 500;
+const AUTH_DATA_PATH = path.join(AGENT_HOME, ".wwebjs_auth");
+const SAVED_MEDIA_DIR = path.join(AGENT_HOME, "media", "saved");
+const EXPORTS_DIR = path.join(AGENT_HOME, "media", "exports");
+const DATA_DIR = path.join(AGENT_HOME, "data");
+const MESSAGES_LOG_PATH = path.join(AGENT_HOME, "messages_log.txt");
+const SESSION_BACKUP_DIR = path.join(DATA_DIR, "session-backups");
+const DELETE_WINDOW_MS = config.get("deleteWindowHours") * 60 * 60 * 1000;
 const MESSAGE_CACHE_TTL_MS = DELETE_WINDOW_MS;
-const STARTUP_GRACE_MS = 30 * 1000;
+const STATUS_TTL_MS = 24 * 60 * 60 * 1000;
+const STATUS_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const EXPORT_TTL_MS = 24 * 60 * 60 * 1000;
 const REVOKE_DEDUP_TTL_MS = 60 * 1000;
-const MAX_MEDIA_SIZE_MB = 10;
+const CLIENT_DESTROY_TIMEOUT_MS = 15 * 1000;
+const REPLAY_DRAIN_TIMEOUT_MS = 30 * 1000;
+const SESSION_BACKUP_CHECK_MS = 10 * 60 * 1000;
+const QR_MAX_RETRIES = 5;
+const QR_RENDER_TIMEOUT_MS = 10 * 1000;
+const DELETE_BURST_MAX = 10;
+const RESULTS_PAGE_SIZE = 10;
+const STATS_TOP = 10;
+const DIGEST_TOP = 5;
+const ALERT_ACTION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const ALERT_MUTE_MS = 8 * 60 * 60 * 1000;
+const HISTORY_AROUND = 5;
+const TELEGRAM_API_URL =
+  process.env.TELEGRAM_API_URL || "https://api.telegram.org";
 
 // ─── Ensure directories ─────────────────────────────────
-[TEMP_MEDIA_DIR, SAVED_MEDIA_DIR].forEach((dir) => {
+[SAVED_MEDIA_DIR, EXPORTS_DIR].forEach((dir) => {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 });
 
 // ─── State ──────────────────────────────────────────────
-let currentClient = null;
-let pairingCodeSent = false;
-let readyTimestamp = 0;
-const messageCache = new Map();
-const mediaTracker = new Map();
-const processedRevokes = new Set();
+const chatRules = createRules(path.join(DATA_DIR, "rules.json"));
+const keywordWatch = createKeywordWatch(path.join(DATA_DIR, "watchwords.json"));
+const sessionBackups = createSessionBackups({
+  dir: SESSION_BACKUP_DIR,
+  encryption,
+  keep: () => config.get("sessionBackupKeep"),
+});
 let telegramPollingActive = true;
 let telegramUpdateOffset = 0;
+// Telegram chat -> { title, results, page } for /more and /media
+const recordQueries = new Map();
+// { chatId, threadId, role } of the Telegram command being handled
+let commandChat = null;
+
+// Everything one WhatsApp number needs; see Accounts above for the layout
+function createAccount({ name, phone }, index) {
+  const root =
+    index === 0 ? AGENT_HOME : path.join(AGENT_HOME, "accounts", name);
+  const dataDir = path.join(root, "data");
+  // Statuses live here for their 24h lifetime; deleted ones are kept
+  const statusMediaDir = path.join(root, "media", "status");
+  const account = {
+    name,
+    phone,
+    clientId: index === 0 ? "wa-agent" : `wa-agent-${name}`,
+    tempMediaDir: path.join(root, "media", "temp"),
+    statusMediaDir,
+    statusSavedDir: path.join(statusMediaDir, "deleted"),
+    client: null,
+    pairingCodeSent: false,
+    // "code" (pairWithPhoneNumber) or "qr", see armQrFallback()
+    pairingMethod: "code",
+    pairingTimer: null,
+    qrCodePath: path.join(dataDir, "pairing-qr.png"),
+    readyTimestamp: 0,
+    // The stores are journaled to disk so deletions can still be resolved
+    // after a pm2 restart; entries expire with the delete window.
+    messageCache: createStore(path.join(dataDir, "message-cache.jsonl"), {
+      ttlMs: MESSAGE_CACHE_TTL_MS,
+      encryption,
+    }),
+    // Last reaction per message and sender, kept apart from the messages
+    // so it doesn't show up in cache counts and listings
+    reactionCache: createStore(path.join(dataDir, "reaction-cache.jsonl"), {
+      ttlMs: MESSAGE_CACHE_TTL_MS,
+      encryption,
+    }),
+    mediaTracker: createStore(path.join(dataDir, "media-tracker.jsonl"), {
+      ttlMs: DELETE_WINDOW_MS,
+      encryption,
+    }),
+    statusCache: createStore(path.join(dataDir, "status-cache.jsonl"), {
+      ttlMs: STATUS_TTL_MS,
+      encryption,
+    }),
+    mediaStore: null,
+    processedRevokes: new Set(),
+    replay: replays?.[index] || null,
+  };
+  fs.mkdirSync(account.statusSavedDir, { recursive: true });
+  // Temp media is deduplicated by content and swept, see lib/media-store.js
+  account.mediaStore = createMediaStore({
+    dir: account.tempMediaDir,
+    indexPath: path.join(dataDir, "media-index.jsonl"),
+    ttlMs: DELETE_WINDOW_MS,
+    quotaBytes: () => config.get("mediaQuotaMb") * 1024 * 1024,
+    encryption,
+  });
+  account.supervisor = createSupervisor({
+    restart: () => restartClient(account),
+    relink: () =>
+      restartClient(account, {
+        wipeSession: true,
+        backupReason: "before-relink",
+      }),
+    probe: async () => {
+      if (!account.client) throw new Error("No client");
+      return account.client.getState();
+    },
+    isPairing: () => account.pairingCodeSent,
+    notify: (event) => notifyFor(account, event),
+  });
+  account.backfill = createBackfill({
+    getSettings: () => ({
+      chats: config.get("backfillChats"),
+      messages: config.get("backfillMessages"),
+      windowMs: DELETE_WINDOW_MS,
+    }),
+    store: (msg, chat) => backfillMessage(account, msg, chat),
+  });
+  return account;
+}
+
+const accounts = ACCOUNT_SPECS.map(createAccount);
+
+function findAccount(name) {
+  return accounts.find((a) => a.name.toLowerCase() === name.toLowerCase());
+}
+
+// Where a saved record's account keeps its files; older records and
+// single-account setups have no account field
+function recordAccount(record) {
+  return (record.account && findAccount(record.account)) || accounts[0];
+}
+
+// ─── Notifications ──────────────────────────────────────
+
+// Alerts about a WhatsApp chat (events with `chat`, a rule context) go to
+// the first matching telegramRoutes entry ("<target>=<chat id>[/<topic>]",
+// same targets as /watch), else to the "*" entry. Everything else, and
+// alerts no route covers, go to TELEGRAM_CHAT_ID.
+function telegramRoute(event) {
+  if (!event.chat) return [];
+  const routes = config.get("telegramRoutes").map((entry) => {
+    const sep = entry.lastIndexOf("=");
+    return {
+      target: normalizeTarget(entry.slice(0, sep)),
+      destination: parseTarget(entry.slice(sep + 1)),
+    };
+  });
+  const route =
+    routes.find(
+      (r) => r.target !== "*" && matchesTarget(r.target, event.chat),
+    ) || routes.find((r) => r.target === "*");
+  return route ? [route.destination] : [];
+}
+
+const telegram = createTelegramSink({
+  token: TELEGRAM_BOT_TOKEN,
+  chatId: TELEGRAM_CHAT_ID,
+  apiUrl: TELEGRAM_API_URL,
+  route: telegramRoute,
+  uploadLimitBytes: config.get("telegramUploadLimitMb") * 1024 * 1024,
+  largeFiles: config.get("telegramLargeMedia"),
+  dashboardUrl: DASHBOARD_PORT
+    ? `http://${DASHBOARD_HOST}:${DASHBOARD_PORT}/`
+    : null,
+  encryption,
+});
+
+// Events are queued on disk per sink and retried until delivered
+const outbox = createOutbox({
+  filePath: path.join(DATA_DIR, "outbox.jsonl"),
+  deadLetterPath: path.join(DATA_DIR, "outbox-dead.jsonl"),
+  encryption,
+  sinks: createSinks(NOTIFY_SINKS, {
+    telegram,
+    webhook: {
+      url: process.env.WEBHOOK_URL,
+      secret: process.env.WEBHOOK_SECRET,
+      includeMedia: process.env.WEBHOOK_INCLUDE_MEDIA === "true",
+      encryption,
+    },
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.SMTP_FROM,
+      to: process.env.SMTP_TO,
+      encryption,
+    },
+    ntfy: {
+      serverUrl: process.env.NTFY_URL || "https://ntfy.sh",
+      topic: process.env.NTFY_TOPIC,
+      token: process.env.NTFY_TOKEN,
+      priority: Number(process.env.NTFY_PRIORITY) || 3,
+      encryption,
+    },
+    file: {
+      filePath:
+        process.env.NOTIFY_FILE_PATH ||
+        path.join(DATA_DIR, "notifications.jsonl"),
+      encryption,
+    },
+  }),
+});
+
+// Queues an event for every configured sink (see lib/notifiers)
+async function notify(event) {
+  outbox.enqueue(event);
+}
+
+// Events from one account's WhatsApp; tagged once there are several
+async function notifyFor(account, event) {
+  if (!MULTI_ACCOUNT) return notify(event);
+  return notify({
+    ...event,
+    title: `[${account.name}] ${event.title}`,
+    data: { ...event.data, account: account.name },
+  });
+}
+
+// Buttons under deletion and view-once alerts (see lib/alert-actions.js),
+// about the first of `alerts` but offering all their media
+const alertActionStore = createStore(
+  path.join(DATA_DIR, "alert-actions.jsonl"),
+  { ttlMs: ALERT_ACTION_TTL_MS, encryption },
+);
+const alertActions = createAlertActions(alertActionStore);
+
+function alertKeyboard(account, alerts) {
+  const [{ chat, data, messageId, sentAt }] = alerts;
+  return alertActions.keyboard({
+    account: account.name,
+    chat,
+    where: data.where,
+    senderName: data.senderName,
+    senderNumber: data.senderNumber,
+    messageId,
+    sentAt,
+    media: alerts.flatMap((a) => (a.media ? [a.media] : [])),
+  });
+}
+
+// Deletions from one sender in one chat within a few seconds are sent as a
+// single alert so their media can go out as one album. Alerts carry the
+// deleted message's id and sent time (ms) for the buttons. Open bursts are
+// kept on disk until they reach the outbox, so a crash or pm2 restart
+// mid-window doesn't lose them; main() flushes whatever is left over.
+const deleteBursts = createStore(path.join(DATA_DIR, "delete-bursts.jsonl"), {
+  encryption,
+});
+const deleteBurstTimers = new Map(); // account|chat|sender -> timer
+
+function queueDeleteAlert(account, key, alert) {
+  key = `${account.name}|${key}`;
+  const burst = deleteBursts.get(key) || { account: account.name, alerts: [] };
+  burst.alerts.push(alert);
+  deleteBursts.set(key, burst);
+  clearTimeout(deleteBurstTimers.get(key));
+  if (burst.alerts.length >= DELETE_BURST_MAX) {
+    flushDeleteBurst(key);
+  } else {
+    deleteBurstTimers.set(
+      key,
+      setTimeout(
+        () => flushDeleteBurst(key),
+        config.get("deleteBurstWindowSeconds") * 1000,
+      ),
+    );
+  }
+}
+
+function flushDeleteBurst(key) {
+  const burst = deleteBursts.get(key);
+  if (!burst) return;
+  clearTimeout(deleteBurstTimers.get(key));
+  deleteBurstTimers.delete(key);
+
+  // A burst left over from before a restart may name an account that has
+  // since been removed from the config; it is still sent, under its name
+  const account = accounts.find((a) => a.name === burst.account) || {
+    name: burst.account,
+  };
+  const { alerts } = burst;
+  const keyboard = alertKeyboard(account, alerts);
+  if (alerts.length === 1) {
+    const { messageId, sentAt, ...alert } = alerts[0];
+    notifyFor(account, { type: "deleted", ...alert, keyboard });
+    deleteBursts.delete(key);
+    return;
+  }
+  const { senderName } = alerts[0].data;
+  notifyFor(account, {
+    type: "deleted",
+    title: `🗑️ ${alerts.length} messages deleted by ${senderName}`,
+    chat: alerts[0].chat,
+    keyboard,
+    body: alerts.map((a, i) => `#${i + 1}\n${a.body}`).join("\n\n"),
+    // Same shape as a single deletion (the first), plus every record
+    data: { ...alerts[0].data, burst: alerts.map((a) => a.data) },
+    media: alerts.flatMap((a) => (a.media ? [a.media] : [])),
+    // Telegram takes one pin per event; the rest stay as text in the body
+    location: alerts.find((a) => a.location)?.location,
+    contacts: alerts.flatMap((a) => a.contacts || []),
+  });
+  deleteBursts.delete(key);
+}
 
-// ─── Telegram Helpers ───────────────────────────────────
+function flushDeleteBursts() {
+  for (const [key] of [...deleteBursts.entries()]) flushDeleteBurst(key);
+}
+
+function formatOutboxStatus() {
+  const { pending, bySink } = outbox.stats();
+  const lines = Object.entries(bySink).map(
+    ([name, s]) =>
+      `  ${name}: ${s.pending} pending${s.lastError ? ` (last error: ${s.lastError.substring(0, 80)})` : ""}`,
+  );
+  return `Outbox: ${pending} pending\n${lines.join("\n")}`;
+}
 
-function escapeHTML(text) {
-  return text
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;");
+// Command replies go back to the chat (and topic) that asked; anything
+// sent outside a command goes to TELEGRAM_CHAT_ID
+function replyChat() {
+  return commandChat ? telegram.to(commandChat) : telegram;
 }
 
+// Telegram-only message, used for command replies
 async function sendPushNotification(title, body) {
   try {
-    const safeTitle = escapeHTML(title);
-    const safeBody = escapeHTML(body);
-    const text = `<b>${safeTitle}</b>\n\n${safeBody}`;
+    await replyChat().sendMessage(title, body);
+  } catch (err) {
+    console.error("Telegram notification error:", err);
+  }
+}
 
-    let res = await fetch(
-      `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          chat_id: TELEGRAM_CHAT_ID,
-          text,
-          parse_mode: "HTML",
-        }),
-      },
+async function sendTelegramMedia(filePath, mimetype, filename, caption, kind) {
+  try {
+    await replyChat().sendMediaFile(
+      filePath,
+      mimetype,
+      filename,
+      caption,
+      kind,
     );
+  } catch (err) {
+    console.error("Telegram media send error:", err);
+  }
+}
 
-    if (!res.ok) {
-      const plainText = `${title}\n\n${body}`;
-      res = await fetch(
-        `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`,
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ chat_id: TELEGRAM_CHAT_ID, text: plainText }),
-        },
-      );
-    }
+// ─── Message Cache ──────────────────────────────────────
+function cacheMessage(account, msgId, data) {
+  account.messageCache.set(msgId, { ...data, cachedAt: Date.now() });
+}
+
+// Caches a message the "message" handler never saw (message_create, the
+// backfill); false if the chat's rules say not to capture it
+async function cacheUnseenMessage(account, msg, chat, { media = false } = {}) {
+  const contact = await msg.getContact();
+  const senderName = contact.name || contact.pushname || contact.number;
+  const ctx = ruleContext(chat, senderName, contact.number);
+  const policy = chatRules.evaluate(ctx);
+  if (!policy.capture) return false;
+  if (media && msg.hasMedia && policy.media) {
+    await saveMediaToTemp(account, msg, ctx);
+  }
+  const structured = describeMessage(msg);
+  cacheMessage(account, msg.id._serialized, {
+    body: messageText(msg, structured),
+    senderName,
+    senderNumber: contact.number,
+    chatLocation: chat.isGroup ? `Group: ${chat.name}` : "Private Chat",
+    chatId: chat.id._serialized,
+    chatName: chat.isGroup ? chat.name : null,
+    timestamp: msg.timestamp,
+    messageType: msg.type,
+    structured,
+    context: await buildMessageContext(account, msg),
+  });
+  return true;
+}
+
+// The backfill's store(); see lib/backfill.js
+async function backfillMessage(account, msg, chat) {
+  if (msg.fromMe || msg.isStatus || msg.type === "revoked") return false;
+  if (account.messageCache.has(msg.id._serialized)) return false;
+  return cacheUnseenMessage(account, msg, chat, {
+    media: config.get("backfillMedia") === "on",
+  });
+}
+
+// Identifies a message's chat and sender for chatRules.evaluate()
+function ruleContext(chat, senderName, senderNumber) {
+  return {
+    chatId: chat?.id?._serialized,
+    chatName: chat?.isGroup ? chat.name : null,
+    senderName,
+    senderNumber,
+  };
+}
+
+function loadCaches(account) {
+  account.messageCache.load();
+  account.reactionCache.load();
+  // Reactions used to be cached with the messages under "reaction:" keys
+  for (const [key, reaction] of [...account.messageCache.entries()]) {
+    if (!key.startsWith("reaction:")) continue;
+    account.reactionCache.set(key.slice("reaction:".length), reaction);
+    account.messageCache.delete(key);
+  }
+  const cached = account.messageCache.size;
+  const tracked = account.mediaTracker.load();
+  const statuses = account.statusCache.load();
+  const files = account.mediaStore.load();
+  console.log(
+    `♻️ ${accountPrefix(account)}Rehydrated ${cached} cached message(s), ${tracked} tracked media, ${statuses} status(es), ${files} temp file(s)`,
+  );
+}
+
+// Lets go of a message's temp files; shared copies stay for other messages
+function releaseTempFiles(account, msgId, tracked) {
+  if (!tracked) return;
+  if (tracked.hash) account.mediaStore.release(tracked.hash, msgId);
+  if (tracked.msgHash) account.mediaStore.release(tracked.msgHash, msgId);
+}
+
+// "\nHistory: ..." line of /status once a backfill has started
+function formatBackfillStatus(account) {
+  const {
+    running,
+    startedAt,
+    finishedAt,
+    chatsDone,
+    chatsTotal,
+    cached,
+    stopped,
+  } = account.backfill.status();
+  if (!startedAt) return "";
+  if (running)
+    return `\nHistory: backfilling, ${chatsDone}/${chatsTotal} chats, ${cached} messages so far`;
+  return `\nHistory: ${cached} messages from ${chatsDone}/${chatsTotal} chats backfilled at ${formatTime(new Date(finishedAt))}${stopped ? ` (stopped: ${stopped})` : ""}`;
+}
+
+// "[name] " in logs and replies, once there are several accounts
+function accountPrefix(account) {
+  return MULTI_ACCOUNT ? `[${account.name}] ` : "";
+}
+
+// One account's part of /status
+function formatAccountStatus(account) {
+  const { files, bytes, quotaBytes, dedupHits, evicted } =
+    account.mediaStore.stats();
+  const connection = account.client?.info
+    ? `✅ Connected as ${account.client.info.pushname}`
+    : `❌ Not connected${formatConnectionStatus(account)}`;
+  const [backup] = sessionBackups.list(account.clientId);
+  return `${accountPrefix(account)}${connection}\nSession backup: ${backup ? formatTime(new Date(backup.createdAt)) : "none"}\nCache: ${account.messageCache.size} messages${formatBackfillStatus(account)}\nMedia tracked: ${account.mediaTracker.size}\nStatuses: ${account.statusCache.size}\nDisk: temp ${formatBytes(bytes)} / ${formatBytes(quotaBytes)} (${files} files, ${dedupHits} deduped, ${evicted} evicted) · statuses ${formatBytes(dirSize(account.statusMediaDir) + dirSize(account.statusSavedDir))}`;
+}
+
+// "Account: <name>" line for messages_log.txt entries
+function formatLogAccount(account) {
+  return MULTI_ACCOUNT ? `Account: ${account.name}\n` : "";
+}
+
+function formatDiskUsage() {
+  return `Saved: ${formatBytes(dirSize(SAVED_MEDIA_DIR))}\nEncryption: ${encryption.enabled ? `on (key ${encryption.activeKeyId})` : "off"}`;
+}
+
+// ─── Helpers ────────────────────────────────────────────
+
+const MIME_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/gif": ".gif",
+  "image/bmp": ".bmp",
+  "image/tiff": ".tiff",
+  "image/heic": ".heic",
+  "image/heif": ".heif",
+  "image/svg+xml": ".svg",
+  "video/mp4": ".mp4",
+  "video/3gpp": ".3gp",
+  "video/quicktime": ".mov",
+  "video/x-msvideo": ".avi",
+  "video/webm": ".webm",
+  "video/x-matroska": ".mkv",
+  "audio/ogg; codecs=opus": ".ogg",
+  "audio/ogg": ".ogg",
+  "audio/mpeg": ".mp3",
+  "audio/mp4": ".m4a",
+  "audio/wav": ".wav",
+  "audio/aac": ".aac",
+  "audio/flac": ".flac",
+  "audio/amr": ".amr",
+  "application/pdf": ".pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    ".docx",
+  "application/msword": ".doc",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": ".xlsx",
+  "application/vnd.ms-excel": ".xls",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation":
+    ".pptx",
+  "application/vnd.ms-powerpoint": ".ppt",
+  "text/plain": ".txt",
+  "text/csv": ".csv",
+  "application/zip": ".zip",
+  "application/x-rar-compressed": ".rar",
+  "application/x-7z-compressed": ".7z",
+  "application/gzip": ".gz",
+  "application/json": ".json",
+  "application/octet-stream": ".bin",
+  "application/vnd.android.package-archive": ".apk",
+};
 
-    if (!res.ok) {
-      const errBody = await res.text();
-      console.error(`Telegram API error (${res.status}): ${errBody}`);
-    } else {
-      console.log("🔔 Telegram notification sent");
+function getExtension(mimetype) {
+  if (MIME_EXTENSIONS[mimetype]) return MIME_EXTENSIONS[mimetype];
+  const sub = mimetype ? mimetype.split(";")[0].split("/")[1] : "bin";
+  return "." + sub;
+}
+
+function guessMimetype(filename) {
+  const ext = path.extname(filename).toLowerCase();
+  const match = Object.entries(MIME_EXTENSIONS).find(([, e]) => e === ext);
+  return match ? match[0] : "application/octet-stream";
+}
+
+// Size cap for a chat: the first matching chatMediaLimitsMb entry
+// ("<target>=<MB>", same targets as /watch), else maxMediaSizeMb
+function mediaLimitBytes(ctx) {
+  for (const entry of config.get("chatMediaLimitsMb")) {
+    const sep = entry.lastIndexOf("=");
+    if (matchesTarget(normalizeTarget(entry.slice(0, sep)), ctx)) {
+      return Number(entry.slice(sep + 1)) * 1024 * 1024;
     }
+  }
+  return config.get("maxMediaSizeMb") * 1024 * 1024;
+}
+
+function skipLargeMedia(sizeBytes, limitBytes) {
+  console.log(
+    `⚠️ Skipping large media (${(sizeBytes / 1024 / 1024).toFixed(1)}MB > ${(limitBytes / 1024 / 1024).toFixed(0)}MB)`,
+  );
+  return null;
+}
+
+/**
+ * Streams a message's media to `destPath` (see lib/media-download.js).
+ * Returns { mimetype, size, ext }, or null if absent or over the chat's
+ * size limit.
+ */
+async function downloadMedia(msg, destPath, ctx) {
+  const limitBytes = mediaLimitBytes(ctx);
+  // WhatsApp tells us the size up front, so oversized files aren't fetched
+  const declaredSize = msg._data?.size;
+  if (declaredSize > limitBytes)
+    return skipLargeMedia(declaredSize, limitBytes);
+
+  let media;
+  try {
+    media = await downloadMediaToFile(
+      msg.client.pupPage,
+      msg.id._serialized,
+      destPath,
+    );
   } catch (err) {
-    console.error("Telegram notification error:", err);
+    // WhatsApp Web internals move around; the library call still works,
+    // it just needs the whole file in memory
+    console.warn("Streaming download failed, falling back:", err.message);
+    const fallback = await msg.downloadMedia();
+    if (!fallback || !fallback.data) return null;
+    fs.writeFileSync(destPath, Buffer.from(fallback.data, "base64"));
+    media = {
+      mimetype: fallback.mimetype,
+      size: fs.statSync(destPath).size,
+    };
   }
+  if (!media) return null;
+  if (media.size > limitBytes) {
+    fs.rmSync(destPath, { force: true });
+    return skipLargeMedia(media.size, limitBytes);
+  }
+  return { ...media, ext: getExtension(media.mimetype) };
+}
+
+// Downloads a message's media into `dir` under its own name
+async function downloadMediaTo(msg, dir, ctx) {
+  const partialPath = path.join(dir, `.partial_${msg.id.id}`);
+  const media = await downloadMedia(msg, partialPath, ctx);
+  if (!media) return null;
+  const filename = `${Date.now()}_${msg.id.id}${media.ext}`;
+  const filePath = path.join(dir, filename);
+  await encryption.adoptFile(partialPath, filePath);
+  return { filePath, filename, mimetype: media.mimetype };
 }
 
-async function sendTelegramMedia(base64data, mimetype, filename, caption) {
+async function saveMediaToTemp(account, msg, ctx) {
   try {
-    const buffer = Buffer.from(base64data, "base64");
-    const blob = new Blob([buffer], { type: mimetype });
-    const formData = new FormData();
-    formData.append("chat_id", TELEGRAM_CHAT_ID);
-    formData.append("caption", caption);
-    formData.append("document", blob, filename);
-    const res = await fetch(
-      `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendDocument`,
-      { method: "POST", body: formData },
-    );
-    if (!res.ok) {
-      const errBody = await res.text();
-      console.error(`Telegram media API error (${res.status}): ${errBody}`);
-    } else {
-      console.log("📎 Telegram media sent");
+    if (!msg.hasMedia) return null;
+    const partialPath = path.join(
+      account.tempMediaDir,
+      `.partial_${msg.id.id}`,
+    );
+    const media = await downloadMedia(msg, partialPath, ctx);
+    if (!media) return null;
+    const msgId = msg.id._serialized;
+    const stored = await account.mediaStore.putFile(partialPath, {
+      ext: media.ext,
+      ref: msgId,
+    });
+    if (!stored) {
+      console.log("⚠️ Skipping media larger than the temp quota");
+      return null;
     }
+
+    // filename is what the file is called once saved; the temp copy is
+    // named by its hash and may be shared with other messages
+    const filename = `${Date.now()}_${msg.id.id}${media.ext}`;
+    account.mediaTracker.set(msgId, {
+      filePath: stored.filePath,
+      hash: stored.hash,
+      filename,
+      mimetype: media.mimetype,
+      // WhatsApp type tells stickers, voice notes and GIFs apart
+      mediaType: msg._data?.isGif ? "gif" : msg.type,
+      sentTimestamp: msg.timestamp,
+    });
+    console.log(
+      `📎 Temp media ${stored.deduped ? "deduplicated" : "saved"}: ${stored.filename}`,
+    );
+    return stored.filename;
   } catch (err) {
-    console.error("Telegram media send error:", err);
+    console.error("Media download error:", err);
+    return null;
   }
 }
 
-// ─── Message Cache ──────────────────────────────────────
-function cacheMessage(msgId, data) {
-  if (messageCache.size >= MAX_CACHE_SIZE) {
-    const oldestKey = messageCache.keys().next().value;
-    messageCache.delete(oldestKey);
+// `chat` is the rule context of the message, so queries can tell which
+// Telegram chat its alerts were routed to
+function saveRecord(account, kind, data, chat) {
+  if (MULTI_ACCOUNT) data = { ...data, account: account.name };
+  if (chat) data = { ...data, chat };
+  try {
+    const timestamp = Date.now();
+    const safeName = (data.senderName || "unknown")
+      .replace(/[^a-zA-Z0-9]/g, "_")
+      .substring(0, 20);
+    const filename = `${kind}_${timestamp}_${safeName}.json`;
+    const filePath = path.join(SAVED_MEDIA_DIR, filename);
+    encryption.writeFile(filePath, JSON.stringify(data, null, 2));
+    console.log(`📝 ${kind} record saved: ${filename}`);
+  } catch (err) {
+    console.error(`Error saving ${kind} record:`, err.message);
+  }
+}
+
+function saveDeletedRecord(account, data, chat) {
+  saveRecord(account, "deleted", data, chat);
+}
+
+function saveEditedRecord(account, data, chat) {
+  saveRecord(account, "edited", data, chat);
+}
+
+function saveViewOnceRecord(account, data, chat) {
+  saveRecord(account, "viewonce", data, chat);
+}
+
+// Renders an edit history chain as numbered versions, oldest first
+function formatEditHistory(editHistory) {
+  return editHistory
+    .map((v, i) => `${i + 1}. [${formatTime(new Date(v.at))}] ${v.body}`)
+    .join("\n");
+}
+
+// ─── Message Context ────────────────────────────────────
+// Who wrote it, what it replied to and who it tagged, captured while the
+// message still exists so a later deletion still reads on its own
+
+const QUOTE_PREVIEW_LENGTH = 200;
+
+function contactLabel(contact) {
+  return contact.name || contact.pushname || contact.number;
+}
+
+async function buildMessageContext(account, msg) {
+  const context = {
+    authorId: msg.author || msg.from || null,
+    quoted: null,
+    mentions: [],
+    isForwarded: Boolean(msg.isForwarded),
+    forwardingScore: msg.forwardingScore || 0,
+  };
+
+  if (msg.hasQuotedMsg) {
+    try {
+      const quoted = await msg.getQuotedMessage();
+      if (quoted) {
+        const quotedId = quoted.id._serialized;
+        let senderName = account.messageCache.get(quotedId)?.senderName;
+        if (!senderName) {
+          try {
+            senderName = contactLabel(await quoted.getContact());
+          } catch (e) {
+            senderName = (quoted.author || quoted.from || "").split("@")[0];
+          }
+        }
+        const body = quoted.body || `[${quoted.type}]`;
+        context.quoted = {
+          id: quotedId,
+          senderName: quoted.fromMe ? "me" : senderName,
+          type: quoted.type,
+          body:
+            body.length > QUOTE_PREVIEW_LENGTH
+              ? `${body.substring(0, QUOTE_PREVIEW_LENGTH)}…`
+              : body,
+        };
+      }
+    } catch (e) {
+      console.warn("Could not get quoted message:", e.message);
+    }
+  }
+
+  const mentionedIds = (msg.mentionedIds || []).map((id) =>
+    typeof id === "string" ? id : id._serialized,
+  );
+  if (mentionedIds.length) {
+    try {
+      const contacts = await msg.getMentions();
+      context.mentions = contacts.map((c) => ({
+        id: c.id._serialized,
+        name: contactLabel(c),
+      }));
+    } catch (e) {
+      context.mentions = mentionedIds.map((id) => ({
+        id,
+        name: id.split("@")[0],
+      }));
+    }
+  }
+
+  return context;
+}
+
+// Extra lines for logs and alerts; empty when there's nothing to add
+function formatMessageContext(context) {
+  if (!context) return "";
+  const lines = [];
+  if (context.quoted) {
+    lines.push(`Reply to ${context.quoted.senderName}: ${context.quoted.body}`);
+  }
+  if (context.mentions?.length) {
+    lines.push(`Mentions: ${context.mentions.map((m) => m.name).join(", ")}`);
+  }
+  if (context.isForwarded) {
+    lines.push(
+      context.forwardingScore >= 4 ? "Forwarded many times" : "Forwarded",
+    );
+  }
+  return lines.length ? `\n${lines.join("\n")}` : "";
+}
+
+// ─── Dashboard ──────────────────────────────────────────
+
+function accountSnapshot(account) {
+  return {
+    name: account.name,
+    connected: Boolean(account.client?.info),
+    pushname: account.client?.info?.pushname || null,
+    connection: account.supervisor.status(),
+    readyAt: account.readyTimestamp
+      ? new Date(account.readyTimestamp).toISOString()
+      : null,
+    cachedMessages: account.messageCache.size,
+    trackedMedia: account.mediaTracker.size,
+    tempMedia: account.mediaStore.stats(),
+    backfill: account.backfill.status(),
+  };
+}
+
+// Top-level fields sum up all accounts; `accounts` has each one
+function getStatusSnapshot() {
+  const list = accounts.map(accountSnapshot);
+  const total = (key) => list.reduce((sum, a) => sum + a[key], 0);
+  return {
+    connected: list.every((a) => a.connected),
+    pushname:
+      list
+        .map((a) => a.pushname)
+        .filter(Boolean)
+        .join(", ") || null,
+    cachedMessages: total("cachedMessages"),
+    trackedMedia: total("trackedMedia"),
+    accounts: list,
+    outbox: outbox.stats(),
+    encrypted: encryption.enabled,
+    time: formatTime(),
+  };
+}
+
+const dashboard = createDashboard({
+  host: DASHBOARD_HOST,
+  port: DASHBOARD_PORT,
+  token: DASHBOARD_TOKEN,
+  savedDir: SAVED_MEDIA_DIR,
+  getStatus: getStatusSnapshot,
+  getCachedMessages: () =>
+    accounts.flatMap((account) =>
+      [...account.messageCache.entries()].map(([id, m]) => ({
+        id,
+        ...(MULTI_ACCOUNT ? { account: account.name } : {}),
+        ...m,
+      })),
+    ),
+  guessMimetype,
+  encryption,
+});
+
+// ─── Saved Record Lookup (/recent, /search, /from, /chat) ──
+
+function formatRecordLine(record, index) {
+  const text = String(record.originalMessage || "[<empty>]");
+  const preview = text.length > 200 ? `${text.substring(0, 200)}…` : text;
+  const media = record.mediaFilename ? " 📎" : "";
+  const edited = record.editHistory?.length ? " ✏️" : "";
+  return `#${index + 1} [${record.time}] ${record.senderName} (${record.senderNumber}) — ${record.where}${media}${edited}\n${preview}`;
+}
+
+// Per chat and role, so a viewer can't page through an admin's results
+function recordQueryKey() {
+  return `${commandChat?.chatId ?? TELEGRAM_CHAT_ID}|${commandChat?.role ?? "admin"}`;
+}
+
+async function sendRecordPage() {
+  const { title, results, page } = recordQueries.get(recordQueryKey());
+  const pages = Math.max(1, Math.ceil(results.length / RESULTS_PAGE_SIZE));
+  const start = page * RESULTS_PAGE_SIZE;
+  const lines = results
+    .slice(start, start + RESULTS_PAGE_SIZE)
+    .map((r, i) => formatRecordLine(r, start + i));
+
+  let footer = `Page ${page + 1}/${pages} · ${results.length} result(s)`;
+  if (page + 1 < pages) footer += "\nSend /more for the next page.";
+  if (results.some((r) => r.mediaFilename))
+    footer += "\nSend /media <#> to re-send a saved file.";
+
+  await sendPushNotification(
+    title,
+    lines.length
+      ? `${lines.join("\n\n")}\n\n${footer}`
+      : "No matching records.",
+  );
+}
+
+async function handleRecordQuery(command, args) {
+  const query = parseQueryArgs(args);
+  if (query.error) {
+    await sendPushNotification("⚠️ Invalid query", query.error);
+    return;
+  }
+
+  const filters = { since: query.since, until: query.until };
+  let title;
+  let limit = Infinity;
+  if (command === "/recent") {
+    limit = parseInt(query.text, 10) || RESULTS_PAGE_SIZE;
+    title = `🗂️ Last ${limit} deleted`;
+  } else {
+    if (!query.text) {
+      await sendPushNotification(
+        "⚠️ Missing argument",
+        `Usage: ${command} <${command === "/search" ? "text" : command === "/from" ? "contact or number" : "group name"}> [since:3d] [until:2026-10-01]`,
+      );
+      return;
+    }
+    const key = { "/search": "text", "/from": "from", "/chat": "chat" }[
+      command
+    ];
+    filters[key] = query.text;
+    title = `🔎 ${command} ${query.text}`;
+  }
+
+  const results = queryRecords(
+    SAVED_MEDIA_DIR,
+    filters,
+    ["deleted"],
+    encryption,
+  )
+    .filter((r) => inCommandScope(recordChat(r)))
+    .slice(0, limit);
+  recordQueries.set(recordQueryKey(), { title, results, page: 0 });
+  await sendRecordPage();
+}
+
+async function handleRecordPaging(command, args) {
+  const lastRecordQuery = recordQueries.get(recordQueryKey());
+  if (!lastRecordQuery) {
+    await sendPushNotification(
+      "⚠️ No results",
+      "Run /recent, /search, /from or /chat first.",
+    );
+    return;
+  }
+
+  if (command === "/more") {
+    const pages = Math.ceil(lastRecordQuery.results.length / RESULTS_PAGE_SIZE);
+    if (lastRecordQuery.page + 1 >= pages) {
+      await sendPushNotification("🗂️ End of results", "No more pages.");
+      return;
+    }
+    lastRecordQuery.page++;
+    await sendRecordPage();
+    return;
+  }
+
+  // /media <#>
+  const index = parseInt(args[0], 10) - 1;
+  const record = lastRecordQuery.results[index];
+  if (!record || !record.mediaFilename) {
+    await sendPushNotification(
+      "⚠️ No media",
+      `Result #${args[0] || "?"} has no saved media file.`,
+    );
+    return;
+  }
+  const mediaPath =
+    record.mediaPath || path.join(SAVED_MEDIA_DIR, record.mediaFilename);
+  if (!fs.existsSync(mediaPath)) {
+    await sendPushNotification(
+      "⚠️ Media missing",
+      `${path.relative(AGENT_HOME, mediaPath)} no longer exists.`,
+    );
+    return;
+  }
+  await sendTelegramMedia(
+    mediaPath,
+    record.mediaMimetype || guessMimetype(record.mediaFilename),
+    record.mediaFilename,
+    `📎 #${index + 1} from ${record.senderName} (${record.senderNumber})\nIn: ${record.where}\nDeleted: ${record.time}`,
+    record.mediaType,
+  );
+}
+
+// ─── Status Capture (/statuses) ─────────────────────────
+// Statuses come from status@broadcast and expire after 24h. They are cached
+// for that long so a status deleted early can still be reported.
+
+const STATUS_CHAT_ID = "status@broadcast";
+
+function statusRuleContext(senderName, senderNumber) {
+  return { chatId: STATUS_CHAT_ID, chatName: null, senderName, senderNumber };
+}
+
+async function captureStatus(account, msg) {
+  if (!chatRules.snapshot().statuses) return;
+  const contact = await msg.getContact();
+  const senderName = contact.name || contact.pushname || contact.number;
+  const senderNumber = contact.number;
+  const ctx = statusRuleContext(senderName, senderNumber);
+  const policy = chatRules.evaluate(ctx);
+  if (!policy.capture) return;
+
+  let media = null;
+  if (msg.hasMedia && policy.media) {
+    try {
+      media = await downloadMediaTo(msg, account.statusMediaDir, ctx);
+    } catch (err) {
+      console.error("Status media download error:", err.message);
+    }
+  }
+  account.statusCache.set(msg.id._serialized, {
+    senderName,
+    senderNumber,
+    body: msg.body || "",
+    timestamp: msg.timestamp,
+    filename: media?.filename,
+    mimetype: media?.mimetype,
+    mediaType: msg.type,
+  });
+  console.log(
+    `📸 ${accountPrefix(account)}Status captured: ${senderName}${media ? ` (${media.filename})` : ""}`,
+  );
+}
+
+async function handleStatusRevoke(account, afterMsg, beforeMsg) {
+  const msgId = beforeMsg ? beforeMsg.id._serialized : afterMsg.id._serialized;
+  const { statusCache } = account;
+  const cached = statusCache.get(msgId);
+  if (!cached) {
+    console.log(`⏩ Deleted status was not captured: ${msgId}`);
+    return;
+  }
+  statusCache.delete(msgId);
+  const { senderName, senderNumber } = cached;
+
+  let savedPath = null;
+  if (cached.filename) {
+    const livePath = path.join(account.statusMediaDir, cached.filename);
+    if (fs.existsSync(livePath)) {
+      savedPath = path.join(account.statusSavedDir, cached.filename);
+      fs.renameSync(livePath, savedPath);
+      console.log(`🔒 Saved deleted status: ${cached.filename}`);
+    }
+  }
+
+  const time = formatTime();
+  const record = {
+    time,
+    where: "Status",
+    senderName,
+    senderNumber,
+    originalMessage: cached.body || "[media]",
+    sentTime: formatTime(new Date(cached.timestamp * 1000)),
+    mediaFilename: savedPath ? cached.filename : undefined,
+    mediaMimetype: savedPath ? cached.mimetype : undefined,
+    mediaType: savedPath ? cached.mediaType : undefined,
+  };
+  const ctx = statusRuleContext(senderName, senderNumber);
+  saveRecord(account, "status", record, ctx);
+  encryption.appendText(
+    MESSAGES_LOG_PATH,
+    `\n🗑️ DELETED STATUS\nTime: ${time}\n${formatLogAccount(account)}Who: ${senderName} (${senderNumber})\nPosted: ${record.sentTime}\nOriginal: ${record.originalMessage}${savedPath ? `\nSaved Media: ${path.relative(AGENT_HOME, savedPath)}` : ""}\n==============================\n`,
+  );
+  console.log(`🗑️ ${accountPrefix(account)}Status deleted: ${senderName}`);
+
+  const policy = chatRules.evaluate(ctx);
+  if (!policy.notify) return;
+  await notifyFor(account, {
+    type: "status_deleted",
+    chat: ctx,
+    title: `🗑️ Status deleted by ${senderName}`,
+    body: `Who: ${senderName} (${senderNumber})\nPosted: ${record.sentTime}\nDeleted: ${time}\nStatus: ${record.originalMessage}`,
+    data: record,
+    media: savedPath
+      ? {
+          filePath: savedPath,
+          mimetype: cached.mimetype,
+          filename: cached.filename,
+          kind: cached.mediaType,
+          caption: `📸 Deleted status from ${senderName} (${senderNumber})`,
+        }
+      : undefined,
+  });
+}
+
+// Live status files outlive their cache entries only until this runs;
+// deleted ones sit in their own folder and are kept
+function cleanupStatusMedia() {
+  try {
+    const now = Date.now();
+    let cleaned = 0;
+    for (const { statusMediaDir } of accounts) {
+      for (const file of fs.readdirSync(statusMediaDir)) {
+        const filePath = path.join(statusMediaDir, file);
+        const stat = fs.statSync(filePath);
+        if (stat.isFile() && now - stat.mtimeMs > STATUS_TTL_MS) {
+          fs.unlinkSync(filePath);
+          cleaned++;
+        }
+      }
+    }
+    if (cleaned > 0)
+      console.log(`🧹 Cleaned ${cleaned} expired status file(s)`);
+  } catch (err) {
+    console.error("Status cleanup error:", err.message);
+  }
+}
+
+// Lists a contact's live statuses plus the deleted ones we kept, through
+// the same paging as the record queries so /more and /media work
+async function handleStatusesCommand(args) {
+  const query = parseQueryArgs(args);
+  if (query.error || !query.text) {
+    await sendPushNotification(
+      query.error ? "⚠️ Invalid query" : "⚠️ Missing argument",
+      query.error || "Usage: /statuses <contact or number> [since:12h]",
+    );
+    return;
+  }
+  const filters = { from: query.text, since: query.since, until: query.until };
+
+  const live = accounts.flatMap((account) =>
+    [...account.statusCache.values()]
+      .filter((s) =>
+        inCommandScope(statusRuleContext(s.senderName, s.senderNumber)),
+      )
+      .map((s) => ({
+        time: formatTime(new Date(s.timestamp * 1000)),
+        where: MULTI_ACCOUNT ? `Status (${account.name})` : "Status",
+        senderName: s.senderName,
+        senderNumber: s.senderNumber,
+        originalMessage: s.body || "[media]",
+        mediaFilename: s.filename,
+        mediaMimetype: s.mimetype,
+        mediaType: s.mediaType,
+        mediaPath: s.filename
+          ? path.join(account.statusMediaDir, s.filename)
+          : null,
+        savedAt: s.timestamp * 1000,
+      })),
+  );
+  const deleted = queryRecords(SAVED_MEDIA_DIR, filters, ["status"], encryption)
+    .filter((r) => inCommandScope(recordChat(r)))
+    .map((r) => ({
+      ...r,
+      where: r.account ? `Status (deleted, ${r.account})` : "Status (deleted)",
+      mediaPath: r.mediaFilename
+        ? path.join(recordAccount(r).statusSavedDir, r.mediaFilename)
+        : null,
+    }));
+  const results = [
+    ...live.filter((s) => matchesRecord(s, filters)),
+    ...deleted,
+  ].sort((a, b) => b.savedAt - a.savedAt);
+
+  recordQueries.set(recordQueryKey(), {
+    title: `📸 Statuses from ${query.text}`,
+    results,
+    page: 0,
+  });
+  await sendRecordPage();
+}
+
+async function handleStatusMode(args) {
+  const value = (args[0] || "").toLowerCase();
+  if (value !== "on" && value !== "off") {
+    await sendPushNotification("⚠️ Usage", "/statusmode on|off");
+    return;
+  }
+  chatRules.setStatusCapture(value === "on");
+  await sendPushNotification(
+    "📸 Status capture",
+    value === "on"
+      ? "Statuses are captured again (chat rules still apply)."
+      : "Statuses are no longer captured. Chats are unaffected.",
+  );
+}
+
+// ─── Statistics & Digest (/stats) ───────────────────────
+
+const STATS_KINDS = ["deleted", "viewonce", "edited", "status"];
+const DIGEST_WINDOW_MS = { daily: 24 * 3600e3, weekly: 7 * 24 * 3600e3 };
+
+function collectStats(since, until) {
+  return summarizeRecords(
+    listRecords(SAVED_MEDIA_DIR, STATS_KINDS, encryption, {
+      since,
+      until,
+    }).filter((r) => inCommandScope(recordChat(r))),
+    { since, until },
+  );
+}
+
+function formatPeriod(since, until) {
+  return `${since ? formatTime(new Date(since)) : "the beginning"} → ${formatTime(until ? new Date(until) : new Date())}`;
+}
+
+async function handleStatsCommand(args) {
+  const period = parseStatsPeriod(args, {
+    startOfToday: startOfDay(Date.now(), config.get("timeZone")),
+  });
+  if (period.error) {
+    await sendPushNotification(
+      "⚠️ Usage",
+      `${period.error}
+
+/stats [24h|7d|2w|today] [since:YYYY-MM-DD] [until:YYYY-MM-DD]`,
+    );
+    return;
+  }
+  const summary = collectStats(period.since, period.until);
+  await sendPushNotification(
+    `📊 Stats — ${period.label}`,
+    `${formatPeriod(period.since, period.until)}
+
+${formatSummary(summary, { top: STATS_TOP })}`,
+  );
+}
+
+// Covers the time since the previous digest, at most one schedule period
+async function sendDigest(kind, lastSentAt) {
+  const now = Date.now();
+  const since = Math.max(lastSentAt || 0, now - DIGEST_WINDOW_MS[kind]);
+  const summary = collectStats(since, now);
+  await notify({
+    type: "digest",
+    title: `📊 ${kind === "weekly" ? "Weekly" : "Daily"} digest`,
+    body: `${formatPeriod(since, now)}
+
+${formatSummary(summary, { top: DIGEST_TOP })}
+
+Send /stats for more.`,
+    data: summary,
+  });
+  console.log(`📊 ${kind} digest queued`);
+}
+
+const digestScheduler = createDigestScheduler({
+  statePath: path.join(DATA_DIR, "digest.json"),
+  getSettings: () => ({
+    schedule: config.get("digestSchedule"),
+    time: config.get("digestTime"),
+    weekday: config.get("digestWeekday"),
+    timeZone: config.get("timeZone"),
+  }),
+  onDue: sendDigest,
+});
+
+// ─── Evidence Export (/export) ──────────────────────────
+// Archives are built in media/exports (encrypted if encryption is on) and
+// removed once sent; one too large for Telegram stays for EXPORT_TTL_MS so
+// it can be fetched from the server.
+
+async function handleExportCommand(args) {
+  const query = parseExportArgs(args);
+  if (query.error) {
+    await sendPushNotification(
+      "⚠️ Usage",
+      `${query.error}
+
+/export <chat or contact> [from] [to]
+Dates are YYYY-MM-DD or 12h/3d/2w.`,
+    );
+    return;
+  }
+  const { target, since, until } = query;
+  const records = findExportRecords({
+    savedDir: SAVED_MEDIA_DIR,
+    target,
+    since,
+    until,
+    encryption,
+  }).filter((r) => inCommandScope(recordChat(r)));
+  if (!records.length) {
+    await sendPushNotification(
+      "📦 Nothing to export",
+      `No deleted, edited or view-once messages match "${target}".`,
+    );
+    return;
+  }
+
+  const filename = exportFilename(target);
+  const outPath = path.join(EXPORTS_DIR, filename);
+  const partialPath = path.join(EXPORTS_DIR, `.partial_${filename}`);
+  let result;
+  try {
+    result = await buildExport({
+      records,
+      outPath: partialPath,
+      mediaDir: SAVED_MEDIA_DIR,
+      target,
+      since,
+      until,
+      formatTime,
+      encryption,
+    });
+    await encryption.adoptFile(partialPath, outPath);
+  } catch (err) {
+    console.error("Export error:", err);
+    fs.rmSync(partialPath, { force: true });
+    await sendPushNotification("❌ Export failed", err.message);
+    return;
+  }
+  console.log(`📦 Export built: ${filename} (${formatBytes(result.bytes)})`);
+
+  // An archive is a full copy of the evidence, so it only stays on disk
+  // when Telegram can't take it (a size-limit notice points at the file) or
+  // the upload failed; cleanupExports() removes those after EXPORT_TTL_MS
+  const noticeOnly =
+    config.get("telegramLargeMedia") === "notice" &&
+    encryption.plainSize(outPath) >
+      config.get("telegramUploadLimitMb") * 1024 * 1024;
+  try {
+    await replyChat().sendMediaFile(
+      outPath,
+      "application/zip",
+      filename,
+      `📦 Export: ${target}
+${result.records} message(s), ${result.media} media file(s)${result.missingMedia ? `, ${result.missingMedia} missing` : ""}
+SHA-256: ${result.sha256}${noticeOnly ? `\nKept on disk for ${EXPORT_TTL_MS / 3600e3}h.` : ""}`,
+    );
+    if (!noticeOnly) fs.rmSync(outPath, { force: true });
+  } catch (err) {
+    console.error("Telegram media send error:", err);
+  }
+}
+
+function cleanupExports() {
+  try {
+    const now = Date.now();
+    let cleaned = 0;
+    for (const file of fs.readdirSync(EXPORTS_DIR)) {
+      const filePath = path.join(EXPORTS_DIR, file);
+      const stat = fs.statSync(filePath);
+      if (stat.isFile() && now - stat.mtimeMs > EXPORT_TTL_MS) {
+        fs.unlinkSync(filePath);
+        cleaned++;
+      }
+    }
+    if (cleaned > 0) console.log(`🧹 Cleaned ${cleaned} old export(s)`);
+  } catch (err) {
+    console.error("Export cleanup error:", err.message);
+  }
+}
+
+// ─── Runtime Config (/config) ───────────────────────────
+
+function formatSetting({ key, value, source, apply, env }) {
+  const shown = Array.isArray(value) ? value.join(" ") : value;
+  return `${key} = ${shown}\n  (${source}, ${apply}; env ${env})`;
+}
+
+async function handleConfigCommand(args) {
+  const [action = "get", key, ...rest] = args;
+  const settings = config.describe();
+
+  if (action === "get") {
+    const matching = key ? settings.filter((s) => s.key === key) : settings;
+    await sendPushNotification(
+      "⚙️ Config",
+      matching.length
+        ? matching
+            .map((s) =>
+              key ? `${formatSetting(s)}\n${s.description}` : formatSetting(s),
+            )
+            .join("\n\n")
+        : `Unknown setting "${key}".\nKnown: ${settings.map((s) => s.key).join(", ")}`,
+    );
+    return;
+  }
+
+  if (action === "set" && key && rest.length) {
+    if (!TELEGRAM_SETTABLE.includes(key)) {
+      await sendPushNotification(
+        "⚠️ Not settable here",
+        `${key} can only be changed in config.json or the environment.\nSettable here: ${TELEGRAM_SETTABLE.join(", ")}`,
+      );
+      return;
+    }
+    try {
+      const { value, overriddenByEnv } = config.set(key, rest.join(" "));
+      const shown = Array.isArray(value) ? value.join(" ") : value;
+      await sendPushNotification(
+        "⚙️ Config updated",
+        `${key} = ${shown}\n${
+          overriddenByEnv
+            ? "Saved, but the environment overrides it — change the env var instead."
+            : "Applied now."
+        }`,
+      );
+    } catch (err) {
+      await sendPushNotification("⚠️ Invalid setting", err.message);
+    }
+    return;
+  }
+
+  await sendPushNotification(
+    "⚠️ Usage",
+    `/config get [key]\n/config set <key> <value>\nLists take comma-separated values.\nSettable here: ${TELEGRAM_SETTABLE.join(", ")}`,
+  );
+}
+
+// ─── Keyword Watch (/watchword) ─────────────────────────
+
+async function alertWatchwords({
+  account,
+  text,
+  ctx,
+  chatLocation,
+  senderName,
+  senderNumber,
+  time,
+}) {
+  const hits = keywordWatch.match(text, ctx);
+  if (!hits.length) return;
+  const patterns = hits.map((h) => h.watch.pattern);
+  console.log(`🔔 Watchword hit (${patterns.join(", ")}): ${chatLocation}`);
+  await notifyFor(account, {
+    type: "keyword",
+    chat: ctx,
+    title: `🔔 ${patterns[0]}${patterns.length > 1 ? ` +${patterns.length - 1}` : ""} — ${senderName}`,
+    body: `Where: ${chatLocation}\nWho: ${senderName} (${senderNumber})\nTime: ${time}\nMatched: ${patterns.join(", ")}\nMessage: ${highlightMatches(text, hits)}`,
+    data: {
+      where: chatLocation,
+      senderName,
+      senderNumber,
+      time,
+      message: text,
+      patterns,
+    },
+  });
+}
+
+function formatWatchwords() {
+  const watches = keywordWatch.list();
+  if (!watches.length) return "No watchwords set.";
+  return watches
+    .map((w) => `${w.id}. ${w.pattern}${w.chat ? ` (in ${w.chat})` : ""}`)
+    .join("\n");
+}
+
+async function handleWatchwordCommand(args) {
+  const [action, ...rest] = args;
+  const usage =
+    "/watchword add <word or /regex/flags> [in:<chat>]\n/watchword remove <# or pattern>\n/watchword list";
+
+  if (action === "list") {
+    await sendPushNotification("🔔 Watchwords", formatWatchwords());
+    return;
+  }
+
+  if (action === "add" && rest.length) {
+    // Everything after " in:" names the chat, which may contain spaces
+    const { pattern, chat } = parseWatchword(rest.join(" "));
+    try {
+      const watch = keywordWatch.add(pattern, chat);
+      await sendPushNotification(
+        "🔔 Watchword added",
+        `${watch.id}. ${watch.pattern}${watch.chat ? ` (in ${watch.chat})` : " (all chats)"}`,
+      );
+    } catch (err) {
+      await sendPushNotification("⚠️ Invalid watchword", err.message);
+    }
+    return;
+  }
+
+  if (action === "remove" && rest.length) {
+    const removed = keywordWatch.remove(rest.join(" "));
+    await sendPushNotification(
+      removed ? "🔔 Watchword removed" : "⚠️ No such watchword",
+      removed ? removed.pattern : formatWatchwords(),
+    );
+    return;
+  }
+
+  await sendPushNotification("⚠️ Usage", usage);
+}
+
+// ─── Chat Rules (/ignore, /watch, /mute, /rules) ────────
+
+function formatRules() {
+  const { watchOnly, statuses, rules, mutes } = chatRules.snapshot();
+  const lines = [
+    `Mode: ${watchOnly ? "watch-only (unlisted chats are ignored)" : "all chats"}\nStatuses: ${statuses ? "captured" : "off"}`,
+  ];
+  const labels = {
+    ignore: "🚫 Ignored",
+    watch: "👀 Watched",
+    nomedia: "👀 Watched, no media",
+  };
+  for (const [action, label] of Object.entries(labels)) {
+    const targets = Object.keys(rules).filter((t) => rules[t] === action);
+    if (targets.length) lines.push(`${label}:\n  ${targets.join("\n  ")}`);
+  }
+  const muted = Object.entries(mutes).map(
+    ([t, until]) => `${t} (until ${formatTime(new Date(until))})`,
+  );
+  if (muted.length) lines.push(`🔕 Muted:\n  ${muted.join("\n  ")}`);
+  if (lines.length === 1) lines.push("No rules set.");
+  return lines.join("\n\n");
+}
+
+async function handleRulesCommand(command, args) {
+  if (command === "/rules") {
+    await sendPushNotification("📏 Rules", formatRules());
+    return;
+  }
+
+  if (command === "/watchonly") {
+    const value = (args[0] || "").toLowerCase();
+    if (value !== "on" && value !== "off") {
+      await sendPushNotification("⚠️ Usage", "/watchonly on|off");
+      return;
+    }
+    chatRules.setWatchOnly(value === "on");
+    await sendPushNotification(
+      "📏 Rules updated",
+      value === "on"
+        ? "Only watched chats and contacts are captured now."
+        : "All chats are captured again (except ignored ones).",
+    );
+    return;
+  }
+
+  if (command === "/mute") {
+    const durationMs = parseDuration(args[args.length - 1]);
+    const target = args.slice(0, -1).join(" ");
+    if (!target || !durationMs) {
+      await sendPushNotification(
+        "⚠️ Usage",
+        "/mute <contact, number or group> <duration>\nDuration: 30m, 8h, 2d, 1w",
+      );
+      return;
+    }
+    const until = chatRules.mute(target, durationMs);
+    await sendPushNotification(
+      "🔕 Muted",
+      `${target} — alerts paused until ${formatTime(new Date(until))}.\nMessages are still captured.`,
+    );
+    return;
+  }
+
+  let target = args.join(" ");
+  let action = command === "/ignore" ? "ignore" : "watch";
+  if (command === "/watch" && /^nomedia$/i.test(args[args.length - 1])) {
+    action = "nomedia";
+    target = args.slice(0, -1).join(" ");
+  }
+  if (!target) {
+    await sendPushNotification(
+      "⚠️ Usage",
+      command === "/watch"
+        ? "/watch <contact, number or group> [nomedia]"
+        : `${command} <contact, number or group>`,
+    );
+    return;
+  }
+
+  if (command === "/unignore" || command === "/unwatch") {
+    const removed = chatRules.removeRule(target);
+    await sendPushNotification(
+      removed ? "📏 Rule removed" : "⚠️ No such rule",
+      removed ? `${target} no longer has a rule.` : `No rule for ${target}.`,
+    );
+  } else if (command === "/unmute") {
+    const removed = chatRules.unmute(target);
+    await sendPushNotification(
+      removed ? "🔔 Unmuted" : "⚠️ Not muted",
+      removed ? `Alerts resumed for ${target}.` : `${target} was not muted.`,
+    );
+  } else {
+    chatRules.setRule(target, action);
+    await sendPushNotification(
+      "📏 Rule added",
+      {
+        ignore: `${target} is ignored: no caching, media or alerts.`,
+        watch: `${target} is watched.`,
+        nomedia: `${target} is watched without downloading media.`,
+      }[action],
+    );
+  }
+}
+
+// ─── Telegram Access ────────────────────────────────────
+// TELEGRAM_CHAT_ID is always an admin; telegramChats adds Telegram users or
+// whole chats ("<id>=admin|viewer"). A message gets the higher role of its
+// sender and its chat. Viewers can search and read what is routed to their
+// chat; admins see everything and can also reconnect WhatsApp and change
+// rules and settings.
+const ADMIN_COMMANDS = [
+  "/rebuild_it",
+  "/flush",
+  "/config",
+  "/ignore",
+  "/unignore",
+  "/watch",
+  "/unwatch",
+  "/watchonly",
+  "/mute",
+  "/unmute",
+  "/statusmode",
+  "/backup_session",
+  "/restore_session",
+];
+
+function telegramRole(message) {
+  const ids = [message.from?.id, message.chat?.id]
+    .filter((id) => id !== undefined)
+    .map(String);
+  if (ids.includes(TELEGRAM_CHAT_ID)) return "admin";
+  const roles = config
+    .get("telegramChats")
+    .map((entry) => entry.split("="))
+    .filter(([id]) => ids.includes(id))
+    .map(([, role]) => role);
+  if (roles.includes("admin")) return "admin";
+  return roles.includes("viewer") ? "viewer" : null;
+}
+
+// Where replies to `message` go: its chat, and its topic in forum groups
+function replyTarget(message, role) {
+  return {
+    chatId: String(message.chat.id),
+    threadId: message.is_topic_message ? message.message_thread_id : null,
+    role,
+  };
+}
+
+// /watchword only reads with list
+function isAdminCommand(command, args) {
+  if (command === "/watchword") return args[0] !== "list";
+  return ADMIN_COMMANDS.includes(command);
+}
+
+// The rule context a saved record was captured with; older records only
+// know the group name and the sender
+function recordChat(record) {
+  if (record.chat) return record.chat;
+  if (record.kind === "status") {
+    return statusRuleContext(record.senderName, record.senderNumber);
+  }
+  const where = String(record.where || "");
+  return {
+    chatId: null,
+    chatName: where.startsWith("Group: ")
+      ? where.slice("Group: ".length)
+      : null,
+    senderName: record.senderName,
+    senderNumber: record.senderNumber,
+  };
+}
+
+// Whether the command being handled may see a chat: viewers only see chats
+// whose alerts telegramRoutes sends to their Telegram chat
+function inCommandScope(chat) {
+  if (!commandChat || commandChat.role === "admin") return true;
+  const [route] = telegramRoute({ chat });
+  return Boolean(route) && route.chatId === commandChat.chatId;
+}
+
+// ─── Alert Buttons ──────────────────────────────────────
+
+// Cached messages of the alert's chat around the one it is about; the cache
+// only reaches back deleteWindowHours
+function formatChatHistory(context) {
+  const account = findAccount(context.account) || accounts[0];
+  const sentSeconds = context.sentAt / 1000;
+  const messages = [...account.messageCache.entries()]
+    .filter(
+      ([id, m]) =>
+        id !== context.messageId &&
+        m.chatId === context.chat.chatId &&
+        m.timestamp,
+    )
+    .map(([, m]) => m)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  const line = (m) =>
+    `[${formatTime(new Date(m.timestamp * 1000))}] ${m.senderName}: ${m.body}`;
+  const before = messages
+    .filter((m) => m.timestamp < sentSeconds)
+    .slice(-HISTORY_AROUND);
+  const after = messages
+    .filter((m) => m.timestamp >= sentSeconds)
+    .slice(0, HISTORY_AROUND);
+  if (!before.length && !after.length) {
+    return "Nothing else from this chat is cached any more.";
+  }
+  return [
+    ...before.map(line),
+    `👉 [${formatTime(new Date(context.sentAt))}] ${context.senderName}: (this message)`,
+    ...after.map(line),
+  ].join("\n");
+}
+
+// Runs a button press and notes the outcome under the alert. Returns the
+// note, or null if the action could not run.
+async function runAlertAction(action, context) {
+  if (action === "media") {
+    const files = context.media.filter((m) => fs.existsSync(m.filePath));
+    if (!files.length) return null;
+    for (const m of files) {
+      await sendTelegramMedia(
+        m.filePath,
+        m.mimetype,
+        m.filename,
+        m.caption,
+        m.kind,
+      );
+    }
+    return `📎 Sent ${files.length} file(s)`;
+  }
+  if (action === "history") {
+    await sendPushNotification(
+      `💬 ${context.where} around ${formatTime(new Date(context.sentAt))}`,
+      formatChatHistory(context),
+    );
+    return "💬 Chat history sent";
+  }
+  if (action === "mute") {
+    // Groups by name, private chats by number, as /mute would
+    const target = context.chat.chatName || context.senderNumber;
+    const until = chatRules.mute(target, ALERT_MUTE_MS);
+    return `🔕 ${target} muted until ${formatTime(new Date(until))}`;
+  }
+  chatRules.setRule(context.senderNumber, "ignore");
+  return `🚫 ${context.senderName} (${context.senderNumber}) ignored`;
+}
+
+async function handleAlertAction(query) {
+  const message = query.message;
+  const role =
+    message && telegramRole({ from: query.from, chat: message.chat });
+  if (!role) {
+    await telegram.answerCallback(query.id);
+    return;
+  }
+  const resolved = alertActions.resolve(query.data);
+  if (!resolved) {
+    await telegram.answerCallback(query.id, "These buttons have expired.");
+    return;
+  }
+  const { action, context } = resolved;
+  if (role !== "admin" && isAdminCommand(ALERT_ACTIONS[action].command, [])) {
+    await telegram.answerCallback(query.id, "🔒 Admins only");
+    return;
+  }
+
+  commandChat = replyTarget(message, role);
+  let note;
+  try {
+    note = await runAlertAction(action, context);
+  } catch (err) {
+    console.error("Alert action error:", err);
+    await telegram.answerCallback(query.id, `⚠️ ${err.message}`);
+    return;
+  }
+  if (!note) {
+    await telegram.answerCallback(query.id, "The media is no longer on disk.");
+    return;
+  }
+  console.log(`🔘 Alert action: ${note}`);
+  await telegram.answerCallback(query.id, note);
+
+  // Rules only need setting once; media and history can be asked again
+  const keyboard = ["mute", "ignore"].includes(action)
+    ? removeButton(message.reply_markup?.inline_keyboard, query.data)
+    : message.reply_markup?.inline_keyboard;
+  const by = query.from?.username
+    ? `@${query.from.username}`
+    : query.from?.first_name;
+  await telegram.editMessage({
+    chatId: message.chat.id,
+    messageId: message.message_id,
+    text: `${message.text}\n\n${note}${by ? ` (${by})` : ""}`,
+    entities: message.entities,
+    keyboard,
+  });
+}
+
+// ─── Telegram Bot Command Polling ───────────────────────
+async function pollTelegramCommands() {
+  console.log(
+    "🤖 Telegram bot command polling started. Send /rebuild_it to re-authenticate.",
+  );
+
+  while (telegramPollingActive) {
+    try {
+      const res = await fetch(
+        `${telegram.methodUrl("getUpdates")}?offset=${telegramUpdateOffset}&timeout=30&allowed_updates=["message","callback_query"]`,
+      );
+      const data = await res.json();
+      if (data.ok && data.result.length > 0) {
+        for (const update of data.result) {
+          telegramUpdateOffset = update.update_id + 1;
+          if (update.callback_query) {
+            await handleAlertAction(update.callback_query);
+            commandChat = null;
+            continue;
+          }
+          const message = update.message;
+          const text = message?.text?.trim();
+          if (!text) continue;
+
+          // Only accept commands from authorized users and chats
+          const role = telegramRole(message);
+          if (!role) continue;
+
+          // "/search@MyBot foo bar" → command "/search", args ["foo", "bar"]
+          const [rawCommand, ...args] = text.split(/\s+/);
+          const command = rawCommand.split("@")[0].toLowerCase();
+          commandChat = replyTarget(message, role);
+
+          if (role !== "admin" && isAdminCommand(command, args)) {
+            await sendPushNotification(
+              "🔒 Admins only",
+              `${command} needs an admin. Viewers can search, browse and export.`,
+            );
+          } else if (command === "/rebuild_it") {
+            console.log("🔄 /rebuild_it command received from Telegram");
+            const { account, rest } = takeAccountArg(args);
+            if (!account) {
+              await sendPushNotification(
+                "⚠️ Which account?",
+                `/rebuild_it <account> [fresh] [qr]\nAccounts: ${accounts.map((a) => a.name).join(", ")}`,
+              );
+            } else {
+              await handleReauth(account, {
+                fresh: rest.includes("fresh"),
+                qr: rest.includes("qr"),
+              });
+            }
+          } else if (command === "/backup_session") {
+            await handleBackupCommand(args);
+          } else if (command === "/restore_session") {
+            await handleRestoreCommand(args);
+          } else if (command === "/status") {
+            const shown = args[0] ? [findAccount(args[0])] : accounts;
+            if (!shown[0]) {
+              await sendPushNotification(
+                "⚠️ Unknown account",
+                `Accounts: ${accounts.map((a) => a.name).join(", ")}`,
+              );
+            } else {
+              await sendPushNotification(
+                "📊 Status",
+                `${shown.map(formatAccountStatus).join("\n\n")}\nTime: ${formatTime()}\n${formatDiskUsage()}\n${formatOutboxStatus()}`,
+              );
+            }
+          } else if (command === "/flush") {
+            const pending = outbox.flush();
+            await sendPushNotification(
+              "📮 Outbox flushed",
+              pending
+                ? `Retrying ${pending} pending delivery(s) now.`
+                : "Nothing pending.",
+            );
+          } else if (
+            ["/recent", "/search", "/from", "/chat"].includes(command)
+          ) {
+            await handleRecordQuery(command, args);
+          } else if (command === "/export") {
+            await handleExportCommand(args);
+          } else if (command === "/stats") {
+            await handleStatsCommand(args);
+          } else if (command === "/config") {
+            await handleConfigCommand(args);
+          } else if (command === "/watchword") {
+            await handleWatchwordCommand(args);
+          } else if (command === "/statuses") {
+            await handleStatusesCommand(args);
+          } else if (command === "/statusmode") {
+            await handleStatusMode(args);
+          } else if (command === "/more" || command === "/media") {
+            await handleRecordPaging(command, args);
+          } else if (
+            [
+              "/ignore",
+              "/unignore",
+              "/watch",
+              "/unwatch",
+              "/watchonly",
+              "/mute",
+              "/unmute",
+              "/rules",
+            ].includes(command)
+          ) {
+            await handleRulesCommand(command, args);
+          } else if (command === "/options") {
+            await sendPushNotification(
+              "✅ WhatsApp Connected",
+              `/status [account] — Check bot status\n/rebuild_it [account] — Restart WhatsApp, keeping the session\n/rebuild_it [account] fresh — Wipe the session and pair again\n/rebuild_it [account] qr — Pair with a QR code instead of a code\n/backup_session [account] — Snapshot the WhatsApp session\n/restore_session [account] [latest|<file>] — List or restore snapshots\n/flush — Retry pending notifications now\n/recent [n] — Last n deleted messages\n/search <text> — Search deleted messages\n/from <contact or number> — Deleted messages by sender\n/chat <group name> — Deleted messages in a group\n/more — Next page of results\n/media <#> — Re-send saved media for a result\n/stats [7d|24h|today] — Deletions ranked by sender and group\n/export <chat or contact> [from] [to] — ZIP with HTML transcript and media\n/ignore <chat> — Stop capturing a chat or contact\n/unignore <chat> — Remove its rule\n/watch <chat> [nomedia] — Add to the watch list\n/unwatch <chat> — Remove from the watch list\n/watchonly on|off — Capture only watched chats\n/mute <chat> <8h> — Pause alerts temporarily\n/unmute <chat> — Resume alerts\n/rules — Show current rules\n/config get|set — View or change settings\n/watchword add|remove|list — Alerts for keywords or /regex/\n/statuses <contact> — Recent statuses, including deleted ones\n/statusmode on|off — Capture WhatsApp statuses\n/options — Show this list\n\n${role === "admin" ? "" : "As a viewer you can use the search, stats, export and status commands for the chats routed here.\n"}Queries accept since:/until: filters (YYYY-MM-DD or 12h/3d/2w).`,
+            );
+          }
+          commandChat = null;
+        }
+      }
+    } catch (err) {
+      commandChat = null;
+      // Polling error — retry after delay
+      await new Promise((r) => setTimeout(r, 5000));
+    }
+  }
+}
+
+// ─── Session Backups & Pairing Fallback ─────────────────
+// See lib/session-backup.js. Snapshots stay on disk in data/session-backups
+// and, with sessionBackupTelegram, are also uploaded still encrypted. A
+// snapshot is a working WhatsApp login, so none are taken without a key.
+
+const SESSION_BACKUP_NEEDS_KEY =
+  "Session backups hold your WhatsApp login, so they are only taken with encryption on. Set ENCRYPTION_KEY or ENCRYPTION_KEY_FILE to enable them.";
+
+function sessionPath(account) {
+  return path.join(AUTH_DATA_PATH, `session-${account.clientId}`);
+}
+
+function formatBackupLine({ filename, bytes }, index) {
+  return `${index + 1}. ${filename} (${formatBytes(bytes)})`;
+}
+
+async function backupSession(account, reason) {
+  if (!encryption.enabled) throw new Error(SESSION_BACKUP_NEEDS_KEY);
+  const backup = await sessionBackups.backup(
+    sessionPath(account),
+    account.clientId,
+    reason,
+  );
+  console.log(
+    `🗄️ ${accountPrefix(account)}Session backed up: ${backup.filename}`,
+  );
+  if (config.get("sessionBackupTelegram") === "on") {
+    await telegram.sendRawFile(
+      backup.filePath,
+      backup.filename,
+      `🗄️ ${accountPrefix(account)}WhatsApp session backup (${reason})\nRestore: put it in data/session-backups and send /restore_session ${backup.filename}`,
+    );
+  }
+  return backup;
+}
+
+// Before a wipe or restore; failing to snapshot doesn't stop either
+async function snapshotSession(account, reason) {
+  if (!fs.existsSync(sessionPath(account))) return;
+  if (!encryption.enabled) {
+    console.warn(
+      `⚠️ ${accountPrefix(account)}No ${reason} session snapshot: encryption is off`,
+    );
+    return;
+  }
+  try {
+    await backupSession(account, reason);
+  } catch (err) {
+    console.error("Session backup error:", err.message);
+  }
+}
+
+// Periodic snapshots of linked accounts, every sessionBackupHours
+let sessionBackupKeyWarned = false;
+
+async function backupDueSessions() {
+  const hours = config.get("sessionBackupHours");
+  if (!hours) return;
+  if (!encryption.enabled) {
+    if (!sessionBackupKeyWarned) console.warn(`⚠️ ${SESSION_BACKUP_NEEDS_KEY}`);
+    sessionBackupKeyWarned = true;
+    return;
+  }
+  for (const account of accounts) {
+    if (!account.client?.info || !fs.existsSync(sessionPath(account))) continue;
+    const [latest] = sessionBackups.list(account.clientId);
+    if (latest && Date.now() - latest.createdAt < hours * 60 * 60 * 1000)
+      continue;
+    try {
+      await backupSession(account, "auto");
+    } catch (err) {
+      console.error("Session backup error:", err.message);
+    }
+  }
+}
+
+async function handleBackupCommand(args) {
+  const { account } = takeAccountArg(args);
+  if (!account) {
+    await sendPushNotification(
+      "⚠️ Which account?",
+      `/backup_session <account>\nAccounts: ${accounts.map((a) => a.name).join(", ")}`,
+    );
+    return;
+  }
+  if (!encryption.enabled) {
+    await sendPushNotification(
+      "🔒 Encryption required",
+      SESSION_BACKUP_NEEDS_KEY,
+    );
+    return;
+  }
+  try {
+    const backup = await backupSession(account, "manual");
+    await sendPushNotification(
+      `🗄️ ${accountPrefix(account)}Session backed up`,
+      `${backup.filename} (${formatBytes(backup.bytes)})`,
+    );
+  } catch (err) {
+    await sendPushNotification("❌ Backup Failed", err.message);
+  }
+}
+
+async function handleRestoreCommand(args) {
+  const { account, rest } = takeAccountArg(args);
+  if (!account) {
+    await sendPushNotification(
+      "⚠️ Which account?",
+      `/restore_session <account> [latest|<file>]\nAccounts: ${accounts.map((a) => a.name).join(", ")}`,
+    );
+    return;
+  }
+  if (!rest.length) {
+    const backups = sessionBackups.list(account.clientId);
+    await sendPushNotification(
+      `🗄️ ${accountPrefix(account)}Session backups`,
+      backups.length
+        ? `${backups.slice(0, RESULTS_PAGE_SIZE).map(formatBackupLine).join("\n")}\n\nSend /restore_session latest or /restore_session <file>.`
+        : "None yet. Send /backup_session to take one.",
+    );
+    return;
+  }
+  const backup = sessionBackups.find(account.clientId, rest[0]);
+  if (!backup) {
+    await sendPushNotification(
+      "❌ No such backup",
+      `${rest[0]} isn't one of ${account.name}'s backups. Send /restore_session to list them.`,
+    );
+    return;
   }
-  messageCache.set(msgId, { ...data, cachedAt: Date.now() });
-  setTimeout(() => messageCache.delete(msgId), MESSAGE_CACHE_TTL_MS);
-}
-
-// ─── Helpers ────────────────────────────────────────────
-
-function readMediaAsBase64(filePath) {
   try {
-    if (fs.existsSync(filePath)) {
-      return fs.readFileSync(filePath).toString("base64");
-    }
+    await sendPushNotification(
+      `♻️ ${accountPrefix(account)}Restoring session`,
+      `Restarting WhatsApp with ${backup.filename}.${encryption.enabled ? " The current session is backed up first." : ""}`,
+    );
+    await restartClient(account, { restoreFrom: backup.filePath });
   } catch (err) {
-    console.error("Error reading media from disk:", err.message);
+    console.error("Restore error:", err);
+    await sendPushNotification("❌ Restore Failed", `Error: ${err.message}`);
   }
-  return null;
-}
-
-function getExtension(mimetype) {
-  const map = {
-    "image/jpeg": ".jpg",
-    "image/png": ".png",
-    "image/webp": ".webp",
-    "image/gif": ".gif",
-    "image/bmp": ".bmp",
-    "image/tiff": ".tiff",
-    "image/heic": ".heic",
-    "image/heif": ".heif",
-    "image/svg+xml": ".svg",
-    "video/mp4": ".mp4",
-    "video/3gpp": ".3gp",
-    "video/quicktime": ".mov",
-    "video/x-msvideo": ".avi",
-    "video/webm": ".webm",
-    "video/x-matroska": ".mkv",
-    "audio/ogg; codecs=opus": ".ogg",
-    "audio/ogg": ".ogg",
-    "audio/mpeg": ".mp3",
-    "audio/mp4": ".m4a",
-    "audio/wav": ".wav",
-    "audio/aac": ".aac",
-    "audio/flac": ".flac",
-    "audio/amr": ".amr",
-    "application/pdf": ".pdf",
-    "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
-      ".docx",
-    "application/msword": ".doc",
-    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet":
-      ".xlsx",
-    "application/vnd.ms-excel": ".xls",
-    "application/vnd.openxmlformats-officedocument.presentationml.presentation":
-      ".pptx",
-    "application/vnd.ms-powerpoint": ".ppt",
-    "text/plain": ".txt",
-    "text/csv": ".csv",
-    "application/zip": ".zip",
-    "application/x-rar-compressed": ".rar",
-    "application/x-7z-compressed": ".7z",
-    "application/gzip": ".gz",
-    "application/json": ".json",
-    "application/octet-stream": ".bin",
-    "application/vnd.android.package-archive": ".apk",
-  };
-  if (map[mimetype]) return map[mimetype];
-  const sub = mimetype ? mimetype.split(";")[0].split("/")[1] : "bin";
-  return "." + sub;
 }
 
-async function saveMediaToTemp(msg) {
-  try {
-    if (!msg.hasMedia) return null;
-    const media = await msg.downloadMedia();
-    if (!media || !media.data) return null;
-
-    const sizeBytes = Buffer.byteLength(media.data, "base64");
-    if (sizeBytes > MAX_MEDIA_SIZE_MB * 1024 * 1024) {
-      console.log(
-        `⚠️ Skipping large media (${(sizeBytes / 1024 / 1024).toFixed(1)}MB > ${MAX_MEDIA_SIZE_MB}MB)`,
+// Pairing by code sometimes never links: requesting the code fails inside
+// WhatsApp Web, or it expires before it's entered. If nothing has
+// authenticated after pairingQrFallbackSeconds, the account starts over
+// with a QR code.
+function armQrFallback(account) {
+  const seconds = config.get("pairingQrFallbackSeconds");
+  if (!seconds || account.pairingTimer || account.pairingMethod !== "code")
+    return;
+  account.pairingTimer = setTimeout(async () => {
+    account.pairingTimer = null;
+    console.log(
+      `📷 ${accountPrefix(account)}Pairing code not used after ${seconds}s, switching to QR`,
+    );
+    account.pairingMethod = "qr";
+    try {
+      await notifyFor(account, {
+        type: "pairing_fallback",
+        title: "📷 Switching to a QR code",
+        body: `The pairing code hasn't linked WhatsApp after ${seconds}s. A QR code to scan follows.`,
+      });
+      await restartClient(account);
+    } catch (err) {
+      console.error("QR fallback error:", err);
+      await sendPushNotification(
+        `❌ ${accountPrefix(account)}QR Fallback Failed`,
+        `Error: ${err.message}\n\nSend /rebuild_it ${MULTI_ACCOUNT ? `${account.name} ` : ""}qr to try again.`,
       );
-      return null;
     }
+  }, seconds * 1000);
+  account.pairingTimer.unref();
+}
 
-    const ext = getExtension(media.mimetype);
-    const timestamp = Date.now();
-    const filename = `${timestamp}_${msg.id.id}${ext}`;
-    const filePath = path.join(TEMP_MEDIA_DIR, filename);
+function disarmQrFallback(account) {
+  clearTimeout(account.pairingTimer);
+  account.pairingTimer = null;
+}
+
+// WhatsApp Web draws the QR code on its login page; a screenshot of that
+// box (or the whole page if it moved) is what the phone scans
+async function renderQrCode(client) {
+  const page = client.pupPage;
+  if (!page) throw new Error("no browser page");
+  const box = await page
+    .waitForSelector("div[data-ref] canvas", { timeout: QR_RENDER_TIMEOUT_MS })
+    .then(() => page.$("div[data-ref]"))
+    .catch(() => null);
+  const png = await withTimeout(
+    (box || page).screenshot({ type: "png" }),
+    QR_RENDER_TIMEOUT_MS,
+    "QR code screenshot",
+  );
+  return Buffer.from(png);
+}
 
-    fs.writeFileSync(filePath, Buffer.from(media.data, "base64"));
+// ─── Client Lifecycle ───────────────────────────────────
 
-    const timeout = setTimeout(() => {
-      try {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          console.log(`🧹 Auto-removed (68h expired): ${filename}`);
-        }
-      } catch (e) {
-        console.error("Auto-cleanup error:", e);
-      }
-      mediaTracker.delete(msg.id._serialized);
-    }, DELETE_WINDOW_MS);
+// "/rebuild_it work fresh" → the work account and ["fresh"]; the name may
+// be left out when there is only one account
+function takeAccountArg(args) {
+  const named = args[0] && findAccount(args[0]);
+  if (named) return { account: named, rest: args.slice(1) };
+  return { account: MULTI_ACCOUNT ? null : accounts[0], rest: args };
+}
 
-    mediaTracker.set(msg.id._serialized, {
-      filePath,
-      filename,
-      timeout,
-      mimetype: media.mimetype,
-      sentTimestamp: msg.timestamp,
-    });
-    console.log(`📎 Temp media saved: ${filename}`);
-    return filename;
-  } catch (err) {
-    console.error("Media download error:", err);
-    return null;
-  }
+function formatConnectionStatus(account) {
+  const { state, attempts, lastReason, nextRetryAt } =
+    account.supervisor.status();
+  if (state === "connected" || state === "starting") return "";
+  let text = ` (${state}`;
+  if (attempts) text += `, attempt ${attempts}`;
+  if (nextRetryAt)
+    text += `, next try in ${Math.max(0, Math.round((nextRetryAt - Date.now()) / 1000))}s`;
+  text += ")";
+  if (lastReason) text += `\nLast issue: ${lastReason}`;
+  return text;
 }
 
-function saveDeletedRecord(data) {
+// A hung page can make destroy() hang too — give up and kill Chrome
+async function destroyClient(client) {
   try {
-    const timestamp = Date.now();
-    const safeName = (data.senderName || "unknown")
-      .replace(/[^a-zA-Z0-9]/g, "_")
-      .substring(0, 20);
-    const filename = `deleted_${timestamp}_${safeName}.json`;
-    const filePath = path.join(SAVED_MEDIA_DIR, filename);
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), "utf8");
-    console.log(`📝 Deleted record saved: ${filename}`);
-  } catch (err) {
-    console.error("Error saving deleted record:", err.message);
+    await withTimeout(
+      client.destroy(),
+      CLIENT_DESTROY_TIMEOUT_MS,
+      "Client destroy",
+    );
+  } catch (e) {
+    console.error("Client destroy error (ignored):", e.message);
+    try {
+      client.pupBrowser?.process()?.kill("SIGKILL");
+    } catch (killErr) {
+      // already gone
+    }
   }
 }
 
-// ─── Telegram Bot Command Polling ───────────────────────
-async function pollTelegramCommands() {
-  console.log(
-    "🤖 Telegram bot command polling started. Send /rebuild_it to re-authenticate.",
-  );
-
-  while (telegramPollingActive) {
+// Clearing account.client first makes late events from the old client
+// (its own "disconnected", a browser close) no-ops in the handlers.
+// `backupReason` snapshots the session before it is wiped; `restoreFrom`
+// replaces it with a backup (after snapshotting the current one).
+async function restartClient(
+  account,
+  { wipeSession = false, backupReason = null, restoreFrom = null } = {},
+) {
+  const { client } = account;
+  account.client = null;
+  disarmQrFallback(account);
+  if (client) await destroyClient(client);
+
+  const sessionDir = sessionPath(account);
+  if (restoreFrom) {
+    await snapshotSession(account, "before-restore");
     try {
-      const res = await fetch(
-        `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/getUpdates?offset=${telegramUpdateOffset}&timeout=30&allowed_updates=["message"]`,
+      await sessionBackups.restore(restoreFrom, sessionDir);
+      console.log(
+        `♻️ ${accountPrefix(account)}Session restored from ${path.basename(restoreFrom)}`,
       );
-      const data = await res.json();
-      if (data.ok && data.result.length > 0) {
-        for (const update of data.result) {
-          telegramUpdateOffset = update.update_id + 1;
-          const text = update.message?.text?.trim();
-          const chatId = String(update.message?.chat?.id);
-
-          // Only accept commands from the authorized chat
-          if (chatId !== TELEGRAM_CHAT_ID) continue;
-
-          if (text === "/rebuild_it") {
-            console.log("🔄 /rebuild_it command received from Telegram");
-            await handleReauth();
-          } else if (text === "/status") {
-            const status = currentClient?.info
-              ? `✅ Connected as ${currentClient.info.pushname}`
-              : "❌ Not connected";
-            await sendPushNotification(
-              "📊 Status",
-              `${status}\nTime: ${getIST()}\nCache: ${messageCache.size} messages\nMedia tracked: ${mediaTracker.size}`,
-            );
-          } else if (text === "/options") {
-            await sendPushNotification(
-              "✅ WhatsApp Connected",
-              `/status — Check bot status\n/rebuild_it — Re-authenticate\n/options — Show this list`,
-            );
-          }
-        }
-      }
     } catch (err) {
-      // Polling error — retry after delay
-      await new Promise((r) => setTimeout(r, 5000));
+      console.error("Session restore error:", err.message);
+      await sendPushNotification(
+        "❌ Restore Failed",
+        `${path.basename(restoreFrom)}: ${err.message}\n\nThe current session was left in place.`,
+      );
     }
+  } else if (wipeSession && fs.existsSync(sessionDir)) {
+    if (backupReason) await snapshotSession(account, backupReason);
+    fs.rmSync(sessionDir, { recursive: true, force: true });
+    console.log(`🗑️ ${accountPrefix(account)}Old auth session deleted`);
   }
+
+  await startClient(account);
 }
 
 // ─── Reauth Handler ─────────────────────────────────────
-async function handleReauth() {
+async function handleReauth(account, { fresh = false, qr = false } = {}) {
+  const pairing = qr ? "QR code" : "pairing code";
   try {
+    account.pairingMethod = qr ? "qr" : "code";
     await sendPushNotification(
-      "🔄 Re-authenticating",
-      "Clearing old session and requesting new pairing code...",
+      `🔄 ${accountPrefix(account)}Re-authenticating`,
+      fresh
+        ? `Clearing old session (a backup is kept, see /restore_session) and requesting a new ${pairing}...`
+        : `Restarting WhatsApp with the saved session. If it isn't linked, a new ${pairing} will follow.`,
     );
-
-    // Destroy current client
-    if (currentClient) {
-      try {
-        await currentClient.destroy();
-      } catch (e) {
-        console.error("Client destroy error (ignored):", e.message);
-      }
-      currentClient = null;
-    }
-
-    // Delete auth data
-    const sessionPath = path.join(AUTH_DATA_PATH, "session-wa-agent");
-    if (fs.existsSync(sessionPath)) {
-      fs.rmSync(sessionPath, { recursive: true, force: true });
-      console.log("🗑️ Old auth session deleted");
-    }
-
-    // Start fresh client
-    await startClient();
+    await restartClient(account, {
+      wipeSession: fresh,
+      backupReason: "before-fresh",
+    });
   } catch (err) {
     console.error("Reauth error:", err);
     await sendPushNotification("❌ Reauth Failed", `Error: ${err.message}`);
@@ -346,68 +2375,93 @@ async function handleReauth() {
 }
 
 // ─── Create WhatsApp Client with all event handlers ─────
-function createClient() {
-  pairingCodeSent = false;
-
-  const client = new Client({
-    authStrategy: new LocalAuth({
-      clientId: "wa-agent",
-      dataPath: AUTH_DATA_PATH,
-    }),
-    pairWithPhoneNumber: {
-      phoneNumber: WA_PHONE_NUMBER,
-      showNotification: true,
-      intervalMs: 86400000, // 24h — effectively no auto-retry (user must /rebuild_it)
-    },
-    authTimeoutMs: 120000,
-    puppeteer: {
-      headless: "shell",
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-        "--disable-gpu",
-        "--single-process",
-        "--no-zygote",
-        "--disable-extensions",
-        "--disable-background-networking",
-        "--disable-default-apps",
-        "--disable-sync",
-        "--disable-translate",
-        "--disable-software-rasterizer",
-        "--disable-background-timer-throttling",
-        "--disable-backgrounding-occluded-windows",
-        "--disable-renderer-backgrounding",
-        "--disable-component-update",
-        "--disable-domain-reliability",
-        "--metrics-recording-only",
-        "--no-first-run",
-        "--js-flags=--max-old-space-size=128",
-        "--disable-features=TranslateUI,BlinkGenPropertyTrees",
-        "--disable-ipc-flooding-protection",
-      ],
-    },
-  });
+function createClient(account) {
+  account.pairingCodeSent = false;
+
+  const client = account.replay
+    ? account.replay.createClient()
+    : new Client({
+        authStrategy: new LocalAuth({
+          clientId: account.clientId,
+          dataPath: AUTH_DATA_PATH,
+        }),
+        // Without it, whatsapp-web.js emits "qr" instead of "code"
+        ...(account.pairingMethod === "code"
+          ? {
+              pairWithPhoneNumber: {
+                phoneNumber: account.phone,
+                showNotification: true,
+                intervalMs: 86400000, // 24h — effectively no auto-retry (user must /rebuild_it)
+              },
+            }
+          : {}),
+        qrMaxRetries: QR_MAX_RETRIES,
+        authTimeoutMs: 120000,
+        puppeteer: {
+          headless: "shell",
+          args: [
+            ...config.get("puppeteerArgs"),
+            `--js-flags=--max-old-space-size=${config.get("chromeMaxOldSpaceMb")}`,
+          ],
+        },
+      });
+  recorder?.attach(client, MULTI_ACCOUNT ? account.name : null);
 
   // ─── Pairing Code Auth (replaces QR scanning) ──────────
   client.on("code", async (code) => {
-    console.log(`🔑 Pairing code received: ${code}`);
-    await sendPushNotification(
-      "🔑 WhatsApp Pairing Code",
-      `Your code: ${code}\n\n👉 WhatsApp → Settings → Linked Devices → Link a Device → Link with Phone Number\n\nEnter this code when prompted.\n\n⚠️ Code expires in ~20 seconds. If it expires, send /rebuild_it to get a new one.`,
-    );
+    console.log(`🔑 ${accountPrefix(account)}Pairing code received: ${code}`);
+    account.pairingCodeSent = true;
+    armQrFallback(account);
+    await notifyFor(account, {
+      type: "pairing_code",
+      title: "🔑 WhatsApp Pairing Code",
+      data: { code },
+      body: `Your code: ${code}\n\n👉 WhatsApp → Settings → Linked Devices → Link a Device → Link with Phone Number\n\nEnter this code when prompted.\n\n⚠️ Code expires in ~20 seconds. If it expires, send /rebuild_it${MULTI_ACCOUNT ? ` ${account.name}` : ""} to get a new one.`,
+    });
+  });
+
+  // ─── QR Code Auth (fallback, see armQrFallback) ────────
+  // A new code comes every ~20s, up to QR_MAX_RETRIES times
+  client.on("qr", async (qr) => {
+    console.log(`📷 ${accountPrefix(account)}QR code received`);
+    account.pairingCodeSent = true;
+    let media = null;
+    try {
+      encryption.writeFile(account.qrCodePath, await renderQrCode(client));
+      media = {
+        filePath: account.qrCodePath,
+        mimetype: "image/png",
+        filename: "whatsapp-qr.png",
+        kind: "image",
+        caption: `📷 ${accountPrefix(account)}Scan with WhatsApp → Linked Devices`,
+      };
+    } catch (err) {
+      console.error("QR code render error:", err.message);
+    }
+    await notifyFor(account, {
+      type: "pairing_qr",
+      title: "📷 WhatsApp QR Code",
+      data: { qr },
+      body: `👉 WhatsApp → Settings → Linked Devices → Link a Device, then scan ${media ? "the picture below" : "the QR code"}.\n\n${media ? "" : "⚠️ Couldn't take a picture of the QR code.\n"}A new one replaces it every ~20 seconds. If none works, send /rebuild_it${MULTI_ACCOUNT ? ` ${account.name}` : ""} qr.`,
+      media,
+    });
   });
 
   client.on("authenticated", () => {
     console.log("✅ [AUTH] WhatsApp authenticated! Session saved locally.");
+    disarmQrFallback(account);
   });
 
   client.on("auth_failure", async (message) => {
     console.error(`❌ [AUTH] Authentication FAILED: ${message}`);
-    await sendPushNotification(
-      "❌ Auth Failed",
-      `Authentication failed: ${message}\n\nSend /rebuild_it to try again.`,
-    );
+    if (client !== account.client) return;
+    await notifyFor(account, {
+      type: "auth_failure",
+      title: "❌ Auth Failed",
+      body: `Authentication failed: ${message}\n\nThe saved session is unusable; re-pairing.`,
+      data: { message },
+    });
+    await account.supervisor.onAuthFailure(message);
   });
 
   client.on("loading_screen", (percent, message) => {
@@ -416,47 +2470,95 @@ function createClient() {
 
   client.on("disconnected", async (reason) => {
     console.error(`🔌 [DISCONNECTED] WhatsApp disconnected: ${reason}`);
-    await sendPushNotification(
-      "🔌 Disconnected",
-      `WhatsApp disconnected: ${reason}\n\nSend /rebuild_it to reconnect.`,
-    );
+    if (client !== account.client) return;
+    await account.supervisor.onDisconnected(reason);
   });
 
   client.on("change_state", (state) => {
     console.log(`🔄 [STATE] Connection state: ${state}`);
+    if (client === account.client && RECONNECT_STATES.includes(state)) {
+      account.supervisor.onDisconnected(state);
+    }
   });
 
   client.on("ready", async () => {
-    console.log("\n✅ [READY] WhatsApp connected & ready!");
-    console.log(`✅ [READY] Logged in at: ${getIST()}`);
-    await sendPushNotification(
-      "✅ WhatsApp Connected",
-      `Bot is now connected and ready.\nTime: ${getIST()}\n\nSend /options to see available commands.`,
+    console.log(
+      `\n✅ [READY] ${accountPrefix(account)}WhatsApp connected & ready!`,
     );
+    console.log(`✅ [READY] Logged in at: ${formatTime()}`);
+    await notifyFor(account, {
+      type: "connected",
+      title: "✅ WhatsApp Connected",
+      body: `Bot is now connected and ready.\nTime: ${formatTime()}\n\nSend /options to see available commands.`,
+    });
+
+    account.readyTimestamp = Date.now();
+    console.log(
+      `⏳ Startup grace period: ${config.get("startupGraceSeconds")}s`,
+    );
+
+    account.pairingCodeSent = false;
+    account.pairingMethod = "code";
+    account.supervisor.onReady();
+    // Chrome dying takes the page with it; nothing else reports that
+    client.pupBrowser?.once("disconnected", () => {
+      if (client === account.client)
+        account.supervisor.onDisconnected("BROWSER_CLOSED");
+    });
+    client.pupPage?.once("error", (err) => {
+      if (client === account.client)
+        account.supervisor.onDisconnected(`PAGE_CRASHED: ${err.message}`);
+    });
 
-    readyTimestamp = Date.now();
-    console.log(`⏳ Startup grace period: ${STARTUP_GRACE_MS / 1000}s`);
+    // Messages from before this connection, see lib/backfill.js
+    const backfilled = await account.backfill.start(client);
+    if (backfilled) {
+      console.log(
+        `📚 ${accountPrefix(account)}Backfilled ${backfilled.cached} message(s) from ${backfilled.chatsDone} chat(s)${backfilled.stopped ? ` (stopped: ${backfilled.stopped})` : ""}`,
+      );
+    }
   });
 
   // ─── Incoming Messages ──────────────────────────────────
   client.on("message", async (msg) => {
     try {
+      if (msg.isStatus) {
+        await captureStatus(account, msg);
+        return;
+      }
       const chat = await msg.getChat();
       const contact = await msg.getContact();
       const senderName = contact.name || contact.pushname || contact.number;
       const senderActualNumber = contact.number;
-      const time = getIST();
-      const messageBody = msg.body || "[<empty>]";
+      const time = formatTime();
+      const structured = describeMessage(msg);
+      const messageBody = messageText(msg, structured);
       const chatLocation = chat.isGroup
         ? `Group: ${chat.name}`
         : "Private Chat";
 
+      const ctx = ruleContext(chat, senderName, senderActualNumber);
+      const policy = chatRules.evaluate(ctx);
+      if (!policy.capture) return;
+
+      if (policy.notify) {
+        await alertWatchwords({
+          account,
+          text: messageBody,
+          ctx,
+          chatLocation,
+          senderName,
+          senderNumber: senderActualNumber,
+          time,
+        });
+      }
+
       // Save media temporarily
       let mediaRef = "";
-      if (msg.hasMedia) {
-        const filename = await saveMediaToTemp(msg);
+      if (msg.hasMedia && policy.media) {
+        const filename = await saveMediaToTemp(account, msg, ctx);
         if (filename) {
-          mediaRef = `\nMedia: media/temp/${filename}`;
+          mediaRef = `\nMedia: ${path.relative(AGENT_HOME, path.join(account.tempMediaDir, filename))}`;
         }
       }
 
@@ -465,26 +2567,63 @@ function createClient() {
       if (isViewOnce && msg.hasMedia) {
         console.log(`👁️ View-once media detected from ${senderName}`);
         try {
-          const tracked = mediaTracker.get(msg.id._serialized);
+          const tracked = account.mediaTracker.get(msg.id._serialized);
           if (tracked) {
             const savedPath = path.join(SAVED_MEDIA_DIR, tracked.filename);
             if (fs.existsSync(tracked.filePath)) {
               fs.copyFileSync(tracked.filePath, savedPath);
               console.log(`🔒 View-once saved: ${tracked.filename}`);
             }
-
-            await sendPushNotification(
-              `👁️ View-Once from ${senderName}`,
-              `Where: ${chatLocation}\nWho: ${senderName} (${senderActualNumber})\nTime: ${time}\nMessage: ${messageBody || "[media]"}`,
+            saveViewOnceRecord(
+              account,
+              {
+                time,
+                where: chatLocation,
+                senderName,
+                senderNumber: senderActualNumber,
+                originalMessage: messageBody,
+                sentTime: formatTime(new Date(msg.timestamp * 1000)),
+                mediaFilename: tracked.filename,
+                mediaMimetype: tracked.mimetype,
+                mediaType: tracked.mediaType,
+              },
+              ctx,
             );
-            const viewOnceData = readMediaAsBase64(tracked.filePath);
-            if (viewOnceData) {
-              await sendTelegramMedia(
-                viewOnceData,
-                tracked.mimetype,
-                tracked.filename,
-                `👁️ View-once from ${senderName} (${senderActualNumber})\nIn: ${chatLocation}`,
-              );
+
+            if (policy.notify) {
+              const alert = {
+                chat: ctx,
+                title: `👁️ View-Once from ${senderName}`,
+                body: `Where: ${chatLocation}\nWho: ${senderName} (${senderActualNumber})\nTime: ${time}\nMessage: ${messageBody || "[media]"}`,
+                data: {
+                  where: chatLocation,
+                  senderName,
+                  senderNumber: senderActualNumber,
+                  time,
+                  message: messageBody,
+                  mediaFilename: tracked.filename,
+                },
+                media: {
+                  filePath: fs.existsSync(savedPath)
+                    ? savedPath
+                    : tracked.filePath,
+                  mimetype: tracked.mimetype,
+                  filename: tracked.filename,
+                  kind: tracked.mediaType,
+                  caption: `👁️ View-once from ${senderName} (${senderActualNumber})\nIn: ${chatLocation}`,
+                },
+              };
+              await notifyFor(account, {
+                type: "view_once",
+                ...alert,
+                keyboard: alertKeyboard(account, [
+                  {
+                    ...alert,
+                    messageId: msg.id._serialized,
+                    sentAt: msg.timestamp * 1000,
+                  },
+                ]),
+              });
             }
           }
         } catch (err) {
@@ -493,56 +2632,59 @@ function createClient() {
       }
 
       // Log to file
-      const logEntry = `Time: ${time}\nWhere: ${chatLocation}\nWho: ${senderName} (${senderActualNumber})\nMessage: ${messageBody}${mediaRef}\n------------------------------\n`;
-      fs.appendFileSync("messages_log.txt", logEntry, "utf8");
+      const logEntry = `Time: ${time}\n${formatLogAccount(account)}Where: ${chatLocation}\nWho: ${senderName} (${senderActualNumber})\nMessage: ${messageBody}${mediaRef}\n------------------------------\n`;
+      encryption.appendText(MESSAGES_LOG_PATH, logEntry);
 
       // Save message as .txt file in media/temp
       let msgFilePath = null;
+      let msgFilename = null;
       try {
         const timestamp = Date.now();
         const safeName = senderName
           .replace(/[^a-zA-Z0-9]/g, "_")
           .substring(0, 20);
-        const msgFilename = `${timestamp}_${safeName}_${msg.id.id}.txt`;
-        msgFilePath = path.join(TEMP_MEDIA_DIR, msgFilename);
-        const fileContent = `Time: ${time}\nWhere: ${chatLocation}\nWho: ${senderName} (${senderActualNumber})\nSent: ${getIST(new Date(msg.timestamp * 1000))}\nMessage: ${messageBody}${mediaRef ? `\nMedia: ${mediaRef.trim().replace("Media: ", "")}` : ""}`;
-        fs.writeFileSync(msgFilePath, fileContent, "utf8");
-
-        const msgFileTimeout = setTimeout(() => {
-          try {
-            if (fs.existsSync(msgFilePath)) fs.unlinkSync(msgFilePath);
-          } catch (e) {
-            /* ignore */
-          }
-        }, DELETE_WINDOW_MS);
+        msgFilename = `${timestamp}_${safeName}_${msg.id.id}.txt`;
+        const fileContent = `Time: ${time}\nWhere: ${chatLocation}\nWho: ${senderName} (${senderActualNumber})\nSent: ${formatTime(new Date(msg.timestamp * 1000))}\nMessage: ${messageBody}${mediaRef ? `\nMedia: ${mediaRef.trim().replace("Media: ", "")}` : ""}`;
+        const stored = account.mediaStore.put(
+          Buffer.from(fileContent, "utf8"),
+          {
+            ext: ".txt",
+            ref: msg.id._serialized,
+          },
+        );
+        msgFilePath = stored?.filePath || null;
 
-        if (!mediaTracker.has(msg.id._serialized)) {
-          mediaTracker.set(msg.id._serialized, {
+        if (stored) {
+          account.mediaTracker.set(msg.id._serialized, {
+            ...account.mediaTracker.get(msg.id._serialized),
             msgFilePath,
             msgFilename,
-            msgFileTimeout,
+            msgHash: stored.hash,
           });
-        } else {
-          const existing = mediaTracker.get(msg.id._serialized);
-          existing.msgFilePath = msgFilePath;
-          existing.msgFilename = msgFilename;
-          existing.msgFileTimeout = msgFileTimeout;
         }
       } catch (fileErr) {
         console.error("Error saving message file:", fileErr.message);
       }
 
       // Cache message
-      cacheMessage(msg.id._serialized, {
+      cacheMessage(account, msg.id._serialized, {
         body: messageBody,
         senderName,
         senderNumber: senderActualNumber,
         chatLocation,
+        chatId: chat.id._serialized,
+        chatName: chat.isGroup ? chat.name : null,
         timestamp: msg.timestamp,
         msgFilePath,
+        msgFilename,
+        messageType: msg.type,
+        structured,
+        context: await buildMessageContext(account, msg),
       });
 
-      console.log(`💾 Saved: ${chatLocation} - ${senderName}`);
+      console.log(
+        `💾 ${accountPrefix(account)}Saved: ${chatLocation} - ${senderName}`,
+      );
     } catch (err) {
       console.error("Message handler error:", err);
     }
@@ -550,21 +2692,210 @@ function createClient() {
 
   // ─── Backup cache from message_create ──
   client.on("message_create", async (msg) => {
+    try {
+      if (msg.fromMe || msg.isStatus) return;
+      if (!account.messageCache.has(msg.id._serialized)) {
+        await cacheUnseenMessage(account, msg, await msg.getChat());
+      }
+    } catch (err) {
+      // Silently ignore
+    }
+  });
+
+  // ─── Edited Messages ────────────────────────────────────
+  client.on("message_edit", async (msg, newBody, prevBody) => {
     try {
       if (msg.fromMe) return;
-      if (!messageCache.has(msg.id._serialized)) {
-        const chat = await msg.getChat();
-        const contact = await msg.getContact();
-        cacheMessage(msg.id._serialized, {
-          body: msg.body || "[<empty>]",
-          senderName: contact.name || contact.pushname || contact.number,
-          senderNumber: contact.number,
-          chatLocation: chat.isGroup ? `Group: ${chat.name}` : "Private Chat",
-          timestamp: msg.timestamp,
+      const msgId = msg.id._serialized;
+      const cached = account.messageCache.get(msgId);
+      const time = formatTime();
+
+      let senderName = cached?.senderName;
+      let senderNumber = cached?.senderNumber;
+      let chatLocation = cached?.chatLocation;
+      let chatId = cached?.chatId;
+      let chatName = cached?.chatName;
+      if (!cached) {
+        try {
+          const chat = await msg.getChat();
+          const contact = await msg.getContact();
+          senderName = contact.name || contact.pushname || contact.number;
+          senderNumber = contact.number;
+          chatLocation = chat.isGroup ? `Group: ${chat.name}` : "Private Chat";
+          chatId = chat.id._serialized;
+          chatName = chat.isGroup ? chat.name : null;
+        } catch (e) {
+          console.warn("Could not resolve edited message context:", e.message);
+        }
+      }
+      senderName = senderName || "Unknown";
+      senderNumber = senderNumber || "Unknown";
+      chatLocation = chatLocation || "Unknown Chat";
+
+      const ctx = { chatId, chatName, senderName, senderNumber };
+      const policy = chatRules.evaluate(ctx);
+      if (!policy.capture) return;
+
+      // Prefer our cached body: prevBody is only what WhatsApp Web still had
+      const before = cached?.body || prevBody || "[<empty>]";
+      const after = newBody || msg.body || "[<empty>]";
+      if (before === after) return;
+
+      const sentAt = (msg.timestamp || cached?.timestamp || 0) * 1000;
+      const editHistory = cached?.editHistory?.length
+        ? [...cached.editHistory]
+        : [{ body: before, at: sentAt || Date.now() }];
+      editHistory.push({ body: after, at: Date.now() });
+
+      cacheMessage(account, msgId, {
+        ...cached,
+        body: after,
+        senderName,
+        senderNumber,
+        chatLocation,
+        chatId,
+        chatName,
+        timestamp: cached?.timestamp || msg.timestamp,
+        editHistory,
+      });
+
+      const logEntry = `\n✏️ EDITED MESSAGE\nTime: ${time}\n${formatLogAccount(account)}Where: ${chatLocation}\nWho: ${senderName} (${senderNumber})\nBefore: ${before}\nAfter: ${after}\n==============================\n`;
+      encryption.appendText(MESSAGES_LOG_PATH, logEntry);
+
+      const record = {
+        time,
+        where: chatLocation,
+        senderName,
+        senderNumber,
+        messageId: msgId,
+        sentTime: sentAt ? formatTime(new Date(sentAt)) : "Unknown",
+        before,
+        after,
+        editHistory,
+      };
+      saveEditedRecord(account, record, ctx);
+
+      console.log(
+        `✏️ ${accountPrefix(account)}Edit detected: ${chatLocation} - ${senderName}`,
+      );
+
+      if (!policy.notify) return;
+      await notifyFor(account, {
+        type: "edited",
+        chat: ctx,
+        title: `✏️ Edited by ${senderName}`,
+        body:
+          `Where: ${chatLocation}\nWho: ${senderName} (${senderNumber})\nEdited: ${time}\n\nBefore: ${before}\nAfter: ${after}` +
+          (editHistory.length > 2
+            ? `\n\nAll versions:\n${formatEditHistory(editHistory)}`
+            : ""),
+        data: record,
+      });
+    } catch (err) {
+      console.error("Edit detection error:", err);
+    }
+  });
+
+  // ─── Reactions ──────────────────────────────────────────
+  // Taking a reaction back arrives as an empty reaction, so the last emoji
+  // per sender and message is cached to report what was removed
+  client.on("message_reaction", async (reaction) => {
+    try {
+      if (reaction.id?.fromMe) return;
+      const targetId = reaction.msgId?._serialized;
+      if (!targetId || !reaction.senderId) return;
+      const key = `${targetId}|${reaction.senderId}`;
+      const target = account.messageCache.get(targetId);
+      const previous = account.reactionCache.get(key);
+
+      let chat = null;
+      try {
+        const remote = reaction.msgId.remote;
+        chat = await client.getChatById(remote?._serialized || remote);
+      } catch (e) {
+        // fall back to the cached chat below
+      }
+      let senderName = previous?.senderName || reaction.senderId.split("@")[0];
+      let senderNumber =
+        previous?.senderNumber || reaction.senderId.split("@")[0];
+      if (!previous) {
+        try {
+          const contact = await client.getContactById(reaction.senderId);
+          senderName = contact.name || contact.pushname || contact.number;
+          senderNumber = contact.number;
+        } catch (e) {
+          console.warn("Could not get reaction sender:", e.message);
+        }
+      }
+      const chatId =
+        chat?.id?._serialized || previous?.chatId || target?.chatId;
+      const chatName = chat
+        ? chat.isGroup
+          ? chat.name
+          : null
+        : previous?.chatName || target?.chatName;
+      const chatLocation = chat
+        ? chat.isGroup
+          ? `Group: ${chat.name}`
+          : "Private Chat"
+        : previous?.chatLocation || target?.chatLocation || "Unknown Chat";
+
+      const ctx = chat
+        ? ruleContext(chat, senderName, senderNumber)
+        : { chatId, chatName, senderName, senderNumber };
+      const policy = chatRules.evaluate(ctx);
+      if (!policy.capture) return;
+
+      if (reaction.reaction) {
+        const structured = describeReaction(reaction, target);
+        account.reactionCache.set(key, {
+          body: formatStructured(structured),
+          senderName,
+          senderNumber,
+          chatLocation,
+          chatId,
+          chatName,
+          timestamp: Math.floor(Date.now() / 1000),
+          messageType: "reaction",
+          structured,
+        });
+        return;
+      }
+
+      if (!previous) return;
+      account.reactionCache.delete(key);
+      const time = formatTime();
+      const record = {
+        time,
+        where: chatLocation,
+        senderName,
+        senderNumber,
+        originalMessage: previous.body,
+        sentTime: formatTime(new Date(previous.timestamp * 1000)),
+        messageType: "reaction",
+        structured: previous.structured,
+      };
+      saveDeletedRecord(account, record, ctx);
+      encryption.appendText(
+        MESSAGES_LOG_PATH,
+        `\n🗑️ REMOVED REACTION\nTime: ${time}\n${formatLogAccount(account)}Where: ${chatLocation}\nWho: ${senderName} (${senderNumber})\nOriginal: ${previous.body}\n==============================\n`,
+      );
+      console.log(
+        `🗑️ ${accountPrefix(account)}Reaction removed: ${chatLocation} - ${senderName}`,
+      );
+
+      if (policy.notify) {
+        queueDeleteAlert(account, `${chatId || chatLocation}|${senderNumber}`, {
+          title: `🗑️ Reaction removed by ${senderName}`,
+          chat: ctx,
+          messageId: key,
+          sentAt: previous.timestamp * 1000,
+          body: `Where: ${chatLocation}\nWho: ${senderName} (${senderNumber})\nSent: ${record.sentTime}\nRemoved: ${time}\nMessage: ${previous.body}`,
+          data: record,
         });
       }
     } catch (err) {
-      // Silently ignore
+      console.error("Reaction handler error:", err);
     }
   });
 
@@ -573,24 +2904,36 @@ function createClient() {
     const msgId_dedup = afterMsg?.id?._serialized;
     console.log(`🗑️ [DELETE] msgId=${msgId_dedup}, beforeMsg=${!!beforeMsg}`);
 
-    if (Date.now() - readyTimestamp < STARTUP_GRACE_MS) {
+    if (
+      Date.now() - account.readyTimestamp <
+      config.get("startupGraceSeconds") * 1000
+    ) {
       console.log(`⏩ Skipping (startup grace): ${msgId_dedup}`);
       return;
     }
 
-    if (processedRevokes.has(msgId_dedup)) {
+    if (account.processedRevokes.has(msgId_dedup)) {
       console.log(`⏩ Skipping duplicate: ${msgId_dedup}`);
       return;
     }
-    processedRevokes.add(msgId_dedup);
-    setTimeout(() => processedRevokes.delete(msgId_dedup), REVOKE_DEDUP_TTL_MS);
+    account.processedRevokes.add(msgId_dedup);
+    setTimeout(
+      () => account.processedRevokes.delete(msgId_dedup),
+      REVOKE_DEDUP_TTL_MS,
+    );
 
     try {
-      const time = getIST();
+      if (afterMsg.isStatus) {
+        await handleStatusRevoke(account, afterMsg, beforeMsg);
+        return;
+      }
+
+      const time = formatTime();
 
       let chatLocation = "Unknown Chat";
+      let chat = null;
       try {
-        const chat = await afterMsg.getChat();
+        chat = await afterMsg.getChat();
         chatLocation = chat.isGroup ? `Group: ${chat.name}` : "Private Chat";
       } catch (chatErr) {
         console.error("Could not get chat:", chatErr.message);
@@ -599,6 +2942,8 @@ function createClient() {
       let senderName = "Unknown";
       let senderNumber = "Unknown";
       let originalText = "[Unknown - message not cached]";
+      let messageType = null;
+      let structured = null;
 
       if (beforeMsg) {
         try {
@@ -608,13 +2953,15 @@ function createClient() {
         } catch (e) {
           console.warn("Could not get contact:", e.message);
         }
-        originalText = beforeMsg.body || "[<empty>]";
+        messageType = beforeMsg.type;
+        structured = describeMessage(beforeMsg);
+        originalText = messageText(beforeMsg, structured);
       }
 
       const msgId = beforeMsg
         ? beforeMsg.id._serialized
         : afterMsg.id._serialized;
-      const cached = messageCache.get(msgId);
+      const cached = account.messageCache.get(msgId);
       if (cached) {
         console.log(`📋 Cache hit: ${cached.body?.substring(0, 50)}...`);
         if (senderName === "Unknown") senderName = cached.senderName;
@@ -622,27 +2969,57 @@ function createClient() {
         if (originalText === "[Unknown - message not cached]")
           originalText = cached.body;
         if (chatLocation === "Unknown Chat") chatLocation = cached.chatLocation;
+        messageType = messageType || cached.messageType || null;
+        structured = structured || cached.structured || null;
+      }
+
+      let context = cached?.context;
+      if (!context && beforeMsg) {
+        context = await buildMessageContext(account, beforeMsg);
+      }
+      // In groups the revoke still names the author, even with nothing cached
+      const authorId = context?.authorId || afterMsg.author || null;
+      if (senderNumber === "Unknown" && authorId) {
+        senderNumber = authorId.split("@")[0];
+        if (senderName === "Unknown") senderName = senderNumber;
+      }
+      const contextText = formatMessageContext(context);
+
+      const ctx = chat
+        ? ruleContext(chat, senderName, senderNumber)
+        : {
+            chatId: cached?.chatId,
+            chatName: cached?.chatName,
+            senderName,
+            senderNumber,
+          };
+      const policy = chatRules.evaluate(ctx);
+      if (!policy.capture) {
+        console.log(`⏩ Skipping (ignored by rules): ${chatLocation}`);
+        releaseTempFiles(account, msgId, account.mediaTracker.get(msgId));
+        account.mediaTracker.delete(msgId);
+        account.messageCache.delete(msgId);
+        return;
       }
 
-      // Move files from temp to saved
-      const tracked = mediaTracker.get(msgId);
+      // Copy files from temp to saved; the temp copies may be shared with
+      // other messages and are released below
+      const tracked = account.mediaTracker.get(msgId);
       let mediaRef = "";
 
       if (tracked) {
         if (tracked.filePath) {
-          clearTimeout(tracked.timeout);
           const savedPath = path.join(SAVED_MEDIA_DIR, tracked.filename);
           if (fs.existsSync(tracked.filePath)) {
-            fs.renameSync(tracked.filePath, savedPath);
+            fs.copyFileSync(tracked.filePath, savedPath);
             mediaRef = `\nSaved Media: media/saved/${tracked.filename}`;
             console.log(`🔒 Saved deleted media: ${tracked.filename}`);
           }
         }
         if (tracked.msgFilePath) {
-          clearTimeout(tracked.msgFileTimeout);
           const savedMsgPath = path.join(SAVED_MEDIA_DIR, tracked.msgFilename);
           if (fs.existsSync(tracked.msgFilePath)) {
-            fs.renameSync(tracked.msgFilePath, savedMsgPath);
+            fs.copyFileSync(tracked.msgFilePath, savedMsgPath);
             console.log(`🔒 Saved deleted msg file: ${tracked.msgFilename}`);
           }
         }
@@ -651,10 +3028,11 @@ function createClient() {
       // Text-only fallback
       if (!tracked && cached && cached.msgFilePath) {
         try {
-          const txtBasename = path.basename(cached.msgFilePath);
+          const txtBasename =
+            cached.msgFilename || path.basename(cached.msgFilePath);
           const savedTxtPath = path.join(SAVED_MEDIA_DIR, txtBasename);
           if (fs.existsSync(cached.msgFilePath)) {
-            fs.renameSync(cached.msgFilePath, savedTxtPath);
+            fs.copyFileSync(cached.msgFilePath, savedTxtPath);
             console.log(`🔒 Saved deleted msg file: ${txtBasename}`);
           }
         } catch (moveErr) {
@@ -662,12 +3040,17 @@ function createClient() {
         }
       }
 
+      const editHistory = cached?.editHistory || [];
+      const historyText = editHistory.length
+        ? `\nEdit history:\n${formatEditHistory(editHistory)}`
+        : "";
+
       // Log to file
-      const logEntry = `\n🗑️ DELETED MESSAGE\nTime: ${time}\nWhere: ${chatLocation}\nWho: ${senderName} (${senderNumber})\nOriginal: ${originalText}${mediaRef}\n==============================\n`;
-      fs.appendFileSync("messages_log.txt", logEntry, "utf8");
+      const logEntry = `\n🗑️ DELETED MESSAGE\nTime: ${time}\n${formatLogAccount(account)}Where: ${chatLocation}\nWho: ${senderName} (${senderNumber})\nOriginal: ${originalText}${contextText}${historyText}${mediaRef}\n==============================\n`;
+      encryption.appendText(MESSAGES_LOG_PATH, logEntry);
 
       // Save deleted record
-      saveDeletedRecord({
+      const record = {
         time,
         where: chatLocation,
         senderName,
@@ -675,124 +3058,198 @@ function createClient() {
         originalMessage: originalText,
         sentTime:
           beforeMsg && beforeMsg.timestamp
-            ? getIST(new Date(beforeMsg.timestamp * 1000))
+            ? formatTime(new Date(beforeMsg.timestamp * 1000))
             : cached && cached.timestamp
-              ? getIST(new Date(cached.timestamp * 1000))
+              ? formatTime(new Date(cached.timestamp * 1000))
               : "Unknown",
         mediaFilename:
           tracked && tracked.filename ? tracked.filename : undefined,
-      });
+        mediaMimetype:
+          tracked && tracked.mimetype ? tracked.mimetype : undefined,
+        mediaType: tracked && tracked.mediaType ? tracked.mediaType : undefined,
+        editHistory: editHistory.length ? editHistory : undefined,
+        messageType: messageType || undefined,
+        structured: structured || undefined,
+        authorId: authorId || undefined,
+        quotedMessage: context?.quoted || undefined,
+        mentions: context?.mentions?.length ? context.mentions : undefined,
+        isForwarded: context?.isForwarded || undefined,
+      };
+      saveDeletedRecord(account, record, ctx);
 
-      console.log(`🗑️ Delete detected: ${chatLocation} - ${senderName}`);
+      console.log(
+        `🗑️ ${accountPrefix(account)}Delete detected: ${chatLocation} - ${senderName}`,
+      );
 
-      // Telegram notification
+      // Notification
       let ntfySentTime = "Unknown";
       if (beforeMsg && beforeMsg.timestamp) {
-        ntfySentTime = getIST(new Date(beforeMsg.timestamp * 1000));
+        ntfySentTime = formatTime(new Date(beforeMsg.timestamp * 1000));
       } else if (cached && cached.timestamp) {
-        ntfySentTime = getIST(new Date(cached.timestamp * 1000));
+        ntfySentTime = formatTime(new Date(cached.timestamp * 1000));
       }
 
-      await sendPushNotification(
-        `🗑️ Deleted by ${senderName}`,
-        `Where: ${chatLocation}\nWho: ${senderName} (${senderNumber})\nSent: ${ntfySentTime}\nDeleted: ${time}\nMessage: ${originalText}`,
-      );
-
-      // Send deleted media to Telegram
-      if (tracked && tracked.filePath) {
-        const tgMediaPath = fs.existsSync(
-          path.join(SAVED_MEDIA_DIR, tracked.filename),
-        )
-          ? path.join(SAVED_MEDIA_DIR, tracked.filename)
-          : tracked.filePath;
-        const tgMediaData = readMediaAsBase64(tgMediaPath);
-        if (tgMediaData) {
-          await sendTelegramMedia(
-            tgMediaData,
-            tracked.mimetype,
-            tracked.filename,
-            `📎 Deleted file from ${senderName} (${senderNumber})\nIn: ${chatLocation}`,
-          );
+      if (!policy.notify) {
+        console.log(`🔕 Muted, no alert: ${chatLocation} - ${senderName}`);
+      } else {
+        let media;
+        if (tracked && tracked.filePath) {
+          const savedMediaPath = path.join(SAVED_MEDIA_DIR, tracked.filename);
+          media = {
+            filePath: fs.existsSync(savedMediaPath)
+              ? savedMediaPath
+              : tracked.filePath,
+            mimetype: tracked.mimetype,
+            filename: tracked.filename,
+            kind: tracked.mediaType,
+            caption: `📎 Deleted file from ${senderName} (${senderNumber})\nIn: ${chatLocation}`,
+          };
         }
+        queueDeleteAlert(
+          account,
+          `${chat?.id?._serialized || chatLocation}|${senderNumber}`,
+          {
+            title: `🗑️ Deleted by ${senderName}`,
+            chat: ctx,
+            messageId: msgId,
+            sentAt: (beforeMsg?.timestamp || cached?.timestamp) * 1000 || null,
+            body: `Where: ${chatLocation}\nWho: ${senderName} (${senderNumber})\nSent: ${ntfySentTime}\nDeleted: ${time}\nMessage: ${originalText}${contextText}${historyText}`,
+            data: record,
+            media,
+            location: structured?.type === "location" ? structured : undefined,
+            contacts:
+              structured?.type === "contacts" ? structured.contacts : undefined,
+          },
+        );
       }
 
       // Cleanup
-      if (tracked) mediaTracker.delete(msgId);
-      messageCache.delete(msgId);
+      if (tracked) {
+        releaseTempFiles(account, msgId, tracked);
+        account.mediaTracker.delete(msgId);
+      }
+      account.messageCache.delete(msgId);
     } catch (err) {
       console.error("Delete detection error:", err);
       try {
-        await sendPushNotification(
-          "🗑️ Message Deleted",
-          `A message was deleted but details could not be retrieved.\nError: ${err.message}`,
-        );
+        await notifyFor(account, {
+          type: "deleted",
+          title: "🗑️ Message Deleted",
+          body: `A message was deleted but details could not be retrieved.\nError: ${err.message}`,
+        });
       } catch (e) {
         console.error("Fallback notification failed:", e);
       }
     }
   });
 
-  // ─── Graceful Shutdown ─────────────────────────────────
-  const shutdown = async (signal) => {
-    console.log(`\n${signal} received. Shutting down...`);
-    telegramPollingActive = false;
-    try {
-      await client.destroy();
-      console.log("👋 Bye!");
-    } catch (e) {
-      console.error("Shutdown error:", e);
-    }
-    process.exit(0);
-  };
-  process.on("SIGINT", () => shutdown("SIGINT"));
-  process.on("SIGTERM", () => shutdown("SIGTERM"));
-
   return client;
 }
 
 // ─── Start Client ───────────────────────────────────────
-async function startClient() {
-  // Startup cleanup: remove expired temp files
-  try {
-    const now = Date.now();
-    const tempFiles = fs.readdirSync(TEMP_MEDIA_DIR);
-    let cleaned = 0;
-    for (const file of tempFiles) {
-      const filePath = path.join(TEMP_MEDIA_DIR, file);
-      const stat = fs.statSync(filePath);
-      if (now - stat.mtimeMs > DELETE_WINDOW_MS) {
-        fs.unlinkSync(filePath);
-        cleaned++;
-      }
-    }
-    if (cleaned > 0) console.log(`🧹 Cleaned ${cleaned} expired temp file(s)`);
-  } catch (err) {
-    console.error("Temp cleanup error:", err.message);
+async function startClient(account) {
+  console.log(`🌐 ${accountPrefix(account)}Launching Chrome...`);
+  account.client = createClient(account);
+
+  console.log(`🚀 ${accountPrefix(account)}Initializing WhatsApp Web...`);
+  const { client } = account;
+  // Nothing to restore, so pairing is coming; the code may never arrive
+  if (!account.replay && !fs.existsSync(sessionPath(account))) {
+    armQrFallback(account);
   }
-
-  console.log("🌐 Launching Chrome...");
-  currentClient = createClient();
-
-  console.log("🚀 Initializing WhatsApp Web...");
-  currentClient.initialize().catch(async (err) => {
+  client.initialize().catch(async (err) => {
     const msg = typeof err === "string" ? err : err?.message || String(err);
     console.error("❌ Initialize failed:", msg);
-    await sendPushNotification(
-      "❌ Init Failed",
-      `WhatsApp failed to start: ${msg}\n\nSend /rebuild_it to try again.`,
-    );
+    if (client !== account.client) return;
+    await notifyFor(account, {
+      type: "init_failed",
+      title: "❌ Init Failed",
+      body: `WhatsApp failed to start: ${msg}\n\nRetrying automatically; send /rebuild_it to retry now.`,
+      data: { error: msg },
+    });
+    account.supervisor.onInitFailed(msg);
   });
 }
 
+// ─── Graceful Shutdown ──────────────────────────────────
+// Registered once; the handlers act on whichever clients are current
+async function shutdown(signal) {
+  console.log(`\n${signal} received. Shutting down...`);
+  telegramPollingActive = false;
+  for (const account of accounts) {
+    account.supervisor.stop();
+    disarmQrFallback(account);
+  }
+  digestScheduler.stop();
+  // Pending burst alerts go to the outbox before we exit
+  flushDeleteBursts();
+  try {
+    await Promise.all(
+      accounts.filter((a) => a.client).map((a) => destroyClient(a.client)),
+    );
+    await recorder?.flush();
+    console.log("👋 Bye!");
+  } catch (e) {
+    console.error("Shutdown error:", e);
+  }
+  process.exit(0);
+}
+
+// Once the fixture has been played, pending alerts are delivered and the
+// process exits like on SIGTERM
+async function finishReplay() {
+  flushDeleteBursts();
+  console.log("🎞️ Replay finished, delivering pending notifications...");
+  const deadline = Date.now() + REPLAY_DRAIN_TIMEOUT_MS;
+  while (outbox.stats().pending && Date.now() < deadline) {
+    await new Promise((r) => setTimeout(r, 100));
+  }
+  if (outbox.stats().pending) {
+    console.warn(`⚠️ ${formatOutboxStatus()}`);
+  }
+  await shutdown("REPLAY_END");
+}
+
 // ─── Main Entry Point ───────────────────────────────────
 async function main() {
   console.log("🤖 WhatsApp Agent starting...");
 
+  chatRules.load();
+  alertActionStore.load();
+  keywordWatch.load();
+  // Once per run; restarts only replace the client. Also sweeps expired
+  // temp media (see lib/media-store.js)
+  for (const account of accounts) loadCaches(account);
+  outbox.start();
+  deleteBursts.load();
+  flushDeleteBursts();
+  if (DASHBOARD_PORT) dashboard.start();
+  cleanupStatusMedia();
+  setInterval(cleanupStatusMedia, STATUS_CLEANUP_INTERVAL_MS).unref();
+  cleanupExports();
+  setInterval(cleanupExports, STATUS_CLEANUP_INTERVAL_MS).unref();
+  setInterval(backupDueSessions, SESSION_BACKUP_CHECK_MS).unref();
+  digestScheduler.start();
+
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+
   // Start Telegram command polling (runs in background)
   pollTelegramCommands();
 
-  // Start WhatsApp client
-  await startClient();
+  if (replays) {
+    const events = replays.reduce((sum, r) => sum + r.events, 0);
+    console.log(`🎞️ Replaying ${events} event(s) from ${REPLAY_FIXTURE}`);
+    Promise.all(replays.map((r) => r.done)).then(finishReplay);
+  }
+  if (recorder) {
+    console.log(
+      `⏺️ Recording WhatsApp events to ${RECORD_FIXTURE} (real messages; keep it private)`,
+    );
+  }
+
+  // Start a WhatsApp client per account
+  for (const account of accounts) await startClient(account);
 
   console.log("✅ WhatsApp Agent started.");
 }
@@ -0,0 +1,63 @@
+const crypto = require("crypto");
+
+// ─── Alert Actions ──────────────────────────────────────
+// Deletion and view-once alerts carry inline buttons. Telegram only hands
+// back 64 bytes of callback_data, so what an alert is about is kept in a
+// store (lib/store.js) under a short id and each button carries
+// "<action>:<id>".
+//
+// Each action names the command it stands for, so pressing a button needs
+// the same role as typing that command.
+
+const ALERT_ACTIONS = {
+  media: { label: "📎 Send media", command: "/media" },
+  history: { label: "💬 Chat history", command: "/chat" },
+  mute: { label: "🔕 Mute chat 8h", command: "/mute" },
+  ignore: { label: "🚫 Ignore sender", command: "/ignore" },
+};
+
+/**
+ * `context` is { account, chat, where, senderName, senderNumber, sentAt,
+ * media } where chat is the rule context (lib/rules.js), sentAt is in ms and
+ * media lists { filePath, mimetype, filename, kind }. Actions that make no
+ * sense for an alert (no media, unknown sender) get no button.
+ */
+function createAlertActions(store) {
+  function keyboard(context) {
+    const id = crypto.randomBytes(6).toString("base64url");
+    store.set(id, context);
+    const button = (action) => ({
+      text: ALERT_ACTIONS[action].label,
+      callback_data: `${action}:${id}`,
+    });
+    const rows = [
+      [
+        context.media?.length && "media",
+        context.chat?.chatId && context.sentAt && "history",
+      ],
+      ["mute", /\d/.test(context.senderNumber || "") && "ignore"],
+    ];
+    return rows
+      .map((row) => row.filter(Boolean).map(button))
+      .filter((row) => row.length);
+  }
+
+  // "<action>:<id>" → { action, context }, or null if unknown or expired
+  function resolve(data) {
+    const [action, id] = String(data || "").split(":");
+    if (!ALERT_ACTIONS[action] || !id) return null;
+    const context = store.get(id);
+    return context ? { action, context } : null;
+  }
+
+  return { keyboard, resolve };
+}
+
+// The keyboard without the button that sent `data`
+function removeButton(keyboard, data) {
+  return (keyboard || [])
+    .map((row) => row.filter((b) => b.callback_data !== data))
+    .filter((row) => row.length);
+}
+
+module.exports = { createAlertActions, removeButton, ALERT_ACTIONS };
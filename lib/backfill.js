@@ -0,0 +1,106 @@
+const v8 = require("v8");
+
+// ─── History Backfill ───────────────────────────────────
+// Messages that arrived while the agent was down never went through the
+// "message" handler, so deleting one later could only be reported as "not
+// cached". After every "ready" the most recently active chats are read
+// back with chat.fetchMessages() and whatever is still inside the delete
+// window goes into the message cache.
+//
+// WhatsApp Web hands back whole message objects, so chats are read one at
+// a time with a pause in between, and the run waits while the heap is near
+// its limit (pm2 runs the agent with --max-old-space-size=256).
+
+const HEAP_HIGH_WATER = 0.7;
+const HEAP_WAIT_MS = 2000;
+const HEAP_WAIT_TRIES = 15;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * `getSettings()` returns { chats, messages, windowMs }: how many chats to
+ * read, how many of each chat's last messages, and how old a message may
+ * be. `store(msg, chat)` caches one message and resolves true if it was
+ * new. Starting a run cancels the one before it, which matters when the
+ * client is restarted mid-run.
+ */
+function createBackfill({
+  getSettings,
+  store,
+  pauseMs = 500,
+  heapLimitBytes = v8.getHeapStatistics().heap_size_limit,
+}) {
+  let state = { running: false, startedAt: null };
+  let runs = 0;
+
+  // Waits for the heap to drop below the high-water mark; false if it won't
+  async function heapRoom() {
+    for (let i = 0; i < HEAP_WAIT_TRIES; i++) {
+      if (process.memoryUsage().heapUsed < heapLimitBytes * HEAP_HIGH_WATER)
+        return true;
+      await sleep(HEAP_WAIT_MS);
+    }
+    return false;
+  }
+
+  /**
+   * Backfills from `client` and resolves with the final status(), or null
+   * if the backfill is off or this client can't list chats.
+   */
+  async function start(client) {
+    const { chats: maxChats, messages, windowMs } = getSettings();
+    if (!maxChats || typeof client.getChats !== "function") return null;
+    const run = ++runs;
+    const current = () => run === runs;
+    state = {
+      running: true,
+      startedAt: Date.now(),
+      finishedAt: null,
+      chatsDone: 0,
+      chatsTotal: 0,
+      cached: 0,
+      stopped: null,
+    };
+    const since = Date.now() - windowMs;
+
+    try {
+      const chats = (await client.getChats())
+        .filter((chat) => chat.timestamp * 1000 >= since)
+        .filter((chat) => chat.id?.server !== "broadcast")
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, maxChats);
+      state.chatsTotal = chats.length;
+
+      for (const chat of chats) {
+        if (!current()) return null;
+        if (!(await heapRoom())) {
+          state.stopped = "heap nearly full";
+          break;
+        }
+        for (const msg of await chat.fetchMessages({ limit: messages })) {
+          if (!current()) return null;
+          if (msg.timestamp * 1000 < since) continue;
+          if (await store(msg, chat)) state.cached++;
+        }
+        state.chatsDone++;
+        if (state.chatsDone < chats.length) await sleep(pauseMs);
+      }
+    } catch (err) {
+      if (!current()) return null;
+      state.stopped = err.message;
+    }
+    state.running = false;
+    state.finishedAt = Date.now();
+    return status();
+  }
+
+  // { running, startedAt, finishedAt, chatsDone, chatsTotal, cached,
+  // stopped } of the latest run; startedAt is null before the first
+  function status() {
+    return { ...state };
+  }
+
+  return { start, status };
+}
+
+module.exports = { createBackfill };
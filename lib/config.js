@@ -0,0 +1,456 @@
+const fs = require("fs");
+const path = require("path");
+const { WEEKDAYS } = require("./digest");
+
+// ─── Configuration ──────────────────────────────────────
+// Settings come from the schema defaults, then config.json, then the
+// environment. Everything is validated up front so a typo fails at startup
+// instead of at 3am.
+//
+// `apply` says when a change takes effect:
+//   hot     — immediately
+//   client  — next time WhatsApp/Chrome is restarted (/rebuild_it)
+//   process — only after the agent itself restarts
+
+const DEFAULT_PUPPETEER_ARGS = [
+  "--no-sandbox",
+  "--disable-setuid-sandbox",
+  "--disable-dev-shm-usage",
+  "--disable-gpu",
+  "--single-process",
+  "--no-zygote",
+  "--disable-extensions",
+  "--disable-background-networking",
+  "--disable-default-apps",
+  "--disable-sync",
+  "--disable-translate",
+  "--disable-software-rasterizer",
+  "--disable-background-timer-throttling",
+  "--disable-backgrounding-occluded-windows",
+  "--disable-renderer-backgrounding",
+  "--disable-component-update",
+  "--disable-domain-reliability",
+  "--metrics-recording-only",
+  "--no-first-run",
+  "--disable-features=TranslateUI,BlinkGenPropertyTrees",
+  "--disable-ipc-flooding-protection",
+];
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: value });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function isLocale(value) {
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf([value]).length > 0;
+  } catch (e) {
+    return false;
+  }
+}
+
+const CONFIG_SCHEMA = {
+  accounts: {
+    type: "string[]",
+    default: [],
+    env: "WA_ACCOUNTS",
+    apply: "process",
+    check: (v) => {
+      if (!v.every((entry) => /^[a-z0-9_-]{1,20}=\+?\d{6,15}$/i.test(entry)))
+        return 'entries must look like "<name>=<phone number>"';
+      const names = v.map((entry) => entry.split("=")[0].toLowerCase());
+      return (
+        new Set(names).size === names.length || "account names must be unique"
+      );
+    },
+    description:
+      "WhatsApp numbers to monitor, e.g. home=919876543210 (else WA_PHONE_NUMBER)",
+  },
+  timeZone: {
+    type: "string",
+    default: "Asia/Kolkata",
+    env: "TIME_ZONE",
+    apply: "hot",
+    check: (v) => isTimeZone(v) || "must be an IANA zone like Europe/Berlin",
+    description: "Time zone for all timestamps",
+  },
+  locale: {
+    type: "string",
+    default: "en-IN",
+    env: "LOCALE",
+    apply: "hot",
+    check: (v) => isLocale(v) || "must be a supported locale like en-GB",
+    description: "Locale for formatting timestamps",
+  },
+  deleteWindowHours: {
+    type: "number",
+    default: 68,
+    min: 1,
+    max: 720,
+    env: "DELETE_WINDOW_HOURS",
+    apply: "process",
+    description: "How long messages and temp media are kept for deletions",
+  },
+  startupGraceSeconds: {
+    type: "number",
+    default: 30,
+    min: 0,
+    max: 600,
+    env: "STARTUP_GRACE_SECONDS",
+    apply: "hot",
+    description: "Deletions right after connecting are ignored (sync noise)",
+  },
+  backfillChats: {
+    type: "number",
+    default: 20,
+    min: 0,
+    max: 500,
+    env: "BACKFILL_CHATS",
+    apply: "hot",
+    description:
+      "Recently active chats read back into the cache after connecting (0 = off)",
+  },
+  backfillMessages: {
+    type: "number",
+    default: 50,
+    min: 1,
+    max: 1000,
+    env: "BACKFILL_MESSAGES",
+    apply: "hot",
+    description:
+      "Last messages read back per chat; older than the delete window are skipped",
+  },
+  backfillMedia: {
+    type: "string",
+    default: "off",
+    env: "BACKFILL_MEDIA",
+    apply: "hot",
+    check: (v) => ["off", "on"].includes(v) || "must be off or on",
+    description: "Also download media of backfilled messages to media/temp",
+  },
+  pairingQrFallbackSeconds: {
+    type: "number",
+    default: 90,
+    min: 0,
+    max: 3600,
+    env: "PAIRING_QR_FALLBACK_SECONDS",
+    apply: "hot",
+    description:
+      "Send a QR code instead if pairing by code hasn't linked by then (0 = never)",
+  },
+  sessionBackupHours: {
+    type: "number",
+    default: 24,
+    min: 0,
+    max: 720,
+    env: "SESSION_BACKUP_HOURS",
+    apply: "hot",
+    description:
+      "Snapshot each linked WhatsApp session this often (0 = only /backup_session); needs encryption",
+  },
+  sessionBackupKeep: {
+    type: "number",
+    default: 5,
+    min: 1,
+    max: 100,
+    env: "SESSION_BACKUP_KEEP",
+    apply: "hot",
+    description: "Automatic session snapshots kept per account",
+  },
+  sessionBackupTelegram: {
+    type: "string",
+    default: "off",
+    env: "SESSION_BACKUP_TELEGRAM",
+    apply: "hot",
+    check: (v) => ["off", "on"].includes(v) || "must be off or on",
+    description: "Also upload session snapshots to TELEGRAM_CHAT_ID",
+  },
+  maxMediaSizeMb: {
+    type: "number",
+    default: 100,
+    min: 1,
+    max: 2000,
+    env: "MAX_MEDIA_SIZE_MB",
+    apply: "hot",
+    description: "Larger media is not downloaded (unless a chat limit says so)",
+  },
+  chatMediaLimitsMb: {
+    type: "string[]",
+    default: [],
+    env: "CHAT_MEDIA_LIMITS_MB",
+    apply: "hot",
+    check: (v) =>
+      v.every((entry) => /^[^=]+=\d+(\.\d+)?$/.test(entry)) ||
+      'entries must look like "<chat or contact>=<MB>"',
+    description: "Per-chat overrides of maxMediaSizeMb, e.g. Family=500",
+  },
+  mediaQuotaMb: {
+    type: "number",
+    default: 1024,
+    min: 10,
+    max: 1024 * 1024,
+    env: "MEDIA_QUOTA_MB",
+    apply: "hot",
+    description:
+      "Disk quota for media/temp per account; oldest files are evicted first",
+  },
+  deleteBurstWindowSeconds: {
+    type: "number",
+    default: 4,
+    min: 0,
+    max: 60,
+    env: "DELETE_BURST_WINDOW_SECONDS",
+    apply: "hot",
+    description: "Deletions this close together are sent as one alert",
+  },
+  digestSchedule: {
+    type: "string",
+    default: "off",
+    env: "DIGEST_SCHEDULE",
+    apply: "hot",
+    check: (v) =>
+      ["off", "daily", "weekly"].includes(v) || "must be off, daily or weekly",
+    description: "Send a summary of deletions, edits and view-once captures",
+  },
+  digestTime: {
+    type: "string",
+    default: "21:00",
+    env: "DIGEST_TIME",
+    apply: "hot",
+    check: (v) =>
+      /^([01]\d|2[0-3]):[0-5]\d$/.test(v) || "must be HH:MM (24-hour)",
+    description: "When the digest is sent, in timeZone",
+  },
+  digestWeekday: {
+    type: "string",
+    default: "sun",
+    env: "DIGEST_WEEKDAY",
+    apply: "hot",
+    check: (v) =>
+      WEEKDAYS.includes(v) || `must be one of ${WEEKDAYS.join(", ")}`,
+    description: "Day of the weekly digest",
+  },
+  telegramChats: {
+    type: "string[]",
+    default: [],
+    env: "TELEGRAM_CHATS",
+    apply: "hot",
+    check: (v) =>
+      v.every((entry) => /^-?\d+=(admin|viewer)$/.test(entry)) ||
+      'entries must look like "<Telegram user or chat id>=admin|viewer"',
+    description:
+      "Who else may use the bot; viewers get alerts and search, admins everything",
+  },
+  telegramRoutes: {
+    type: "string[]",
+    default: [],
+    env: "TELEGRAM_ROUTES",
+    apply: "hot",
+    check: (v) =>
+      v.every((entry) => /^[^=]+=-?\d+(\/\d+)?$/.test(entry)) ||
+      'entries must look like "<chat or contact>=<Telegram chat id>[/<topic id>]"',
+    description:
+      "Where alerts about a chat go, e.g. Family=-1001234567890/42; * for the rest",
+  },
+  telegramUploadLimitMb: {
+    type: "number",
+    default: 50,
+    min: 1,
+    max: 2000,
+    env: "TELEGRAM_UPLOAD_LIMIT_MB",
+    apply: "process",
+    description: "Bot API upload limit (raise only for a self-hosted Bot API)",
+  },
+  telegramLargeMedia: {
+    type: "string",
+    default: "notice",
+    env: "TELEGRAM_LARGE_MEDIA",
+    apply: "process",
+    check: (v) => ["notice", "split"].includes(v) || "must be notice or split",
+    description:
+      "Files over the upload limit: notice with local path, or split",
+  },
+  chromeMaxOldSpaceMb: {
+    type: "number",
+    default: 128,
+    min: 64,
+    max: 8192,
+    env: "CHROME_MAX_OLD_SPACE_MB",
+    apply: "client",
+    description: "V8 heap limit for WhatsApp Web inside Chrome",
+  },
+  puppeteerArgs: {
+    type: "string[]",
+    default: DEFAULT_PUPPETEER_ARGS,
+    env: "PUPPETEER_ARGS",
+    apply: "client",
+    check: (v) =>
+      v.every((arg) => arg.startsWith("--")) || "every arg must start with --",
+    description: "Chrome command-line flags (comma-separated in env)",
+  },
+};
+
+// What /config set may change from Telegram: hot settings that only tune
+// capture, media and alerts. Who may use the bot, where alerts go, session
+// uploads and anything Chrome is started with stay in config.json and the
+// environment.
+const TELEGRAM_SETTABLE = [
+  "timeZone",
+  "locale",
+  "startupGraceSeconds",
+  "backfillChats",
+  "backfillMessages",
+  "backfillMedia",
+  "pairingQrFallbackSeconds",
+  "sessionBackupHours",
+  "sessionBackupKeep",
+  "maxMediaSizeMb",
+  "chatMediaLimitsMb",
+  "mediaQuotaMb",
+  "deleteBurstWindowSeconds",
+  "digestSchedule",
+  "digestTime",
+  "digestWeekday",
+];
+for (const key of TELEGRAM_SETTABLE) {
+  if (CONFIG_SCHEMA[key]?.apply !== "hot")
+    throw new Error(`${key} can't be set from Telegram: not a hot setting`);
+}
+
+/**
+ * Converts a raw value to the setting's type and validates it. Strings (from
+ * env or Telegram) are parsed; config.json may also hold typed JSON values.
+ * Throws with a message naming the setting.
+ */
+function parseSetting(key, raw) {
+  const spec = CONFIG_SCHEMA[key];
+  if (!spec) throw new Error(`Unknown setting "${key}"`);
+
+  let value = raw;
+  if (spec.type === "number") {
+    if (typeof raw === "string" && raw.trim() !== "") value = Number(raw);
+    if (typeof value !== "number" || !Number.isFinite(value))
+      throw new Error(`${key} must be a number`);
+    if (value < spec.min || value > spec.max)
+      throw new Error(`${key} must be between ${spec.min} and ${spec.max}`);
+  } else if (spec.type === "string[]") {
+    if (typeof raw === "string")
+      value = raw
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+    if (!Array.isArray(value) || value.some((v) => typeof v !== "string"))
+      throw new Error(`${key} must be a list of strings`);
+  } else if (typeof value !== "string" || !value.trim()) {
+    throw new Error(`${key} must be a non-empty string`);
+  } else {
+    value = value.trim();
+  }
+
+  const verdict = spec.check ? spec.check(value) : true;
+  if (verdict !== true) throw new Error(`${key} ${verdict}`);
+  return value;
+}
+
+function createConfig(filePath, env = process.env) {
+  let fileValues = {};
+  const values = {};
+  const sources = {};
+
+  /**
+   * Reads config.json and the environment. Returns a list of problems;
+   * settings with problems keep their defaults.
+   */
+  function load() {
+    const errors = [];
+    fileValues = {};
+    if (fs.existsSync(filePath)) {
+      try {
+        fileValues = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      } catch (err) {
+        errors.push(
+          `${path.basename(filePath)} is not valid JSON: ${err.message}`,
+        );
+        fileValues = {};
+      }
+    }
+    for (const key of Object.keys(fileValues)) {
+      if (!CONFIG_SCHEMA[key])
+        errors.push(`${path.basename(filePath)}: unknown setting "${key}"`);
+    }
+
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+      values[key] = spec.default;
+      sources[key] = "default";
+      const layers = [
+        [path.basename(filePath), "file", fileValues[key]],
+        [spec.env, "env", env[spec.env] === "" ? undefined : env[spec.env]],
+      ];
+      for (const [label, source, raw] of layers) {
+        if (raw === undefined) continue;
+        try {
+          values[key] = parseSetting(key, raw);
+          sources[key] = source;
+        } catch (err) {
+          errors.push(`${label}: ${err.message}`);
+        }
+      }
+    }
+    return errors;
+  }
+
+  function get(key) {
+    if (!(key in CONFIG_SCHEMA)) throw new Error(`Unknown setting "${key}"`);
+    return values[key];
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(fileValues, null, 2), "utf8");
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Validates and stores a new value in config.json. Hot and client
+   * settings are updated in memory (the latter are read when Chrome next
+   * starts); process settings wait for a restart. An env override still
+   * wins, so that is reported back too.
+   */
+  function set(key, raw) {
+    const value = parseSetting(key, raw);
+    const spec = CONFIG_SCHEMA[key];
+    fileValues[key] = value;
+    save();
+    const overriddenByEnv = sources[key] === "env";
+    if (spec.apply !== "process" && !overriddenByEnv) {
+      values[key] = value;
+      sources[key] = "file";
+    }
+    return { value, apply: spec.apply, overriddenByEnv };
+  }
+
+  function describe() {
+    return Object.entries(CONFIG_SCHEMA).map(([key, spec]) => ({
+      key,
+      value: values[key],
+      source: sources[key],
+      apply: spec.apply,
+      env: spec.env,
+      description: spec.description,
+    }));
+  }
+
+  return { load, get, set, describe };
+}
+
+module.exports = {
+  createConfig,
+  parseSetting,
+  CONFIG_SCHEMA,
+  TELEGRAM_SETTABLE,
+};
@@ -0,0 +1,161 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { PLAINTEXT } = require("./encryption");
+const { queryRecords, parseQueryArgs } = require("./records");
+
+// ─── Local Dashboard & REST API ─────────────────────────
+// Read-only view over media/saved and the live cache. Binds to localhost by
+// default and requires DASHBOARD_TOKEN as a Bearer header or ?token= (the
+// latter so <img>/<video> tags can load media).
+
+// Types a browser can show inline without running anything; the rest (SVG,
+// HTML, PDF, ...) were sent by WhatsApp contacts and are downloaded instead
+const INLINE_MEDIA =
+  /^(image\/(png|jpeg|gif|webp|bmp)|audio\/[\w.+-]+|video\/[\w.+-]+)$/;
+
+const RECORD_KINDS = {
+  deleted: ["deleted"],
+  "view-once": ["viewonce"],
+  edited: ["edited"],
+};
+
+function tokenMatches(expected, given) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given || ""));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-store",
+  });
+  res.end(JSON.stringify(body));
+}
+
+// ?since=3d&until=2026-10-01 — same syntax as the Telegram commands
+function parseFilters(params) {
+  const bounds = ["since", "until"]
+    .filter((k) => params.get(k))
+    .map((k) => `${k}:${params.get(k)}`);
+  const query = parseQueryArgs(bounds);
+  return {
+    error: query.error,
+    filters: {
+      text: params.get("q") || "",
+      from: params.get("sender") || "",
+      chat: params.get("chat") || "",
+      since: query.since,
+      until: query.until,
+    },
+  };
+}
+
+function createDashboard({
+  host = "127.0.0.1",
+  port,
+  token,
+  savedDir,
+  getStatus,
+  getCachedMessages,
+  guessMimetype,
+  encryption = PLAINTEXT,
+}) {
+  const pagePath = path.join(__dirname, "dashboard.html");
+  let server = null;
+
+  function handleRecords(res, params, kinds) {
+    const { error, filters } = parseFilters(params);
+    if (error) return sendJSON(res, 400, { error });
+    const limit = Math.min(Number(params.get("limit")) || 50, 500);
+    const offset = Number(params.get("offset")) || 0;
+    const results = queryRecords(savedDir, filters, kinds, encryption);
+    sendJSON(res, 200, {
+      total: results.length,
+      offset,
+      limit,
+      records: results.slice(offset, offset + limit),
+    });
+  }
+
+  function handleMedia(res, name) {
+    // Only plain filenames inside media/saved — no traversal
+    const filename = path.basename(decodeURIComponent(name));
+    const filePath = path.join(savedDir, filename);
+    if (!filename || !fs.existsSync(filePath)) {
+      return sendJSON(res, 404, { error: "Not found" });
+    }
+    const mimetype = guessMimetype(filename);
+    const inline = INLINE_MEDIA.test(mimetype);
+    res.writeHead(200, {
+      "Content-Type": inline ? mimetype : "application/octet-stream",
+      "Content-Disposition": `${inline ? "inline" : "attachment"}; filename*=UTF-8''${encodeURIComponent(filename)}`,
+      "Content-Length": encryption.plainSize(filePath),
+      "Content-Security-Policy": "sandbox",
+      "X-Content-Type-Options": "nosniff",
+      "Cache-Control": "private, max-age=3600",
+    });
+    encryption
+      .createReadStream(filePath)
+      .on("error", (err) => {
+        console.error("Dashboard media error:", err.message);
+        res.destroy();
+      })
+      .pipe(res);
+  }
+
+  function handle(req, res) {
+    try {
+      // Only the path and query are used; the Host header is the client's
+      const url = new URL(req.url, "http://localhost");
+      const bearer = (req.headers.authorization || "").replace(/^Bearer /, "");
+      if (!tokenMatches(token, bearer || url.searchParams.get("token"))) {
+        return sendJSON(res, 401, { error: "Invalid or missing token" });
+      }
+      if (req.method !== "GET") {
+        return sendJSON(res, 405, { error: "Method not allowed" });
+      }
+
+      const route = url.pathname.replace(/\/+$/, "") || "/";
+      if (route === "/") {
+        res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+        return fs.createReadStream(pagePath).pipe(res);
+      }
+      if (route === "/api/status") return sendJSON(res, 200, getStatus());
+      if (route === "/api/cache") {
+        return sendJSON(res, 200, { messages: getCachedMessages() });
+      }
+      const kind = /^\/api\/(deleted|view-once|edited)$/.exec(route);
+      if (kind)
+        return handleRecords(res, url.searchParams, RECORD_KINDS[kind[1]]);
+      const media = /^\/media\/([^/]+)$/.exec(route);
+      if (media) return handleMedia(res, media[1]);
+      sendJSON(res, 404, { error: "Not found" });
+    } catch (err) {
+      console.error("Dashboard request error:", err);
+      if (res.headersSent) res.destroy();
+      else sendJSON(res, 500, { error: err.message });
+    }
+  }
+
+  function start() {
+    server = http.createServer(handle);
+    server.on("error", (err) => {
+      console.error("Dashboard server error:", err.message);
+    });
+    server.listen(port, host, () => {
+      console.log(`📊 Dashboard listening on http://${host}:${port}/`);
+    });
+  }
+
+  function stop() {
+    if (server) server.close();
+    server = null;
+  }
+
+  return { start, stop };
+}
+
+module.exports = { createDashboard };
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const path = require("path");
+
+// ─── Scheduled Digest ───────────────────────────────────
+// Fires once per day (or once a week on the chosen weekday) at a wall-clock
+// time in the configured time zone. It checks every minute rather than
+// setting one long timer, so DST changes and /config edits apply without a
+// restart. The last run is persisted, so a restart doesn't repeat a digest
+// and one missed while the agent was down is sent when it comes back that
+// day.
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Calendar fields of `date` as seen in `timeZone`
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    weekday: "short",
+    hourCycle: "h23",
+  }).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: parts.weekday.toLowerCase(),
+  };
+}
+
+// Midnight today in `timeZone`, as epoch ms
+function startOfDay(now, timeZone) {
+  const { hour, minute, second } = zonedParts(new Date(now), timeZone);
+  return now - ((hour * 60 + minute) * 60 + second) * 1000 - (now % 1000);
+}
+
+/**
+ * `getSettings()` returns { schedule: "off"|"daily"|"weekly", time: "HH:MM",
+ * weekday: "sun".."sat", timeZone } and is read on every tick. `onDue(kind)`
+ * sends the digest; if it throws, the next tick tries again.
+ */
+function createDigestScheduler({
+  statePath,
+  getSettings,
+  onDue,
+  tickMs = 60 * 1000,
+}) {
+  let state = { lastDate: null, lastSentAt: null };
+  let timer = null;
+  let running = false;
+
+  function load() {
+    try {
+      if (fs.existsSync(statePath)) {
+        state = { ...state, ...JSON.parse(fs.readFileSync(statePath, "utf8")) };
+      }
+    } catch (err) {
+      console.error("Could not read digest state:", err.message);
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    const tmpPath = `${statePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2), "utf8");
+    fs.renameSync(tmpPath, statePath);
+  }
+
+  // The schedule kind if a digest is due at `now`, else null
+  function due(now = Date.now()) {
+    const { schedule, time, weekday, timeZone } = getSettings();
+    if (schedule === "off") return null;
+    const parts = zonedParts(new Date(now), timeZone);
+    if (state.lastDate === parts.date) return null;
+    if (schedule === "weekly" && parts.weekday !== weekday) return null;
+    const [hour, minute] = time.split(":").map(Number);
+    if (parts.hour * 60 + parts.minute < hour * 60 + minute) return null;
+    return schedule;
+  }
+
+  async function tick() {
+    if (running) return;
+    const kind = due();
+    if (!kind) return;
+    running = true;
+    try {
+      await onDue(kind, state.lastSentAt);
+      const now = Date.now();
+      state = {
+        lastDate: zonedParts(new Date(now), getSettings().timeZone).date,
+        lastSentAt: now,
+      };
+      save();
+    } catch (err) {
+      console.error("Digest error:", err.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    load();
+    if (!timer) {
+      timer = setInterval(tick, tickMs);
+      timer.unref();
+    }
+    tick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, tick, due };
+}
+
+module.exports = { createDigestScheduler, zonedParts, startOfDay, WEEKDAYS };
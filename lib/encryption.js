@@ -0,0 +1,548 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+
+// ─── Encryption at Rest ─────────────────────────────────
+// Optional AES-256-GCM for everything the agent captures. Two on-disk
+// formats, both tagged with the id of the key that wrote them so old keys
+// keep working after a rotation:
+//
+//   files  — "WAENC" 0x01, 8-byte key id, 7-byte nonce prefix, then 64 KiB
+//            chunks each followed by its auth tag. The nonce carries a chunk
+//            counter and a last-chunk flag, so reordered or truncated files
+//            fail to decrypt. Large media is encrypted and read as a stream.
+//   text   — append-only logs and journals (messages_log.txt, data/*.jsonl)
+//            get one "enc1:<key id>:<base64>" line per append (and per line
+//            when a file is rewritten whole), so appends stay cheap and a
+//            torn or damaged line only loses that entry.
+//
+// Plaintext written before encryption was enabled is still read as is;
+// `npm run crypt -- rotate` converts it.
+
+const MAGIC = Buffer.from("WAENC\x01", "latin1");
+const KEY_ID_BYTES = 8;
+const NONCE_PREFIX_BYTES = 7;
+const HEADER_BYTES = MAGIC.length + KEY_ID_BYTES + NONCE_PREFIX_BYTES;
+const CHUNK_BYTES = 64 * 1024;
+const TAG_BYTES = 16;
+const LINE_PREFIX = "enc1:";
+const LINE_RE = /^enc1:([0-9a-f]{16}):([A-Za-z0-9+/]+={0,2})$/;
+
+function keyIdOf(key) {
+  return crypto
+    .createHash("sha256")
+    .update("wa-agent key id\0")
+    .update(key)
+    .digest()
+    .subarray(0, KEY_ID_BYTES)
+    .toString("hex");
+}
+
+// 64 hex characters or base64 of 32 bytes
+function parseKey(text) {
+  const value = String(text || "").trim();
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, "hex")
+    : Buffer.from(value, "base64");
+  if (key.length !== 32) {
+    throw new Error(
+      "encryption keys must be 32 bytes, as 64 hex characters or base64",
+    );
+  }
+  return key;
+}
+
+function generateKey() {
+  return crypto.randomBytes(32).toString("base64");
+}
+
+/**
+ * Reads keys from the environment. ENCRYPTION_KEY is the key new data is
+ * written with and ENCRYPTION_PREVIOUS_KEYS (comma-separated) can still be
+ * read; alternatively ENCRYPTION_KEY_FILE holds one key per line, current
+ * key first. Returns [] when encryption is off. Throws on bad keys.
+ */
+function loadKeys(env = process.env) {
+  if (env.ENCRYPTION_KEY && env.ENCRYPTION_KEY_FILE) {
+    throw new Error("set ENCRYPTION_KEY or ENCRYPTION_KEY_FILE, not both");
+  }
+  let lines = [];
+  if (env.ENCRYPTION_KEY_FILE) {
+    try {
+      lines = fs
+        .readFileSync(env.ENCRYPTION_KEY_FILE, "utf8")
+        .split("\n")
+        .map((l) => l.trim())
+        .filter((l) => l && !l.startsWith("#"));
+    } catch (err) {
+      throw new Error(`cannot read ENCRYPTION_KEY_FILE: ${err.message}`);
+    }
+    if (!lines.length) throw new Error("ENCRYPTION_KEY_FILE has no keys");
+  } else if (env.ENCRYPTION_KEY) {
+    lines = [
+      env.ENCRYPTION_KEY,
+      ...(env.ENCRYPTION_PREVIOUS_KEYS || "").split(","),
+    ]
+      .map((l) => l.trim())
+      .filter(Boolean);
+  }
+  return lines.map(parseKey);
+}
+
+function chunkNonce(prefix, index, last) {
+  const nonce = Buffer.alloc(12);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, NONCE_PREFIX_BYTES);
+  nonce[11] = last ? 1 : 0;
+  return nonce;
+}
+
+function sealChunk(key, header, index, last, plain) {
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    key,
+    chunkNonce(header.subarray(HEADER_BYTES - NONCE_PREFIX_BYTES), index, last),
+  );
+  cipher.setAAD(header);
+  return Buffer.concat([
+    cipher.update(plain),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+}
+
+function openChunk(key, header, index, last, sealed) {
+  if (sealed.length < TAG_BYTES) throw new Error("encrypted file is truncated");
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    chunkNonce(header.subarray(HEADER_BYTES - NONCE_PREFIX_BYTES), index, last),
+  );
+  decipher.setAAD(header);
+  decipher.setAuthTag(sealed.subarray(sealed.length - TAG_BYTES));
+  try {
+    return Buffer.concat([
+      decipher.update(sealed.subarray(0, sealed.length - TAG_BYTES)),
+      decipher.final(),
+    ]);
+  } catch (e) {
+    throw new Error("encrypted file is corrupt or was tampered with");
+  }
+}
+
+function hasMagic(buffer) {
+  return (
+    buffer.length >= MAGIC.length &&
+    buffer.subarray(0, MAGIC.length).equals(MAGIC)
+  );
+}
+
+// Reads just enough of a file to tell whether it is in the file format
+function readHead(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const head = Buffer.alloc(HEADER_BYTES);
+    const bytes = fs.readSync(fd, head, 0, HEADER_BYTES, 0);
+    return head.subarray(0, bytes);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Builds the reader/writer the rest of the app goes through. With no keys
+ * every method is a plain fs call, so callers never branch on whether
+ * encryption is on. The first key encrypts; all keys decrypt.
+ */
+function createEncryption({ keys = [] } = {}) {
+  const keysById = new Map(keys.map((key) => [keyIdOf(key), key]));
+  const activeKey = keys[0] || null;
+  const activeKeyId = activeKey ? keyIdOf(activeKey) : null;
+  const enabled = Boolean(activeKey);
+
+  function keyFor(keyId) {
+    const key = keysById.get(keyId);
+    if (!key) {
+      throw new Error(
+        `data was encrypted with unknown key ${keyId} (add it to ENCRYPTION_PREVIOUS_KEYS)`,
+      );
+    }
+    return key;
+  }
+
+  function newHeader() {
+    return Buffer.concat([
+      MAGIC,
+      Buffer.from(activeKeyId, "hex"),
+      crypto.randomBytes(NONCE_PREFIX_BYTES),
+    ]);
+  }
+
+  function headerKey(header) {
+    if (header.length < HEADER_BYTES)
+      throw new Error("encrypted file is truncated");
+    return keyFor(
+      header
+        .subarray(MAGIC.length, MAGIC.length + KEY_ID_BYTES)
+        .toString("hex"),
+    );
+  }
+
+  // ── Whole files ──
+
+  function encryptBuffer(plain) {
+    const header = newHeader();
+    const parts = [header];
+    let index = 0;
+    let offset = 0;
+    do {
+      const chunk = plain.subarray(offset, offset + CHUNK_BYTES);
+      offset += CHUNK_BYTES;
+      parts.push(
+        sealChunk(activeKey, header, index++, offset >= plain.length, chunk),
+      );
+    } while (offset < plain.length);
+    return Buffer.concat(parts);
+  }
+
+  function decryptBuffer(data) {
+    const header = data.subarray(0, HEADER_BYTES);
+    const key = headerKey(header);
+    const parts = [];
+    const sealedBytes = CHUNK_BYTES + TAG_BYTES;
+    let index = 0;
+    for (let offset = HEADER_BYTES; ; offset += sealedBytes) {
+      const last = offset + sealedBytes >= data.length;
+      parts.push(
+        openChunk(
+          key,
+          header,
+          index++,
+          last,
+          data.subarray(offset, offset + sealedBytes),
+        ),
+      );
+      if (last) break;
+    }
+    return Buffer.concat(parts);
+  }
+
+  function encryptStream() {
+    const header = newHeader();
+    let pending = Buffer.alloc(0);
+    let index = 0;
+    let started = false;
+    function start(stream) {
+      if (!started) stream.push(header);
+      started = true;
+    }
+    return new Transform({
+      transform(data, encoding, callback) {
+        start(this);
+        pending = Buffer.concat([pending, data]);
+        // Hold back the final chunk until flush so it can be flagged last
+        while (pending.length > CHUNK_BYTES) {
+          this.push(
+            sealChunk(
+              activeKey,
+              header,
+              index++,
+              false,
+              pending.subarray(0, CHUNK_BYTES),
+            ),
+          );
+          pending = pending.subarray(CHUNK_BYTES);
+        }
+        callback();
+      },
+      flush(callback) {
+        start(this);
+        this.push(sealChunk(activeKey, header, index++, true, pending));
+        callback();
+      },
+    });
+  }
+
+  function decryptStream() {
+    const sealedBytes = CHUNK_BYTES + TAG_BYTES;
+    let header = null;
+    let key = null;
+    let pending = Buffer.alloc(0);
+    let index = 0;
+    return new Transform({
+      transform(data, encoding, callback) {
+        try {
+          pending = Buffer.concat([pending, data]);
+          if (!header) {
+            if (pending.length < HEADER_BYTES) return callback();
+            header = Buffer.from(pending.subarray(0, HEADER_BYTES));
+            key = headerKey(header);
+            pending = pending.subarray(HEADER_BYTES);
+          }
+          while (pending.length > sealedBytes) {
+            this.push(
+              openChunk(
+                key,
+                header,
+                index++,
+                false,
+                pending.subarray(0, sealedBytes),
+              ),
+            );
+            pending = pending.subarray(sealedBytes);
+          }
+          callback();
+        } catch (err) {
+          callback(err);
+        }
+      },
+      flush(callback) {
+        try {
+          if (!header) throw new Error("encrypted file is truncated");
+          this.push(openChunk(key, header, index++, true, pending));
+          callback();
+        } catch (err) {
+          callback(err);
+        }
+      },
+    });
+  }
+
+  function isEncryptedFile(filePath) {
+    return hasMagic(readHead(filePath));
+  }
+
+  // Key id of an encrypted file, or null for plaintext
+  function fileKeyId(filePath) {
+    const head = readHead(filePath);
+    if (!hasMagic(head) || head.length < HEADER_BYTES) return null;
+    return head
+      .subarray(MAGIC.length, MAGIC.length + KEY_ID_BYTES)
+      .toString("hex");
+  }
+
+  function writeFile(filePath, data) {
+    const plain = Buffer.isBuffer(data)
+      ? data
+      : Buffer.from(String(data), "utf8");
+    fs.writeFileSync(filePath, enabled ? encryptBuffer(plain) : plain);
+  }
+
+  function readFile(filePath) {
+    const data = fs.readFileSync(filePath);
+    return hasMagic(data) ? decryptBuffer(data) : data;
+  }
+
+  // Encrypts `srcPath` into `destPath` without loading it into memory
+  async function encryptFile(srcPath, destPath) {
+    await pipeline(
+      fs.createReadStream(srcPath),
+      encryptStream(),
+      fs.createWriteStream(destPath),
+    );
+  }
+
+  // Moves a freshly written plaintext file (e.g. a download) into place,
+  // encrypting it on the way when encryption is on
+  async function adoptFile(srcPath, destPath) {
+    if (!enabled) {
+      fs.renameSync(srcPath, destPath);
+      return;
+    }
+    try {
+      await encryptFile(srcPath, destPath);
+    } catch (err) {
+      fs.rmSync(destPath, { force: true });
+      throw err;
+    } finally {
+      fs.rmSync(srcPath, { force: true });
+    }
+  }
+
+  // Plaintext stream of a file in either format
+  function createReadStream(filePath) {
+    if (!isEncryptedFile(filePath)) return fs.createReadStream(filePath);
+    const source = fs.createReadStream(filePath);
+    const plain = decryptStream();
+    source.on("error", (err) => plain.destroy(err));
+    return source.pipe(plain);
+  }
+
+  // Plaintext files stay file-backed; encrypted ones are decrypted into
+  // memory, so only use this for files of a bounded size (uploads)
+  async function openAsBlob(filePath, options = {}) {
+    if (!isEncryptedFile(filePath)) return fs.openAsBlob(filePath, options);
+    return new Blob([readFile(filePath)], options);
+  }
+
+  // Size of the plaintext, computed from the chunk layout
+  function plainSize(filePath) {
+    const { size } = fs.statSync(filePath);
+    if (!isEncryptedFile(filePath)) return size;
+    const body = size - HEADER_BYTES;
+    const chunks = Math.max(1, Math.ceil(body / (CHUNK_BYTES + TAG_BYTES)));
+    return body - chunks * TAG_BYTES;
+  }
+
+  // ── Text logs and journals ──
+
+  function encryptLine(text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", activeKey, iv);
+    cipher.setAAD(Buffer.from(activeKeyId));
+    const sealed = Buffer.concat([
+      iv,
+      cipher.update(text, "utf8"),
+      cipher.final(),
+      cipher.getAuthTag(),
+    ]);
+    return `${LINE_PREFIX}${activeKeyId}:${sealed.toString("base64")}`;
+  }
+
+  // Returns null for a torn or damaged line
+  function decryptLine(line) {
+    const match = LINE_RE.exec(line);
+    if (!match) return null;
+    const key = keyFor(match[1]);
+    const sealed = Buffer.from(match[2], "base64");
+    if (sealed.length < 12 + TAG_BYTES) return null;
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      key,
+      sealed.subarray(0, 12),
+    );
+    decipher.setAAD(Buffer.from(match[1]));
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG_BYTES));
+    try {
+      return Buffer.concat([
+        decipher.update(sealed.subarray(12, sealed.length - TAG_BYTES)),
+        decipher.final(),
+      ]).toString("utf8");
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // What appending `text` to a text file actually writes
+  function encodeText(text) {
+    return enabled ? `${encryptLine(text)}\n` : text;
+  }
+
+  function appendText(filePath, text) {
+    fs.appendFileSync(filePath, encodeText(text), "utf8");
+  }
+
+  // Replaces a text file; each line is encrypted on its own, as if appended
+  function writeText(filePath, text) {
+    const lines = text ? text.split(/(?<=\n)/) : [];
+    fs.writeFileSync(filePath, lines.map(encodeText).join(""), "utf8");
+  }
+
+  /**
+   * Reads a text file back as the concatenation of everything appended to
+   * it. Plaintext lines pass through; encrypted lines that fail to
+   * authenticate (torn writes) are dropped with a warning.
+   */
+  function readText(filePath) {
+    const lines = fs.readFileSync(filePath, "utf8").split("\n");
+    let text = "";
+    let damaged = 0;
+    lines.forEach((line, i) => {
+      const newline = i < lines.length - 1 ? "\n" : "";
+      if (!line.startsWith(LINE_PREFIX)) {
+        text += line + newline;
+        return;
+      }
+      const plain = decryptLine(line);
+      if (plain === null) damaged++;
+      else text += plain;
+    });
+    if (damaged) {
+      console.warn(
+        `⚠️ Skipped ${damaged} damaged encrypted line(s) in ${path.basename(filePath)}`,
+      );
+    }
+    return text;
+  }
+
+  // Key ids used in a text file; "plaintext" counts unencrypted lines
+  function textKeyIds(filePath) {
+    const ids = new Set();
+    for (const line of fs.readFileSync(filePath, "utf8").split("\n")) {
+      if (!line) continue;
+      const match = LINE_RE.exec(line);
+      ids.add(match ? match[1] : "plaintext");
+    }
+    return ids;
+  }
+
+  // ── Rotation ──
+
+  // Rewrites a file under the current key (keeping its mtime, which the
+  // sweeps go by). Plaintext files get encrypted. Returns false when the
+  // file already uses the current key.
+  async function reencryptFile(filePath) {
+    if (!enabled) throw new Error("no encryption key configured");
+    if (fileKeyId(filePath) === activeKeyId) return false;
+    const stat = fs.statSync(filePath);
+    const tmpPath = `${filePath}.rekey`;
+    try {
+      await pipeline(
+        createReadStream(filePath),
+        encryptStream(),
+        fs.createWriteStream(tmpPath),
+      );
+      fs.renameSync(tmpPath, filePath);
+    } finally {
+      fs.rmSync(tmpPath, { force: true });
+    }
+    fs.utimesSync(filePath, stat.atime, stat.mtime);
+    return true;
+  }
+
+  function reencryptText(filePath) {
+    if (!enabled) throw new Error("no encryption key configured");
+    const ids = textKeyIds(filePath);
+    if ([...ids].every((id) => id === activeKeyId)) return false;
+    const stat = fs.statSync(filePath);
+    const tmpPath = `${filePath}.rekey`;
+    writeText(tmpPath, readText(filePath));
+    fs.renameSync(tmpPath, filePath);
+    fs.utimesSync(filePath, stat.atime, stat.mtime);
+    return true;
+  }
+
+  return {
+    enabled,
+    activeKeyId,
+    isEncryptedFile,
+    fileKeyId,
+    writeFile,
+    readFile,
+    encryptFile,
+    adoptFile,
+    createReadStream,
+    openAsBlob,
+    plainSize,
+    encodeText,
+    appendText,
+    writeText,
+    readText,
+    textKeyIds,
+    reencryptFile,
+    reencryptText,
+  };
+}
+
+// Shared pass-through instance for callers that weren't given one
+const PLAINTEXT = createEncryption();
+
+module.exports = {
+  createEncryption,
+  loadKeys,
+  generateKey,
+  keyIdOf,
+  PLAINTEXT,
+};
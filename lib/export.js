@@ -0,0 +1,333 @@
+const archiver = require("archiver");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Transform } = require("stream");
+const { PLAINTEXT } = require("./encryption");
+const { listRecords, matchesRecord, parseQueryArgs } = require("./records");
+
+// ─── Evidence Export ────────────────────────────────────
+// Builds a self-contained ZIP for one chat or contact:
+//
+//   transcript.html   deleted, edited and view-once messages, oldest first
+//   media/            the saved media they refer to (linked from the HTML)
+//   records/          the original record JSON files
+//   manifest.json     what was exported and the SHA-256 of every file above
+//
+// Used by /export and `npm run export`. Files are decrypted on the way into
+// the archive when encryption at rest is on.
+
+const EXPORT_KINDS = ["deleted", "edited", "viewonce"];
+const DATE_ARG_RE = /^(\d{4}-\d{2}-\d{2}|\d+[hdw])$/i;
+
+/**
+ * Splits `/export` arguments into the chat/contact and an optional date
+ * range: `<chat or contact> [from] [to]`, where from/to are YYYY-MM-DD or
+ * 12h/3d/2w. since:/until: work too. Returns { target, since, until, error }.
+ */
+function parseExportArgs(args) {
+  const words = [...args];
+  const bounds = [];
+  // Trailing dates, so chat names with spaces need no quoting
+  while (bounds.length < 2 && words.length > 1) {
+    if (!DATE_ARG_RE.test(words[words.length - 1])) break;
+    bounds.unshift(words.pop());
+  }
+  const [from, to] = bounds;
+  const query = parseQueryArgs([
+    ...words,
+    ...(from ? [`since:${from}`] : []),
+    ...(to ? [`until:${to}`] : []),
+  ]);
+  if (query.error) return { error: query.error };
+  if (!query.text) return { error: "Name a chat or contact to export." };
+  return { target: query.text, since: query.since, until: query.until };
+}
+
+function exportFilename(target, now = Date.now()) {
+  const slug = target.replace(/[^a-zA-Z0-9]+/g, "_").substring(0, 30);
+  return `export_${slug}_${now}.zip`;
+}
+
+// Records about the chat or contact, oldest first
+function findExportRecords({
+  savedDir,
+  target,
+  since,
+  until,
+  encryption = PLAINTEXT,
+}) {
+  return listRecords(savedDir, EXPORT_KINDS, encryption, { since, until })
+    .filter(
+      (r) =>
+        matchesRecord(r, { chat: target, since, until }) ||
+        matchesRecord(r, { from: target, since, until }),
+    )
+    .sort((a, b) => a.savedAt - b.savedAt);
+}
+
+function escapeHTML(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const KIND_LABELS = {
+  deleted: "🗑️ Deleted",
+  edited: "✏️ Edited",
+  viewonce: "👁️ View-once",
+};
+
+function renderMedia(href, mimetype, filename) {
+  const src = escapeHTML(encodeURI(href));
+  const type = String(mimetype || "");
+  if (type.startsWith("image/"))
+    return `<a href="${src}"><img src="${src}" alt="${escapeHTML(filename)}"></a>`;
+  if (type.startsWith("video/"))
+    return `<video controls preload="metadata" src="${src}"></video>`;
+  if (type.startsWith("audio/"))
+    return `<audio controls preload="metadata" src="${src}"></audio>`;
+  return `<a href="${src}">📎 ${escapeHTML(filename)}</a>`;
+}
+
+function renderEntry({ record, mediaHref, mediaMissing }) {
+  const label =
+    record.messageType === "reaction"
+      ? "🗑️ Reaction removed"
+      : KIND_LABELS[record.kind];
+  const when = { deleted: "Deleted", edited: "Edited", viewonce: "Captured" }[
+    record.kind
+  ];
+  const lines = [
+    `<article class="${record.kind}">`,
+    `<header><b>${escapeHTML(label)}</b> · ${escapeHTML(record.senderName)} (${escapeHTML(record.senderNumber)}) · ${escapeHTML(record.where)}</header>`,
+    `<p class="times">Sent: ${escapeHTML(record.sentTime || "Unknown")} · ${when}: ${escapeHTML(record.time)}</p>`,
+  ];
+  if (record.quotedMessage) {
+    const q = record.quotedMessage;
+    lines.push(
+      `<p class="context">↪️ Reply to ${escapeHTML(q.senderName)}: ${escapeHTML(q.body)}</p>`,
+    );
+  }
+  if (record.mentions?.length) {
+    lines.push(
+      `<p class="context">Mentions: ${escapeHTML(record.mentions.map((m) => m.name).join(", "))}</p>`,
+    );
+  }
+  if (record.kind === "edited") {
+    lines.push(
+      `<pre>Before: ${escapeHTML(record.before)}\nAfter: ${escapeHTML(record.after)}</pre>`,
+    );
+  } else {
+    lines.push(
+      `<pre>${escapeHTML(record.originalMessage || "[<empty>]")}</pre>`,
+    );
+  }
+  if (record.editHistory?.length > (record.kind === "edited" ? 2 : 0)) {
+    lines.push(
+      `<ol class="history">${record.editHistory.map((v) => `<li>${escapeHTML(v.body)}</li>`).join("")}</ol>`,
+    );
+  }
+  if (mediaHref) {
+    lines.push(
+      `<div class="media">${renderMedia(mediaHref, record.mediaMimetype, record.mediaFilename)}</div>`,
+    );
+  } else if (mediaMissing) {
+    lines.push(
+      `<p class="missing">Media ${escapeHTML(record.mediaFilename)} was no longer on disk.</p>`,
+    );
+  }
+  lines.push("</article>");
+  return lines.join("\n");
+}
+
+function renderTranscript({ title, subtitle, entries }) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>
+  body { font: 15px/1.45 system-ui, sans-serif; max-width: 860px; margin: 2em auto; padding: 0 1em; color: #222; }
+  article { border: 1px solid #ddd; border-left: 4px solid #c0392b; border-radius: 6px; padding: .6em 1em; margin: 1em 0; }
+  article.edited { border-left-color: #e67e22; }
+  article.viewonce { border-left-color: #2980b9; }
+  .times, .context, .missing { color: #666; font-size: 13px; margin: .3em 0; }
+  .missing { color: #c0392b; }
+  pre { white-space: pre-wrap; word-break: break-word; font: inherit; margin: .5em 0; }
+  img, video { max-width: 100%; max-height: 480px; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<p>${escapeHTML(subtitle)}</p>
+<p>SHA-256 hashes of every file in this archive are listed in manifest.json.</p>
+${entries.map(renderEntry).join("\n")}
+</body>
+</html>
+`;
+}
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Writes the archive for `records` to `outPath` (plaintext; callers encrypt
+ * it afterwards if they keep it). Media is looked up in `mediaDir` and
+ * streamed, never read into memory whole. `formatTime(date)` renders
+ * timestamps in the user's zone. Resolves to { outPath, sha256, bytes,
+ * records, media, missingMedia }.
+ */
+async function buildExport({
+  records,
+  outPath,
+  mediaDir,
+  target,
+  since = null,
+  until = null,
+  formatTime,
+  encryption = PLAINTEXT,
+}) {
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  const output = fs.createWriteStream(outPath);
+  const archiveHash = crypto.createHash("sha256");
+  archive.on("data", (chunk) => archiveHash.update(chunk));
+  const written = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    output.on("error", reject);
+    archive.on("error", reject);
+  });
+  written.catch(() => {}); // awaited below; this only silences early failures
+  archive.pipe(output);
+
+  const files = [];
+  const pendingHashes = [];
+  const addBuffer = (name, buffer) => {
+    archive.append(buffer, { name });
+    files.push({ path: name, size: buffer.length, sha256: sha256(buffer) });
+  };
+  // Hashes media as archiver consumes it (a Transform, so nothing flows
+  // before archiver gets to this entry)
+  const addFile = (name, filePath) => {
+    const hash = crypto.createHash("sha256");
+    const entry = { path: name, size: 0, sha256: null };
+    const tap = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        entry.size += chunk.length;
+        callback(null, chunk);
+      },
+      flush(callback) {
+        entry.sha256 = hash.digest("hex");
+        callback();
+      },
+    });
+    pendingHashes.push(
+      new Promise((resolve, reject) => {
+        tap.on("end", resolve);
+        tap.on("error", reject);
+      }),
+    );
+    const source = encryption.createReadStream(filePath);
+    source.on("error", (err) => tap.destroy(err));
+    archive.append(source.pipe(tap), { name });
+    files.push(entry);
+  };
+
+  const entries = [];
+  const usedNames = new Set();
+  let missingMedia = 0;
+  for (const record of records) {
+    const entry = { record, mediaHref: null, mediaMissing: false };
+    if (record.mediaFilename) {
+      const mediaPath = path.join(
+        mediaDir,
+        path.basename(record.mediaFilename),
+      );
+      if (fs.existsSync(mediaPath)) {
+        entry.mediaHref = `media/${path.basename(record.mediaFilename)}`;
+        if (!usedNames.has(entry.mediaHref)) {
+          usedNames.add(entry.mediaHref);
+          addFile(entry.mediaHref, mediaPath);
+        }
+      } else {
+        entry.mediaMissing = true;
+        missingMedia++;
+      }
+    }
+    const { kind, recordFile, savedAt, ...data } = record;
+    addBuffer(
+      `records/${recordFile}`,
+      Buffer.from(JSON.stringify(data, null, 2)),
+    );
+    entries.push(entry);
+  }
+
+  const generatedAt = new Date();
+  const range = `${since ? formatTime(new Date(since)) : "the beginning"} → ${until ? formatTime(new Date(until)) : formatTime(generatedAt)}`;
+  addBuffer(
+    "transcript.html",
+    Buffer.from(
+      renderTranscript({
+        title: `WhatsApp export: ${target}`,
+        subtitle: `${records.length} message(s) · ${range} · generated ${formatTime(generatedAt)}`,
+        entries,
+      }),
+    ),
+  );
+
+  try {
+    await Promise.all(pendingHashes);
+    const counts = {};
+    for (const r of records) counts[r.kind] = (counts[r.kind] || 0) + 1;
+    const manifest = {
+      generatedAt: generatedAt.toISOString(),
+      target,
+      since: since ? new Date(since).toISOString() : null,
+      until: until ? new Date(until).toISOString() : null,
+      counts,
+      missingMedia,
+      records: records.map((r, i) => ({
+        kind: r.kind,
+        file: `records/${r.recordFile}`,
+        savedAt: new Date(r.savedAt).toISOString(),
+        senderName: r.senderName,
+        senderNumber: r.senderNumber,
+        where: r.where,
+        sentTime: r.sentTime,
+        time: r.time,
+        media: entries[i].mediaHref,
+      })),
+      files,
+    };
+    archive.append(JSON.stringify(manifest, null, 2), {
+      name: "manifest.json",
+    });
+    await archive.finalize();
+    await written;
+  } catch (err) {
+    archive.abort();
+    output.destroy();
+    fs.rmSync(outPath, { force: true });
+    throw err;
+  }
+
+  return {
+    outPath,
+    sha256: archiveHash.digest("hex"),
+    bytes: archive.pointer(),
+    records: records.length,
+    media: usedNames.size,
+    missingMedia,
+  };
+}
+
+module.exports = {
+  parseExportArgs,
+  findExportRecords,
+  buildExport,
+  exportFilename,
+};
@@ -0,0 +1,247 @@
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { normalizeTarget, matchesTarget } = require("./rules");
+
+// ─── Keyword Watch ──────────────────────────────────────
+// Persisted keywords and regular expressions checked against every captured
+// incoming message. A watch can be limited to one chat or contact, using the
+// same targets as the chat rules.
+//
+// "urgent" matches the whole word, case-insensitively; "/ord-\d{6}/i" is a
+// regular expression with optional flags. Regexes run on every message, so
+// they are kept short and nested quantifiers like (a+)+ are refused. Other
+// patterns can still backtrack for minutes on the wrong text, e.g.
+// (a|a)*b, so matching runs in a vm context that is stopped after
+// MATCH_TIMEOUT_MS.
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_REGEX_LENGTH = 100;
+const MATCH_TIMEOUT_MS = 50;
+
+const matchContext = vm.createContext({});
+const findRangesScript = new vm.Script(
+  "Array.from(text.matchAll(regex), (m) => [m.index, m.index + m[0].length])",
+);
+
+// [start, end] of every non-empty match; throws if it takes longer than
+// MATCH_TIMEOUT_MS
+function findRanges(regex, text) {
+  matchContext.regex = regex;
+  matchContext.text = text;
+  try {
+    // Copied into arrays of this realm
+    return Array.from(
+      findRangesScript.runInContext(matchContext, {
+        timeout: MATCH_TIMEOUT_MS,
+      }),
+      ([start, end]) => [start, end],
+    ).filter(([start, end]) => end > start);
+  } finally {
+    matchContext.regex = null;
+    matchContext.text = null;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * True if a quantified group in `source` has a quantifier inside it. Escapes
+ * and character classes are skipped; `?` alone doesn't repeat.
+ */
+function hasNestedQuantifier(source) {
+  const groups = [{ quantified: false }];
+  const isQuantifier = (i) =>
+    source[i] === "+" ||
+    source[i] === "*" ||
+    (source[i] === "{" && /^\{\d+(,\d*)?\}/.test(source.slice(i)));
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (c === "\\") {
+      i++;
+    } else if (c === "[") {
+      for (i++; i < source.length && source[i] !== "]"; i++) {
+        if (source[i] === "\\") i++;
+      }
+    } else if (c === "(") {
+      groups.push({ quantified: false });
+    } else if (c === ")" && groups.length > 1) {
+      const group = groups.pop();
+      if (group.quantified && isQuantifier(i + 1)) return true;
+      if (group.quantified) groups[groups.length - 1].quantified = true;
+    } else if (isQuantifier(i)) {
+      groups[groups.length - 1].quantified = true;
+    }
+  }
+  return false;
+}
+
+// Returns a global RegExp for a stored pattern, or throws on bad syntax or
+// an unsafe regex
+function compilePattern(pattern) {
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(pattern);
+  if (literal) {
+    if (pattern.length > MAX_REGEX_LENGTH)
+      throw new Error(`Regex is longer than ${MAX_REGEX_LENGTH} chars`);
+    if (hasNestedQuantifier(literal[1]))
+      throw new Error(
+        "Regex repeats a group that repeats itself, e.g. (a+)+; rewrite it without the nesting",
+      );
+    const flags = literal[2].replace(/g/g, "");
+    return new RegExp(literal[1], `${flags}g`);
+  }
+  // \b only works next to word characters, so keywords like "#order" or
+  // "c++" fall back to a plain substring match
+  const escaped = escapeRegExp(pattern);
+  const start = /^\w/.test(pattern) ? "\\b" : "";
+  const end = /\w$/.test(pattern) ? "\\b" : "";
+  return new RegExp(`${start}${escaped}${end}`, "gi");
+}
+
+/**
+ * Splits "/watchword add" text into { pattern, chat }. A regex ends at its
+ * closing slash and flags, so an " in:" inside it stays part of it.
+ */
+function parseWatchword(text) {
+  text = String(text || "").trim();
+  const regex = /^(\/.+?\/[a-z]*)(?:\s+in:(.*))?$/s.exec(text);
+  if (regex) return { pattern: regex[1], chat: regex[2]?.trim() || null };
+  const [pattern, chat] = text.split(/\s+in:/);
+  return { pattern, chat: chat?.trim() || null };
+}
+
+function createKeywordWatch(filePath) {
+  let state = { watches: [], nextId: 1 };
+  let compiled = new Map(); // id -> RegExp
+
+  function recompile() {
+    compiled = new Map();
+    for (const watch of state.watches) {
+      try {
+        compiled.set(watch.id, compilePattern(watch.pattern));
+      } catch (err) {
+        console.error(
+          `Skipping invalid watchword ${watch.pattern}:`,
+          err.message,
+        );
+      }
+    }
+  }
+
+  function load() {
+    try {
+      if (fs.existsSync(filePath)) {
+        state = { ...state, ...JSON.parse(fs.readFileSync(filePath, "utf8")) };
+      }
+    } catch (err) {
+      console.error("Could not read watchwords file:", err.message);
+    }
+    recompile();
+    return state.watches.length;
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2), "utf8");
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Adds a watch. `chat` optionally limits it to one chat or contact.
+   * Throws with a user-facing message on an invalid pattern.
+   */
+  function add(pattern, chat) {
+    pattern = String(pattern || "").trim();
+    if (!pattern) throw new Error("Pattern is empty");
+    if (pattern.length > MAX_PATTERN_LENGTH)
+      throw new Error(`Pattern is longer than ${MAX_PATTERN_LENGTH} chars`);
+    // Bad syntax throws "Invalid regular expression: ..." as is
+    const regex = compilePattern(pattern);
+    if ("".match(regex)) throw new Error("Pattern matches empty text");
+
+    const watch = {
+      id: state.nextId++,
+      pattern,
+      chat: chat ? normalizeTarget(chat) : null,
+      createdAt: Date.now(),
+    };
+    state.watches.push(watch);
+    compiled.set(watch.id, regex);
+    save();
+    return watch;
+  }
+
+  // Removes by list number or by exact pattern text
+  function remove(idOrPattern) {
+    const id = Number(idOrPattern);
+    const index = state.watches.findIndex(
+      (w) => w.id === id || w.pattern === idOrPattern,
+    );
+    if (index === -1) return null;
+    const [watch] = state.watches.splice(index, 1);
+    compiled.delete(watch.id);
+    save();
+    return watch;
+  }
+
+  function list() {
+    return state.watches.map((w) => ({ ...w }));
+  }
+
+  /**
+   * Returns the watches hit by `text` in the context of `ctx`
+   * ({ chatId, chatName, senderName, senderNumber }), each with the
+   * [start, end] ranges it matched.
+   */
+  function match(text, ctx) {
+    const hits = [];
+    if (!text) return hits;
+    for (const watch of state.watches) {
+      if (watch.chat && !matchesTarget(watch.chat, ctx)) continue;
+      const regex = compiled.get(watch.id);
+      if (!regex) continue;
+      let ranges;
+      try {
+        ranges = findRanges(regex, text);
+      } catch (err) {
+        console.warn(
+          `⚠️ Watchword ${watch.pattern} skipped on a message:`,
+          err.message,
+        );
+        continue;
+      }
+      if (ranges.length) hits.push({ watch, ranges });
+    }
+    return hits;
+  }
+
+  return { load, add, remove, list, match };
+}
+
+/**
+ * Wraps every matched range in «», merging overlaps so several watches
+ * hitting the same words don't nest markers.
+ */
+function highlightMatches(text, hits) {
+  const ranges = hits
+    .flatMap((h) => h.ranges)
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, [start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+      else merged.push([start, end]);
+      return merged;
+    }, []);
+  let out = "";
+  let pos = 0;
+  for (const [start, end] of ranges) {
+    out += `${text.slice(pos, start)}«${text.slice(start, end)}»`;
+    pos = end;
+  }
+  return out + text.slice(pos);
+}
+
+module.exports = { createKeywordWatch, highlightMatches, parseWatchword };
@@ -0,0 +1,121 @@
+const fs = require("fs");
+
+// ─── Streaming Media Download ───────────────────────────
+// msg.downloadMedia() hands the whole file back as one base64 string, which
+// for a 200 MB video is ~270 MB of Node heap. Instead the decrypted file is
+// parked in the WhatsApp Web page and pulled out in slices, each written to
+// disk before the next is fetched.
+
+const CHUNK_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Runs in the page: decrypts a message's media and keeps it there under a
+ * token. Mirrors whatsapp-web.js's Message.downloadMedia().
+ */
+async function stageInPage(id) {
+  const msg =
+    window.Store.Msg.get(id) ||
+    (await window.Store.Msg.getMessagesById([id]))?.messages?.[0];
+  if (!msg || !msg.mediaData || msg.mediaData.mediaStage === "REUPLOADING")
+    return null;
+  if (msg.mediaData.mediaStage != "RESOLVED") {
+    await msg.downloadMedia({ downloadEvenIfExpensive: true, rmrReason: 1 });
+  }
+  if (
+    msg.mediaData.mediaStage.includes("ERROR") ||
+    msg.mediaData.mediaStage === "FETCHING"
+  )
+    return null;
+
+  const mockQpl = {
+    addAnnotations() {
+      return this;
+    },
+    addPoint() {
+      return this;
+    },
+  };
+  let buffer;
+  try {
+    buffer = await window.Store.DownloadManager.downloadAndMaybeDecrypt({
+      directPath: msg.directPath,
+      encFilehash: msg.encFilehash,
+      filehash: msg.filehash,
+      mediaKey: msg.mediaKey,
+      mediaKeyTimestamp: msg.mediaKeyTimestamp,
+      type: msg.type,
+      signal: new AbortController().signal,
+      downloadQpl: mockQpl,
+    });
+  } catch (e) {
+    if (e.status === 404) return null;
+    throw e;
+  }
+  window.__waAgentMedia = window.__waAgentMedia || {};
+  const token = `${id}-${Date.now()}`;
+  window.__waAgentMedia[token] = buffer;
+  return {
+    token,
+    size: buffer.byteLength,
+    mimetype: msg.mimetype,
+    filename: msg.filename,
+  };
+}
+
+// Runs in the page: one slice of a staged file as base64
+function readSliceInPage(token, offset, length) {
+  const buffer = window.__waAgentMedia[token];
+  const bytes = new Uint8Array(
+    buffer,
+    offset,
+    Math.min(length, buffer.byteLength - offset),
+  );
+  // btoa needs a binary string; build it in pieces to stay under the
+  // argument limit of String.fromCharCode
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Downloads a message's media straight to `destPath`. Returns
+ * { mimetype, filename, size }, or null when WhatsApp no longer has it.
+ * `page` is the client's Puppeteer page (client.pupPage).
+ */
+async function downloadMediaToFile(page, msgId, destPath) {
+  const staged = await page.evaluate(stageInPage, msgId);
+  if (!staged) return null;
+
+  const file = await fs.promises.open(destPath, "w");
+  try {
+    for (let offset = 0; offset < staged.size; offset += CHUNK_BYTES) {
+      const base64 = await page.evaluate(
+        readSliceInPage,
+        staged.token,
+        offset,
+        CHUNK_BYTES,
+      );
+      await file.write(Buffer.from(base64, "base64"));
+    }
+  } catch (err) {
+    await file.close();
+    await fs.promises.rm(destPath, { force: true });
+    throw err;
+  } finally {
+    await page
+      .evaluate((token) => {
+        delete window.__waAgentMedia[token];
+      }, staged.token)
+      .catch(() => {});
+  }
+  await file.close();
+  return {
+    mimetype: staged.mimetype,
+    filename: staged.filename,
+    size: staged.size,
+  };
+}
+
+module.exports = { downloadMediaToFile };
@@ -0,0 +1,269 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const { PLAINTEXT } = require("./encryption");
+const { createStore } = require("./store");
+
+/**
+ * Content-addressed file store for media/temp.
+ *
+ * Files are named by the SHA-256 of their content, so the same forwarded
+ * photo arriving in ten groups is written once and referenced ten times.
+ * Each new reference pushes the file's expiry out by `ttlMs`; a periodic
+ * sweep deletes expired files instead of one timer per file. When the total
+ * size would exceed the quota, the least recently used files are evicted.
+ *
+ * The index is journaled with createStore(), so references survive
+ * restarts. Files in `dir` that aren't in the index (older layouts, crashes
+ * mid-write) are removed by the sweep once they are older than `ttlMs`.
+ *
+ * With `encryption`, files and index are encrypted at rest; hashes and
+ * sizes are of the plaintext, so deduplication still works.
+ */
+function createMediaStore({
+  dir,
+  indexPath,
+  ttlMs,
+  quotaBytes = () => Infinity,
+  sweepIntervalMs = 10 * 60 * 1000,
+  encryption = PLAINTEXT,
+}) {
+  // hash -> { filename, size, refs: [msgId], createdAt, lastUsedAt, expiresAt }
+  const index = createStore(indexPath, { sweepIntervalMs: 0, encryption });
+  let totalBytes = 0;
+  let sweepTimer = null;
+  const adding = new Map(); // hash -> putFile() still storing it
+  const counters = { dedupHits: 0, evicted: 0, expired: 0 };
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  function load() {
+    index.load();
+    totalBytes = 0;
+    // Drop entries whose file vanished (manual cleanup, old sweeps)
+    for (const [hash, entry] of [...index.entries()]) {
+      if (fs.existsSync(path.join(dir, entry.filename))) {
+        totalBytes += entry.size;
+      } else {
+        index.delete(hash);
+      }
+    }
+    sweep();
+    if (!sweepTimer && sweepIntervalMs) {
+      sweepTimer = setInterval(() => sweep(), sweepIntervalMs);
+      sweepTimer.unref();
+    }
+    return index.size;
+  }
+
+  function removeEntry(hash, entry) {
+    try {
+      fs.unlinkSync(path.join(dir, entry.filename));
+    } catch (e) {
+      // already gone
+    }
+    index.delete(hash);
+    totalBytes -= entry.size;
+  }
+
+  // Least recently used first, never touching `keepHash`
+  function evictFor(bytes, keepHash) {
+    const quota = quotaBytes();
+    if (totalBytes + bytes <= quota) return;
+    const candidates = [...index.entries()]
+      .filter(([hash]) => hash !== keepHash)
+      .sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+    for (const [hash, entry] of candidates) {
+      if (totalBytes + bytes <= quota) break;
+      removeEntry(hash, entry);
+      counters.evicted++;
+      console.log(`🧹 Evicted ${entry.filename} (media quota)`);
+    }
+  }
+
+  function reuse(hash, existing, ref, now) {
+    const refs = existing.refs.includes(ref)
+      ? existing.refs
+      : [...existing.refs, ref];
+    index.set(hash, {
+      ...existing,
+      refs,
+      lastUsedAt: now,
+      expiresAt: now + ttlMs,
+    });
+    counters.dedupHits++;
+    return {
+      hash,
+      filename: existing.filename,
+      filePath: path.join(dir, existing.filename),
+      deduped: true,
+    };
+  }
+
+  function add(hash, filename, size, ref, now) {
+    index.set(hash, {
+      filename,
+      size,
+      refs: ref ? [ref] : [],
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt: now + ttlMs,
+    });
+    totalBytes += size;
+  }
+
+  /**
+   * Stores `buffer` (or reuses an identical file) and records `ref` (a
+   * message id) against it. Returns { hash, filename, filePath, deduped },
+   * or null when the file alone is larger than the quota.
+   */
+  function put(buffer, { ext = "", ref } = {}) {
+    const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+    const now = Date.now();
+    const existing = index.get(hash);
+
+    if (existing && fs.existsSync(path.join(dir, existing.filename))) {
+      return reuse(hash, existing, ref, now);
+    }
+    if (existing) removeEntry(hash, existing);
+
+    if (buffer.length > quotaBytes()) return null;
+    evictFor(buffer.length, hash);
+
+    const filename = `${hash.substring(0, 32)}${ext}`;
+    const filePath = path.join(dir, filename);
+    encryption.writeFile(filePath, buffer);
+    add(hash, filename, buffer.length, ref, now);
+    return { hash, filename, filePath, deduped: false };
+  }
+
+  /**
+   * Like put(), but takes ownership of a file already on disk (a streamed
+   * download) so large media never has to sit in memory. The source file is
+   * moved (and encrypted) into the store, or deleted if an identical one is
+   * already there.
+   */
+  async function putFile(srcPath, { ext = "", ref } = {}) {
+    const hashStream = crypto.createHash("sha256");
+    await pipeline(fs.createReadStream(srcPath), hashStream);
+    const hash = hashStream.digest("hex");
+
+    // The same file downloaded for several messages at once: the first
+    // stores it, the others wait and add their reference to it
+    while (adding.has(hash)) await adding.get(hash).catch(() => {});
+    const storing = storeFile(srcPath, hash, ext, ref);
+    adding.set(hash, storing);
+    try {
+      return await storing;
+    } finally {
+      if (adding.get(hash) === storing) adding.delete(hash);
+    }
+  }
+
+  async function storeFile(srcPath, hash, ext, ref) {
+    const { size } = fs.statSync(srcPath);
+    const now = Date.now();
+    const existing = index.get(hash);
+
+    if (existing && fs.existsSync(path.join(dir, existing.filename))) {
+      fs.unlinkSync(srcPath);
+      return reuse(hash, existing, ref, now);
+    }
+    if (existing) removeEntry(hash, existing);
+
+    if (size > quotaBytes()) {
+      fs.unlinkSync(srcPath);
+      return null;
+    }
+    evictFor(size, hash);
+
+    const filename = `${hash.substring(0, 32)}${ext}`;
+    const filePath = path.join(dir, filename);
+    await encryption.adoptFile(srcPath, filePath);
+    add(hash, filename, size, ref, now);
+    return { hash, filename, filePath, deduped: false };
+  }
+
+  // Drops one reference; the file goes as soon as nothing points at it
+  function release(hash, ref) {
+    const entry = index.get(hash);
+    if (!entry) return;
+    const refs = entry.refs.filter((r) => r !== ref);
+    if (refs.length) index.set(hash, { ...entry, refs });
+    else removeEntry(hash, entry);
+  }
+
+  function sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [hash, entry] of [...index.entries()]) {
+      if (entry.expiresAt <= now) {
+        removeEntry(hash, entry);
+        removed++;
+      }
+    }
+
+    const known = new Set([...index.values()].map((e) => e.filename));
+    try {
+      for (const file of fs.readdirSync(dir)) {
+        if (known.has(file)) continue;
+        const filePath = path.join(dir, file);
+        const stat = fs.statSync(filePath);
+        if (stat.isFile() && now - stat.mtimeMs > ttlMs) {
+          fs.unlinkSync(filePath);
+          removed++;
+        }
+      }
+    } catch (err) {
+      console.error("Media sweep error:", err.message);
+    }
+
+    counters.expired += removed;
+    if (removed > 0) console.log(`🧹 Removed ${removed} expired temp file(s)`);
+    return removed;
+  }
+
+  function stats() {
+    return {
+      files: index.size,
+      bytes: totalBytes,
+      quotaBytes: quotaBytes(),
+      ...counters,
+    };
+  }
+
+  function close() {
+    if (sweepTimer) clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+
+  return { load, put, putFile, release, sweep, stats, close };
+}
+
+// Total size of the files directly inside `dir` (not recursive)
+function dirSize(dir) {
+  let bytes = 0;
+  try {
+    for (const file of fs.readdirSync(dir)) {
+      const stat = fs.statSync(path.join(dir, file));
+      if (stat.isFile()) bytes += stat.size;
+    }
+  } catch (e) {
+    // missing dir counts as empty
+  }
+  return bytes;
+}
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return "unlimited";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let i = 0;
+  while (bytes >= 1024 && i < units.length - 1) {
+    bytes /= 1024;
+    i++;
+  }
+  return `${bytes.toFixed(i ? 1 : 0)} ${units[i]}`;
+}
+
+module.exports = { createMediaStore, dirSize, formatBytes };
@@ -0,0 +1,138 @@
+// ─── Structured Message Types ───────────────────────────
+// Messages whose meaning isn't in `msg.body` (a location's body is a map
+// thumbnail, a poll's is just the question) are cached with a structured
+// payload and rendered from that instead.
+
+// Minimal vCard 3.0 reader: display name, phone numbers and email. WhatsApp
+// only ever shares contact cards, so nothing fancier is needed.
+function parseVCard(text) {
+  const card = { name: "", phones: [], emails: [], vcard: text };
+  // Unfold continuation lines first
+  const lines = String(text || "")
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/);
+  for (const line of lines) {
+    const sep = line.indexOf(":");
+    if (sep === -1) continue;
+    const [key, ...params] = line.slice(0, sep).split(";");
+    const value = line.slice(sep + 1).trim();
+    const field = key.replace(/^item\d+\./i, "").toUpperCase();
+    if (field === "FN") card.name = value;
+    else if (field === "N" && !card.name) {
+      card.name = value.split(";").reverse().filter(Boolean).join(" ");
+    } else if (field === "TEL") {
+      // waid=<number> is the WhatsApp id; prefer it over the formatted value
+      const waid = params.find((p) => /^waid=/i.test(p));
+      card.phones.push(waid ? `+${waid.split("=")[1]}` : value);
+    } else if (field === "EMAIL") card.emails.push(value);
+  }
+  return card;
+}
+
+/**
+ * Extracts the structured payload for location, contact card, poll and
+ * sticker messages, or null for plain text and ordinary media. `msg` is a
+ * whatsapp-web.js Message.
+ */
+function describeMessage(msg) {
+  switch (msg.type) {
+    case "location": {
+      const loc = msg.location || {};
+      return {
+        type: "location",
+        latitude: Number(loc.latitude),
+        longitude: Number(loc.longitude),
+        name: loc.name || "",
+        address: loc.address || "",
+        url: loc.url || "",
+        isLive: Boolean(msg._data?.isLive),
+      };
+    }
+    case "vcard":
+    case "multi_vcard":
+      return {
+        type: "contacts",
+        contacts: (msg.vCards || []).map(parseVCard),
+      };
+    case "poll_creation":
+      return {
+        type: "poll",
+        question: msg.pollName || msg.body || "",
+        options: (msg.pollOptions || []).map((o) => o.name),
+        allowMultipleAnswers: Boolean(msg.allowMultipleAnswers),
+      };
+    case "sticker":
+      return {
+        type: "sticker",
+        animated: Boolean(msg._data?.isAnimated),
+      };
+    default:
+      return null;
+  }
+}
+
+// Builds the payload for a `message_reaction` event. `target` is the cached
+// entry for the message reacted to, when we have it.
+function describeReaction(reaction, target) {
+  return {
+    type: "reaction",
+    emoji: reaction.reaction,
+    targetId: reaction.msgId?._serialized || null,
+    targetBody: target?.body || null,
+    targetSender: target?.senderName || null,
+  };
+}
+
+/**
+ * One-line-per-fact text for logs, notifications and the record's
+ * `originalMessage`.
+ */
+function formatStructured(payload) {
+  switch (payload?.type) {
+    case "location": {
+      const place = [payload.name, payload.address].filter(Boolean).join(", ");
+      const coords = `${payload.latitude}, ${payload.longitude}`;
+      const map = `https://maps.google.com/?q=${payload.latitude},${payload.longitude}`;
+      return `📍 ${payload.isLive ? "Live location" : "Location"}${place ? `: ${place}` : ""}\n${coords}\n${map}`;
+    }
+    case "contacts":
+      return payload.contacts
+        .map((c) =>
+          [`👤 ${c.name || "Contact"}`, ...c.phones, ...c.emails].join("\n"),
+        )
+        .join("\n\n");
+    case "poll":
+      return [
+        `📊 Poll: ${payload.question}`,
+        ...payload.options.map((o) => `  • ${o}`),
+        payload.allowMultipleAnswers ? "(multiple answers allowed)" : "",
+      ]
+        .filter(Boolean)
+        .join("\n");
+    case "sticker":
+      return payload.animated ? "[animated sticker]" : "[sticker]";
+    case "reaction": {
+      const target = payload.targetBody
+        ? ` to ${payload.targetSender || "a message"}: "${payload.targetBody.substring(0, 100)}"`
+        : "";
+      return `Reacted ${payload.emoji}${target}`;
+    }
+    default:
+      return "";
+  }
+}
+
+// Text stored as the message body: the rendered payload for structured
+// types, the plain body otherwise
+function messageText(msg, payload) {
+  if (payload) return formatStructured(payload);
+  return msg.body || "[<empty>]";
+}
+
+module.exports = {
+  parseVCard,
+  describeMessage,
+  describeReaction,
+  formatStructured,
+  messageText,
+};
@@ -0,0 +1,26 @@
+// ─── Delivery Errors ────────────────────────────────────
+// Sinks throw these so the outbox can tell retryable failures (network,
+// 5xx, 429) from permanent ones (other 4xx) and honour server back-off.
+
+async function responseError(label, res) {
+  const errBody = await res.text();
+  const err = new Error(`${label} (${res.status}): ${errBody}`);
+  err.status = res.status;
+  err.permanent =
+    res.status >= 400 &&
+    res.status < 500 &&
+    res.status !== 408 &&
+    res.status !== 429;
+
+  // Telegram reports back-off in the body, everyone else in Retry-After
+  let retryAfter = Number(res.headers.get("retry-after"));
+  try {
+    retryAfter = JSON.parse(errBody)?.parameters?.retry_after || retryAfter;
+  } catch (e) {
+    // not JSON
+  }
+  if (retryAfter > 0) err.retryAfterMs = retryAfter * 1000;
+  return err;
+}
+
+module.exports = { responseError };
@@ -0,0 +1,34 @@
+const fs = require("fs");
+const path = require("path");
+const { PLAINTEXT } = require("../encryption");
+
+// ─── JSONL File Sink ────────────────────────────────────
+// Append-only local audit trail; media is referenced by path, not copied.
+
+function createFileSink({ filePath, encryption = PLAINTEXT }) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  async function send(event) {
+    const line = JSON.stringify({
+      at: new Date().toISOString(),
+      type: event.type,
+      title: event.title,
+      body: event.body,
+      data: event.data || null,
+      media: [].concat(event.media || []).map((item) => ({
+        filename: item.filename,
+        mimetype: item.mimetype,
+        filePath: item.filePath,
+      })),
+    });
+    await fs.promises.appendFile(
+      filePath,
+      encryption.encodeText(line + "\n"),
+      "utf8",
+    );
+  }
+
+  return { name: "file", send };
+}
+
+module.exports = { createFileSink };
@@ -0,0 +1,40 @@
+const { createTelegramSink } = require("./telegram");
+const { createWebhookSink } = require("./webhook");
+const { createSmtpSink } = require("./smtp");
+const { createNtfySink } = require("./ntfy");
+const { createFileSink } = require("./file");
+
+// ─── Notification Sinks ─────────────────────────────────
+// An event is { type, title, body, data?, media?, location?, contacts?,
+// chat?, keyboard? } where media is one item or an array of { filePath,
+// mimetype, filename, caption, kind? }. location and contacts come from
+// lib/message-types.js and are sent natively where the sink supports it
+// (Telegram). chat is the WhatsApp chat the event is about (a rule context,
+// see lib/rules.js), which Telegram routes on; keyboard is a Telegram inline
+// keyboard the other sinks ignore. Each sink exposes send(event, progress)
+// and throws on failure; lib/outbox.js queues
+// every event per sink and retries, so one failing sink never blocks others.
+
+const SINK_FACTORIES = {
+  telegram: createTelegramSink,
+  webhook: createWebhookSink,
+  smtp: createSmtpSink,
+  ntfy: createNtfySink,
+  file: createFileSink,
+};
+
+/**
+ * Builds the enabled sinks. `config` maps sink name to its options; only the
+ * names listed in `enabled` are created. An already-built sink object may be
+ * passed instead of options (used to share the Telegram sink with commands).
+ */
+function createSinks(enabled, config) {
+  return enabled.map((name) => {
+    const factory = SINK_FACTORIES[name];
+    if (!factory) throw new Error(`Unknown notification sink "${name}"`);
+    const options = config[name] || {};
+    return typeof options.send === "function" ? options : factory(options);
+  });
+}
+
+module.exports = { createSinks, SINK_FACTORIES };
@@ -0,0 +1,72 @@
+const fs = require("fs");
+const { PLAINTEXT } = require("../encryption");
+const { responseError } = require("./errors");
+
+// ─── ntfy Sink ──────────────────────────────────────────
+// Text goes through ntfy's JSON publish endpoint (headers can't carry emoji
+// titles); media is uploaded as a separate attachment message.
+
+const TAGS = {
+  deleted: ["wastebasket"],
+  edited: ["pencil2"],
+  view_once: ["eye"],
+  pairing_code: ["key"],
+  digest: ["bar_chart"],
+  disconnected: ["electric_plug"],
+  auth_failure: ["x"],
+  init_failed: ["x"],
+  connected: ["white_check_mark"],
+};
+
+function createNtfySink({
+  serverUrl,
+  topic,
+  token,
+  priority,
+  encryption = PLAINTEXT,
+}) {
+  const baseUrl = serverUrl.replace(/\/+$/, "");
+  const authHeaders = token ? { Authorization: `Bearer ${token}` } : {};
+
+  // `progress` is persisted by the outbox so retries skip the text message
+  async function send(event, progress = {}) {
+    if (!progress.textSent) {
+      const res = await fetch(baseUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...authHeaders },
+        body: JSON.stringify({
+          topic,
+          title: event.title,
+          message: event.body,
+          tags: TAGS[event.type] || [],
+          priority,
+        }),
+      });
+      if (!res.ok) throw await responseError("ntfy error", res);
+      progress.textSent = true;
+    }
+
+    // One attachment per message; remember which went through
+    const mediaList = [].concat(event.media || []);
+    progress.mediaSent = progress.mediaSent || [];
+    for (let i = 0; i < mediaList.length; i++) {
+      const item = mediaList[i];
+      if (progress.mediaSent.includes(i) || !fs.existsSync(item.filePath))
+        continue;
+      const res = await fetch(`${baseUrl}/${encodeURIComponent(topic)}`, {
+        method: "PUT",
+        headers: {
+          ...authHeaders,
+          Filename: item.filename.replace(/[^\x20-\x7e]/g, "_"),
+        },
+        body: await encryption.openAsBlob(item.filePath),
+      });
+      if (!res.ok) throw await responseError("ntfy attachment error", res);
+      progress.mediaSent.push(i);
+    }
+  }
+
+  return { name: "ntfy", send };
+}
+
+module.exports = { createNtfySink };
@@ -0,0 +1,52 @@
+const fs = require("fs");
+const nodemailer = require("nodemailer");
+const { PLAINTEXT } = require("../encryption");
+
+// ─── SMTP Sink ──────────────────────────────────────────
+
+function createSmtpSink({
+  host,
+  port,
+  secure,
+  user,
+  pass,
+  from,
+  to,
+  encryption = PLAINTEXT,
+}) {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  async function send(event) {
+    const attachments = []
+      .concat(event.media || [])
+      .filter((item) => fs.existsSync(item.filePath))
+      .map((item) => ({
+        filename: item.filename,
+        // Streamed so encrypted files are decrypted on the way out
+        content: encryption.createReadStream(item.filePath),
+        contentType: item.mimetype,
+      }));
+    try {
+      await transport.sendMail({
+        from,
+        to,
+        subject: event.title,
+        text: event.body,
+        attachments,
+      });
+    } catch (err) {
+      // 5xx replies are permanent rejections; retrying won't help
+      if (err.responseCode >= 500) err.permanent = true;
+      throw err;
+    }
+  }
+
+  return { name: "smtp", send };
+}
+
+module.exports = { createSmtpSink };
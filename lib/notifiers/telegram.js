@@ -0,0 +1,570 @@
+const fs = require("fs");
+const path = require("path");
+const { PLAINTEXT } = require("../encryption");
+const { responseError } = require("./errors");
+
+// ─── Telegram Sink ──────────────────────────────────────
+// Also used directly for command replies, which should only go back to the
+// chat that asked.
+
+// Telegram allows roughly one message per second per chat
+const PER_CHAT_INTERVAL_MS = 1100;
+const TEXT_LIMIT = 4096;
+const CAPTION_LIMIT = 1024;
+const ALBUM_LIMIT = 10;
+// Bot API cap for uploads; a self-hosted Bot API server allows up to 2000 MB
+const DEFAULT_UPLOAD_LIMIT_BYTES = 50 * 1024 * 1024;
+
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Splits text into chunks whose measured length fits `limit`, preferring
+ * line breaks, then spaces. `measure` lets callers count the escaped length.
+ */
+function splitText(text, limit, measure = (s) => s.length) {
+  const chunks = [];
+  let rest = text;
+  while (measure(rest) > limit) {
+    // Longest prefix that fits
+    let lo = 1;
+    let hi = Math.min(rest.length, limit);
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (measure(rest.slice(0, mid)) <= limit) lo = mid;
+      else hi = mid - 1;
+    }
+    let cut = lo;
+    const newline = rest.lastIndexOf("\n", cut);
+    const space = rest.lastIndexOf(" ", cut);
+    if (newline > cut / 2) cut = newline;
+    else if (space > cut / 2) cut = space;
+    chunks.push(rest.slice(0, cut));
+    rest = rest.slice(cut).replace(/^[\n ]/, "");
+  }
+  chunks.push(rest);
+  return chunks;
+}
+
+/**
+ * Picks the Bot API method for a file. `kind` is the WhatsApp message type
+ * when known ("sticker", "ptt", "gif", ...), which mimetype alone can't tell.
+ */
+function mediaMethod(mimetype, kind) {
+  const type = String(mimetype || "")
+    .split(";")[0]
+    .trim();
+  if (kind === "sticker" || type === "image/webp")
+    return { method: "sendSticker", field: "sticker", album: null };
+  if (kind === "gif" || type === "image/gif")
+    return { method: "sendAnimation", field: "animation", album: null };
+  if (type === "image/jpeg" || type === "image/png")
+    return { method: "sendPhoto", field: "photo", album: "photo" };
+  if (type === "video/mp4")
+    return { method: "sendVideo", field: "video", album: "video" };
+  if (kind === "ptt" || type === "audio/ogg")
+    return { method: "sendVoice", field: "voice", album: null };
+  if (type.startsWith("audio/"))
+    return { method: "sendAudio", field: "audio", album: "audio" };
+  return { method: "sendDocument", field: "document", album: "document" };
+}
+
+// Photos and videos may share an album; audio and documents only group
+// with their own kind
+function albumGroup(album) {
+  return album === "photo" || album === "video" ? "visual" : album;
+}
+
+function formatMB(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Parses a destination: "<chat id>" or "<chat id>/<topic id>" for a forum
+ * topic (message_thread_id). Returns { chatId, threadId } or null.
+ */
+function parseTarget(value) {
+  const match = /^(-?\d+)(?:\/(\d+))?$/.exec(String(value || "").trim());
+  if (!match) return null;
+  return { chatId: match[1], threadId: match[2] ? Number(match[2]) : null };
+}
+
+function targetKey({ chatId, threadId }) {
+  return threadId ? `${chatId}/${threadId}` : String(chatId);
+}
+
+/**
+ * `largeFiles` decides what happens to files over `uploadLimitBytes`:
+ * "notice" sends a message with the local path (and dashboard link),
+ * "split" uploads numbered parts to be joined with `cat`. `route(event)`
+ * picks the destinations of an event (see parseTarget); without it, or
+ * when it returns none, everything goes to `chatId`.
+ */
+function createTelegramSink({
+  token,
+  chatId,
+  apiUrl = "https://api.telegram.org",
+  uploadLimitBytes = DEFAULT_UPLOAD_LIMIT_BYTES,
+  largeFiles = "notice",
+  dashboardUrl = null,
+  route = null,
+  encryption = PLAINTEXT,
+}) {
+  const methodUrl = (method) => `${apiUrl}/bot${token}/${method}`;
+  const nextSlot = new Map(); // chatId -> earliest next send time
+  const defaultTarget = { chatId: String(chatId), threadId: null };
+  const senders = new Map(); // targetKey -> sender
+
+  async function throttle(targetChatId) {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot.get(targetChatId) || 0);
+    nextSlot.set(targetChatId, slot + PER_CHAT_INTERVAL_MS);
+    if (slot > now) await new Promise((r) => setTimeout(r, slot - now));
+  }
+
+  // Yields the file's plaintext in `partSize` buffers
+  async function* readParts(filePath, partSize) {
+    let buffered = [];
+    let length = 0;
+    for await (const chunk of encryption.createReadStream(filePath)) {
+      buffered.push(chunk);
+      length += chunk.length;
+      while (length >= partSize) {
+        const all = Buffer.concat(buffered);
+        yield all.subarray(0, partSize);
+        buffered = [all.subarray(partSize)];
+        length -= partSize;
+      }
+    }
+    if (length) yield Buffer.concat(buffered);
+  }
+
+  function isOverLimit(filePath) {
+    try {
+      return encryption.plainSize(filePath) > uploadLimitBytes;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Buckets media into albums where Telegram allows it; everything else
+  // (stickers, voice notes, GIFs, oversized files, lone items) is sent one
+  // by one
+  function planMedia(mediaList) {
+    const groups = new Map();
+    const singles = [];
+    mediaList.forEach((item, index) => {
+      const group = albumGroup(mediaMethod(item.mimetype, item.kind).album);
+      if (!group || isOverLimit(item.filePath)) {
+        singles.push([index]);
+      } else {
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(index);
+      }
+    });
+    const batches = [...singles];
+    for (const indexes of groups.values()) {
+      for (let i = 0; i < indexes.length; i += ALBUM_LIMIT) {
+        batches.push(indexes.slice(i, i + ALBUM_LIMIT));
+      }
+    }
+    return batches.sort((a, b) => a[0] - b[0]);
+  }
+
+  // Every send to one chat (or forum topic) goes through its sender
+  function createSender({ chatId, threadId = null }) {
+    const thread = threadId ? { message_thread_id: threadId } : {};
+
+    async function postText(text, parseMode, keyboard) {
+      await throttle(chatId);
+      return fetch(methodUrl("sendMessage"), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          chat_id: chatId,
+          ...thread,
+          text,
+          ...(parseMode ? { parse_mode: parseMode } : {}),
+          ...(keyboard ? { reply_markup: { inline_keyboard: keyboard } } : {}),
+        }),
+      });
+    }
+
+    // `keyboard` (inline_keyboard rows) goes under the last chunk.
+    // `progress.textChunks` counts the chunks delivered so far, so a retry
+    // carries on after them
+    async function sendMessage(title, body, keyboard = null, progress = {}) {
+      const safeTitle = escapeHTML(title);
+      const header = `<b>${safeTitle}</b>\n\n`;
+      // Leave room for the title on the first chunk
+      const chunks = splitText(
+        body,
+        TEXT_LIMIT - header.length,
+        (s) => escapeHTML(s).length,
+      );
+
+      progress.textChunks = progress.textChunks || 0;
+      for (let i = progress.textChunks; i < chunks.length; i++) {
+        const text = (i === 0 ? header : "") + escapeHTML(chunks[i]);
+        const buttons = i === chunks.length - 1 ? keyboard : null;
+        let res = await postText(text, "HTML", buttons);
+
+        // 400 usually means our HTML didn't parse — retry as plain text
+        if (res.status === 400) {
+          const plainText = (i === 0 ? `${title}\n\n` : "") + chunks[i];
+          res = await postText(
+            plainText.substring(0, TEXT_LIMIT),
+            null,
+            buttons,
+          );
+        }
+
+        if (!res.ok) throw await responseError("Telegram API error", res);
+        progress.textChunks = i + 1;
+      }
+      console.log(
+        `🔔 Telegram notification sent${chunks.length > 1 ? ` (${chunks.length} parts)` : ""}`,
+      );
+    }
+
+    // `blob` may be file-backed (fs.openAsBlob), so plaintext uploads stream
+    // from disk; encrypted files are decrypted in memory, at most one upload
+    // limit's worth at a time
+    async function upload(method, field, blob, filename, caption) {
+      const formData = new FormData();
+      formData.append("chat_id", chatId);
+      if (threadId) formData.append("message_thread_id", threadId);
+      if (caption) formData.append("caption", caption);
+      formData.append(field, blob, filename);
+      await throttle(chatId);
+      return fetch(methodUrl(method), { method: "POST", body: formData });
+    }
+
+    async function sendFile(blob, mimetype, filename, caption = "", kind) {
+      const { method, field } = mediaMethod(mimetype, kind);
+      const [firstCaption, ...overflow] = splitText(caption, CAPTION_LIMIT);
+
+      // Stickers can't carry a caption, so it goes first as plain text
+      if (method === "sendSticker" && caption) {
+        await sendMessage("📎 Sticker", caption);
+      }
+
+      let sentWith = method;
+      let res = await upload(
+        method,
+        field,
+        blob,
+        filename,
+        method === "sendSticker" ? "" : firstCaption,
+      );
+      // Telegram rejects odd dimensions, codecs or animated stickers — fall
+      // back to a plain file, which always works below the size limit
+      if (res.status === 400 && method !== "sendDocument") {
+        console.warn(`${method} rejected ${filename}, sending as document`);
+        sentWith = "sendDocument";
+        res = await upload(
+          "sendDocument",
+          "document",
+          blob,
+          filename,
+          firstCaption,
+        );
+      }
+      if (!res.ok) throw await responseError("Telegram media API error", res);
+      if (overflow.length && method !== "sendSticker") {
+        await sendMessage("📎 Caption (continued)", overflow.join("\n"));
+      }
+      console.log(`📎 Telegram media sent (${sentWith})`);
+    }
+
+    async function sendMedia(base64data, mimetype, filename, caption, kind) {
+      await sendFile(
+        new Blob([Buffer.from(base64data, "base64")], { type: mimetype }),
+        mimetype,
+        filename,
+        caption,
+        kind,
+      );
+    }
+
+    async function sendLargeFile(filePath, size, filename, caption = "") {
+      if (largeFiles === "split") {
+        // Leave headroom for the multipart envelope
+        const partSize = uploadLimitBytes - 64 * 1024;
+        const parts = Math.ceil(size / partSize);
+        let i = 0;
+        for await (const part of readParts(filePath, partSize)) {
+          const partName = `${filename}.part${String(i + 1).padStart(2, "0")}`;
+          const partCaption =
+            i === 0
+              ? `${splitText(caption, CAPTION_LIMIT - 200)[0]}\n\n📦 Part 1/${parts} of ${filename} (${formatMB(size)}). Join with: cat ${filename}.part* > ${filename}`
+              : `📦 Part ${i + 1}/${parts} of ${filename}`;
+          const res = await upload(
+            "sendDocument",
+            "document",
+            new Blob([part]),
+            partName,
+            partCaption,
+          );
+          if (!res.ok)
+            throw await responseError("Telegram media API error", res);
+          i++;
+        }
+        console.log(`📦 Telegram large file sent in ${parts} parts`);
+        return;
+      }
+
+      const lines = [
+        caption,
+        "",
+        `${filename} is ${formatMB(size)}, over the ${formatMB(uploadLimitBytes)} Telegram upload limit.`,
+        `Saved at: ${path.relative(process.cwd(), filePath)}`,
+      ];
+      if (dashboardUrl) lines.push(`Dashboard: ${dashboardUrl}`);
+      await sendMessage("📦 File too large for Telegram", lines.join("\n"));
+    }
+
+    // Uploads a file from disk (plaintext ones without reading them into
+    // memory); files over the upload limit go through sendLargeFile()
+    async function sendMediaFile(filePath, mimetype, filename, caption, kind) {
+      const size = encryption.plainSize(filePath);
+      if (size > uploadLimitBytes) {
+        await sendLargeFile(filePath, size, filename, caption);
+        return;
+      }
+      const blob = await encryption.openAsBlob(filePath, { type: mimetype });
+      await sendFile(blob, mimetype, filename, caption, kind);
+    }
+
+    // Uploads a file's bytes as they are on disk, as a document: for
+    // archives that are already encrypted and have to stay that way
+    async function sendRawFile(filePath, filename, caption) {
+      const { size } = fs.statSync(filePath);
+      if (size > uploadLimitBytes)
+        throw new Error(
+          `${filename} is ${formatMB(size)}, over the ${formatMB(uploadLimitBytes)} upload limit`,
+        );
+      const blob = await fs.openAsBlob(filePath);
+      await sendFile(blob, "application/octet-stream", filename, caption);
+    }
+
+    async function postJSON(method, payload, label) {
+      await throttle(chatId);
+      const res = await fetch(methodUrl(method), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ chat_id: chatId, ...thread, ...payload }),
+      });
+      if (!res.ok) throw await responseError(label, res);
+    }
+
+    // location: { latitude, longitude, name, address }
+    async function sendLocation(location) {
+      const { latitude, longitude, name, address } = location;
+      // A venue shows the place name; a bare pin is all we can do without one
+      if (name) {
+        await postJSON(
+          "sendVenue",
+          { latitude, longitude, title: name, address: address || "" },
+          "Telegram venue API error",
+        );
+      } else {
+        await postJSON(
+          "sendLocation",
+          { latitude, longitude },
+          "Telegram location API error",
+        );
+      }
+      console.log("📍 Telegram location sent");
+    }
+
+    // contact: { name, phones: [...], vcard } as produced by parseVCard
+    async function sendContact(contact) {
+      const [phone] = contact.phones;
+      if (!phone) return;
+      await postJSON(
+        "sendContact",
+        {
+          phone_number: phone,
+          first_name: (contact.name || phone).substring(0, 64),
+          ...(contact.vcard ? { vcard: contact.vcard.substring(0, 2048) } : {}),
+        },
+        "Telegram contact API error",
+      );
+      console.log("👤 Telegram contact sent");
+    }
+
+    // items: [{ filePath, mimetype, filename, caption }], 2..10 of one group
+    async function sendAlbum(items) {
+      const formData = new FormData();
+      formData.append("chat_id", chatId);
+      if (threadId) formData.append("message_thread_id", threadId);
+      const blobs = await Promise.all(
+        items.map((item) =>
+          encryption.openAsBlob(item.filePath, { type: item.mimetype }),
+        ),
+      );
+      const media = items.map((item, i) => {
+        formData.append(`file${i}`, blobs[i], item.filename);
+        return {
+          type: mediaMethod(item.mimetype, item.kind).album,
+          media: `attach://file${i}`,
+          caption: splitText(item.caption || "", CAPTION_LIMIT)[0],
+        };
+      });
+      formData.append("media", JSON.stringify(media));
+      await throttle(chatId);
+      const res = await fetch(methodUrl("sendMediaGroup"), {
+        method: "POST",
+        body: formData,
+      });
+      if (!res.ok) throw await responseError("Telegram album API error", res);
+      console.log(`🖼️ Telegram album sent (${items.length} items)`);
+    }
+
+    async function sendEvent(event, progress) {
+      if (!progress.textSent) {
+        await sendMessage(event.title, event.body, event.keyboard, progress);
+        progress.textSent = true;
+      }
+
+      if (event.location && !progress.locationSent) {
+        await sendLocation(event.location);
+        progress.locationSent = true;
+      }
+      const contacts = event.contacts || [];
+      progress.contactsSent = progress.contactsSent || 0;
+      while (progress.contactsSent < contacts.length) {
+        await sendContact(contacts[progress.contactsSent]);
+        progress.contactsSent++;
+      }
+
+      const mediaList = [].concat(event.media || []);
+      progress.mediaSent = progress.mediaSent || [];
+      for (const batch of planMedia(mediaList)) {
+        const pending = batch.filter(
+          (i) =>
+            !progress.mediaSent.includes(i) &&
+            fs.existsSync(mediaList[i].filePath),
+        );
+        if (!pending.length) continue;
+
+        if (pending.length > 1) {
+          try {
+            await sendAlbum(pending.map((i) => mediaList[i]));
+            progress.mediaSent.push(...pending);
+            continue;
+          } catch (err) {
+            if (!err.permanent) throw err;
+            console.warn("Album rejected, sending items one by one");
+          }
+        }
+        for (const i of pending) {
+          const item = mediaList[i];
+          await sendMediaFile(
+            item.filePath,
+            item.mimetype,
+            item.filename,
+            item.caption || event.title,
+            item.kind,
+          );
+          progress.mediaSent.push(i);
+        }
+      }
+    }
+
+    return {
+      sendMessage,
+      sendMedia,
+      sendMediaFile,
+      sendRawFile,
+      sendLocation,
+      sendContact,
+      sendEvent,
+    };
+  }
+
+  // The sender for a destination; command replies use it to answer in the
+  // chat (and topic) that asked
+  function to(target = defaultTarget) {
+    const key = targetKey(target);
+    if (!senders.has(key)) senders.set(key, createSender(target));
+    return senders.get(key);
+  }
+
+  // `progress` is persisted by the outbox, so a retry only re-sends what
+  // hasn't gone through yet, per destination
+  async function send(event, progress = {}) {
+    const routed = route ? route(event) : [];
+    const targets = routed.length ? routed : [defaultTarget];
+    if (!progress.chats) {
+      // Entries queued before routing kept their progress at the top level
+      progress.chats = progress.textSent
+        ? { [targetKey(defaultTarget)]: { ...progress } }
+        : {};
+    }
+    for (const target of targets) {
+      const key = targetKey(target);
+      progress.chats[key] = progress.chats[key] || {};
+      await to(target).sendEvent(event, progress.chats[key]);
+    }
+  }
+
+  async function callJSON(method, payload, label) {
+    const res = await fetch(methodUrl(method), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    if (!res.ok) throw await responseError(label, res);
+  }
+
+  // Stops the button's spinner; `text` shows as a short toast
+  async function answerCallback(callbackId, text = "") {
+    await callJSON(
+      "answerCallbackQuery",
+      { callback_query_id: callbackId, ...(text ? { text } : {}) },
+      "Telegram callback API error",
+    );
+  }
+
+  // Rewrites a sent message in place. `entities` keep the original
+  // formatting (what Telegram returns with the message), `keyboard` replaces
+  // its buttons; an empty one removes them.
+  async function editMessage({ chatId, messageId, text, entities, keyboard }) {
+    await throttle(String(chatId));
+    await callJSON(
+      "editMessageText",
+      {
+        chat_id: chatId,
+        message_id: messageId,
+        text: text.substring(0, TEXT_LIMIT),
+        ...(entities ? { entities } : {}),
+        reply_markup: { inline_keyboard: keyboard || [] },
+      },
+      "Telegram edit API error",
+    );
+  }
+
+  const fallback = to(defaultTarget);
+  return {
+    name: "telegram",
+    methodUrl,
+    to,
+    answerCallback,
+    editMessage,
+    sendMessage: fallback.sendMessage,
+    sendMedia: fallback.sendMedia,
+    sendMediaFile: fallback.sendMediaFile,
+    sendRawFile: fallback.sendRawFile,
+    sendLocation: fallback.sendLocation,
+    sendContact: fallback.sendContact,
+    send,
+  };
+}
+
+module.exports = { createTelegramSink, parseTarget, escapeHTML, splitText };
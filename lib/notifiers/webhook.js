@@ -0,0 +1,59 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { PLAINTEXT } = require("../encryption");
+const { responseError } = require("./errors");
+
+// ─── Webhook Sink ───────────────────────────────────────
+// POSTs each event as JSON. With a secret, the request carries
+// X-Signature-256: sha256=<hex HMAC of "<timestamp>.<body>"> and the
+// timestamp in X-Signature-Timestamp so receivers can reject replays.
+
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+function createWebhookSink({
+  url,
+  secret,
+  includeMedia = false,
+  encryption = PLAINTEXT,
+}) {
+  async function send(event) {
+    const payload = {
+      type: event.type,
+      title: event.title,
+      body: event.body,
+      data: event.data || null,
+      media: [].concat(event.media || []).map((item) => {
+        const media = { filename: item.filename, mimetype: item.mimetype };
+        if (includeMedia && fs.existsSync(item.filePath)) {
+          media.base64 = encryption.readFile(item.filePath).toString("base64");
+        }
+        return media;
+      }),
+      sentAt: new Date().toISOString(),
+    };
+
+    const body = JSON.stringify(payload);
+    const headers = {
+      "Content-Type": "application/json",
+      "X-WA-Agent-Event": event.type,
+    };
+    if (secret) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      headers["X-Signature-Timestamp"] = timestamp;
+      headers["X-Signature-256"] =
+        `sha256=${signPayload(secret, timestamp, body)}`;
+    }
+
+    const res = await fetch(url, { method: "POST", headers, body });
+    if (!res.ok) throw await responseError("Webhook error", res);
+  }
+
+  return { name: "webhook", send };
+}
+
+module.exports = { createWebhookSink, signPayload };
@@ -0,0 +1,166 @@
+const { createStore } = require("./store");
+const { PLAINTEXT } = require("./encryption");
+
+// ─── Durable Outbox ─────────────────────────────────────
+// Every event is queued on disk once per sink and delivered in order per
+// sink. Failures back off exponentially (or by the server's retry-after);
+// permanent failures and anything still pending after maxAgeMs go to the
+// dead-letter file, so one bad item can't block a sink forever.
+
+function createOutbox({
+  filePath,
+  deadLetterPath,
+  sinks,
+  maxAgeMs = 72 * 60 * 60 * 1000,
+  baseDelayMs = 2000,
+  maxDelayMs = 10 * 60 * 1000,
+  encryption = PLAINTEXT,
+}) {
+  const items = createStore(filePath, { encryption });
+  const sinksByName = new Map(sinks.map((s) => [s.name, s]));
+  const busy = new Set();
+  const lastErrors = new Map(); // sink -> last error message
+  let timer = null;
+  let seq = 0;
+
+  function deadLetter(item, reason) {
+    console.error(`📮 Dropping ${item.sink} delivery ${item.id}: ${reason}`);
+    try {
+      encryption.appendText(
+        deadLetterPath,
+        JSON.stringify({ ...item, droppedAt: Date.now(), reason }) + "\n",
+      );
+    } catch (err) {
+      console.error("Dead-letter write error:", err.message);
+    }
+    items.delete(item.id);
+  }
+
+  function start() {
+    const pending = items.load();
+    for (const item of [...items.values()]) {
+      if (!sinksByName.has(item.sink)) deadLetter(item, "sink not configured");
+    }
+    if (pending) console.log(`📮 Outbox: ${items.size} pending delivery(s)`);
+    pump();
+  }
+
+  function enqueue(event) {
+    const createdAt = Date.now();
+    for (const sink of sinksByName.keys()) {
+      // Zero-padded so ids sort in enqueue order
+      const id = `${createdAt}-${String(seq++ % 1e6).padStart(6, "0")}-${sink}`;
+      items.set(id, {
+        id,
+        sink,
+        event,
+        createdAt,
+        attempts: 0,
+        nextAttemptAt: 0,
+        progress: {},
+      });
+    }
+    pump();
+  }
+
+  function headFor(sink) {
+    let head = null;
+    for (const item of items.values()) {
+      if (item.sink === sink && (!head || item.id < head.id)) head = item;
+    }
+    return head;
+  }
+
+  async function deliver(item) {
+    const sink = sinksByName.get(item.sink);
+    busy.add(item.sink);
+    try {
+      await sink.send(item.event, item.progress);
+      items.delete(item.id);
+      lastErrors.delete(item.sink);
+    } catch (err) {
+      lastErrors.set(item.sink, err.message);
+      if (err.permanent) {
+        deadLetter(item, err.message);
+      } else {
+        item.attempts++;
+        const backoff = Math.min(
+          baseDelayMs * 2 ** (item.attempts - 1),
+          maxDelayMs,
+        );
+        const delay = err.retryAfterMs || backoff;
+        item.nextAttemptAt = Date.now() + delay;
+        item.lastError = err.message;
+        items.set(item.id, item); // persists progress too
+        console.error(
+          `📮 ${item.sink} delivery failed (attempt ${item.attempts}), retrying in ${Math.round(delay / 1000)}s: ${err.message}`,
+        );
+      }
+    } finally {
+      busy.delete(item.sink);
+      pump();
+    }
+  }
+
+  function pump() {
+    clearTimeout(timer);
+    timer = null;
+    const now = Date.now();
+    let wakeAt = Infinity;
+    for (const item of [...items.values()]) {
+      if (busy.has(item.sink)) continue;
+      if (item.createdAt + maxAgeMs <= now) deadLetter(item, "expired");
+    }
+    for (const sink of sinksByName.keys()) {
+      if (busy.has(sink)) continue;
+      const head = headFor(sink);
+      if (!head) continue;
+      if (head.nextAttemptAt <= now) {
+        deliver(head);
+      } else {
+        wakeAt = Math.min(
+          wakeAt,
+          head.nextAttemptAt,
+          head.createdAt + maxAgeMs,
+        );
+      }
+    }
+    if (wakeAt !== Infinity) {
+      timer = setTimeout(pump, wakeAt - now);
+      timer.unref();
+    }
+  }
+
+  // Retries everything now, ignoring back-off
+  function flush() {
+    for (const item of [...items.values()]) {
+      if (item.nextAttemptAt > 0) {
+        item.nextAttemptAt = 0;
+        items.set(item.id, item);
+      }
+    }
+    pump();
+    return items.size;
+  }
+
+  function stats() {
+    const bySink = {};
+    for (const name of sinksByName.keys()) {
+      bySink[name] = { pending: 0, lastError: lastErrors.get(name) || null };
+    }
+    for (const item of items.values()) {
+      if (bySink[item.sink]) bySink[item.sink].pending++;
+    }
+    return { pending: items.size, bySink };
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+    items.close();
+  }
+
+  return { start, enqueue, flush, stats, stop };
+}
+
+module.exports = { createOutbox };
@@ -0,0 +1,132 @@
+const fs = require("fs");
+const path = require("path");
+const { PLAINTEXT } = require("./encryption");
+
+// ─── Saved Record Queries ───────────────────────────────
+// Reads the <kind>_<timestamp>_<name>.json files written by saveRecord()
+// and filters them for the Telegram lookup commands.
+
+const RECORD_FILE_RE = /^([a-z]+)_(\d+)_.*\.json$/;
+
+/**
+ * Reads the records of `kinds`, newest first. `since`/`until` (ms) are
+ * checked against the timestamp in the file name, so records outside the
+ * range are never read or decrypted.
+ */
+function listRecords(
+  dir,
+  kinds = ["deleted"],
+  encryption = PLAINTEXT,
+  { since = null, until = null } = {},
+) {
+  let files;
+  try {
+    files = fs.readdirSync(dir);
+  } catch (err) {
+    console.error("Could not list saved records:", err.message);
+    return [];
+  }
+
+  const records = [];
+  for (const file of files) {
+    const match = RECORD_FILE_RE.exec(file);
+    if (!match || !kinds.includes(match[1])) continue;
+    const savedAt = Number(match[2]);
+    if ((since && savedAt < since) || (until && savedAt > until)) continue;
+    try {
+      const data = JSON.parse(
+        encryption.readFile(path.join(dir, file)).toString("utf8"),
+      );
+      records.push({
+        ...data,
+        kind: match[1],
+        recordFile: file,
+        savedAt,
+      });
+    } catch (err) {
+      console.error(`Skipping unreadable record ${file}:`, err.message);
+    }
+  }
+  return records.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+// "12h", "3d", "2w" → milliseconds ago; "2026-10-01" → that date
+function parseDateBound(value, now = Date.now()) {
+  const rel = /^(\d+)([hdw])$/i.exec(value);
+  if (rel) {
+    const unit = { h: 3600e3, d: 86400e3, w: 7 * 86400e3 }[
+      rel[2].toLowerCase()
+    ];
+    return now - Number(rel[1]) * unit;
+  }
+  const ts = Date.parse(value);
+  return Number.isNaN(ts) ? null : ts;
+}
+
+/**
+ * Splits command arguments into free text and `since:`/`until:` filters.
+ * Returns { text, since, until, error }.
+ */
+function parseQueryArgs(args) {
+  const words = [];
+  const query = { since: null, until: null, error: null };
+  for (const arg of args) {
+    const bound = /^(since|until):(.+)$/i.exec(arg);
+    if (!bound) {
+      words.push(arg);
+      continue;
+    }
+    let ts = parseDateBound(bound[2]);
+    // A bare "until:" date includes that whole day
+    if (
+      ts !== null &&
+      /^until$/i.test(bound[1]) &&
+      /^\d{4}-\d{2}-\d{2}$/.test(bound[2])
+    )
+      ts += 86400e3 - 1;
+    if (ts === null) {
+      query.error = `Invalid date "${bound[2]}" — use YYYY-MM-DD or 12h/3d/2w`;
+    } else {
+      query[bound[1].toLowerCase()] = ts;
+    }
+  }
+  query.text = words.join(" ").trim();
+  return query;
+}
+
+function includesText(value, needle) {
+  return String(value || "")
+    .toLowerCase()
+    .includes(needle);
+}
+
+function matchesRecord(record, { text, from, chat, since, until }) {
+  if (since && record.savedAt < since) return false;
+  if (until && record.savedAt > until) return false;
+  if (text) {
+    const needle = text.toLowerCase();
+    const bodies = [
+      record.originalMessage,
+      ...(record.editHistory || []).map((v) => v.body),
+    ];
+    if (!bodies.some((b) => includesText(b, needle))) return false;
+  }
+  if (from) {
+    const needle = from.toLowerCase();
+    const digits = from.replace(/\D/g, "");
+    const byName = includesText(record.senderName, needle);
+    const byNumber =
+      digits.length >= 4 && includesText(record.senderNumber, digits);
+    if (!byName && !byNumber) return false;
+  }
+  if (chat && !includesText(record.where, chat.toLowerCase())) return false;
+  return true;
+}
+
+function queryRecords(dir, filters, kinds, encryption) {
+  return listRecords(dir, kinds, encryption, filters).filter((r) =>
+    matchesRecord(r, filters),
+  );
+}
+
+module.exports = { listRecords, matchesRecord, parseQueryArgs, queryRecords };
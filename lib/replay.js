@@ -0,0 +1,439 @@
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { PLAINTEXT } = require("./encryption");
+
+// ─── Event Replay & Recording ───────────────────────────
+// A fixture is JSONL, one WhatsApp event per line:
+//
+//   {"at": 1760000000000, "event": "message", "args": [<message>]}
+//
+// A message keeps the fields the handlers read (id, type, body, timestamp,
+// from, author, hasMedia, _data.isViewOnce, ...) plus what the library
+// would have fetched for it: `chat`, `contact`, `quoted`, `mentions` and
+// `media` ({ mimetype, filename, file } with `file` relative to the
+// fixture, or inline base64 `data`). Ids are the serialized strings, e.g.
+// "false_15551234567@c.us_3EB0ABC". Reactions carry `chat` and `contact`
+// the same way. A chat or contact given once is remembered for later
+// events, so a hand-written revoke only needs its id. With several
+// accounts, lines carry `"account": "<name>"`.
+//
+// A "ready" line may carry `history`, messages shaped the same way that
+// the client's getChats() and chat.fetchMessages() then return (what the
+// agent backfills, see lib/backfill.js). The recorder doesn't write it.
+//
+// createReplay() drives the agent's real handlers from a fixture through a
+// fake client (REPLAY_FIXTURE); createRecorder() writes a fixture from a
+// live one (RECORD_FIXTURE).
+
+// How each event's arguments are stored
+const EVENT_ARGS = {
+  code: ["value"],
+  qr: ["value"],
+  authenticated: [],
+  auth_failure: ["value"],
+  ready: [],
+  disconnected: ["value"],
+  message: ["message"],
+  message_create: ["message"],
+  message_edit: ["message", "value", "value"],
+  message_revoke_everyone: ["message", "message"],
+  message_reaction: ["reaction"],
+};
+// Events that come before "ready"; a fixture starting with anything else
+// gets a "ready" for free
+const STARTUP_EVENTS = ["code", "qr", "authenticated", "auth_failure", "ready"];
+// The client is dead after these; the rest of the fixture goes to the
+// client the agent starts next
+const TERMINAL_EVENTS = ["auth_failure", "disconnected"];
+
+const MESSAGE_FIELDS = [
+  "type",
+  "body",
+  "timestamp",
+  "from",
+  "to",
+  "author",
+  "fromMe",
+  "isStatus",
+  "hasMedia",
+  "hasQuotedMsg",
+  "isForwarded",
+  "forwardingScore",
+  "mentionedIds",
+  "location",
+  "vCards",
+  "pollName",
+  "pollOptions",
+  "allowMultipleAnswers",
+];
+// The few raw WhatsApp Web fields the handlers look at
+const RAW_FIELDS = ["isViewOnce", "size", "isGif", "isLive", "isAnimated"];
+
+/**
+ * Expands a serialized id into the library's shape: message ids
+ * ("false_<chat>_<id>[_<participant>]") and chat/contact ids ("<n>@c.us").
+ */
+function toId(id) {
+  if (typeof id !== "string") return id;
+  const parts = id.split("_");
+  if (parts[0] === "true" || parts[0] === "false") {
+    return {
+      fromMe: parts[0] === "true",
+      remote: parts[1],
+      id: parts[2],
+      participant: parts[3],
+      _serialized: id,
+    };
+  }
+  const [user, server] = id.split("@");
+  return { user, server, _serialized: id };
+}
+
+function serializedId(id) {
+  return typeof id === "string" ? id : id?._serialized;
+}
+
+function readFixture(filePath, encryption = PLAINTEXT) {
+  const events = [];
+  encryption
+    .readText(filePath)
+    .split("\n")
+    .forEach((line, i) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        throw new Error(
+          `${path.basename(filePath)}:${i + 1}: invalid JSON (${err.message})`,
+        );
+      }
+      if (!EVENT_ARGS[entry.event]) {
+        throw new Error(
+          `${path.basename(filePath)}:${i + 1}: unknown event "${entry.event}"`,
+        );
+      }
+      events.push({ ...entry, args: entry.args || [] });
+    });
+  return events;
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Replays `fixturePath`. Each createClient() returns a stand-in for
+ * whatsapp-web.js's Client that emits the next events once initialized,
+ * waiting for every handler before the next event so captures are
+ * deterministic. With `realtime`, the recorded gaps between events are kept.
+ * `account` picks the lines tagged with that account, plus untagged ones
+ * when `includeUntagged`. `done` resolves once those have all been emitted.
+ */
+function createReplay(
+  fixturePath,
+  {
+    encryption = PLAINTEXT,
+    realtime = false,
+    account = null,
+    includeUntagged = true,
+  } = {},
+) {
+  const baseDir = path.dirname(fixturePath);
+  const events = readFixture(fixturePath, encryption).filter((e) =>
+    e.account ? e.account === account : includeUntagged,
+  );
+  const chats = new Map();
+  const contacts = new Map();
+  let cursor = 0;
+  let lastAt = null;
+  let finish;
+  const done = new Promise((resolve) => (finish = resolve));
+
+  function remember(map, data) {
+    if (!data) return null;
+    const entry = { ...data, id: toId(data.id) };
+    map.set(entry.id._serialized, entry);
+    return entry;
+  }
+
+  function lookup(map, id, label) {
+    const entry = map.get(serializedId(id));
+    if (!entry) throw new Error(`${label} ${serializedId(id)} not in fixture`);
+    return entry;
+  }
+
+  function hydrateMessage(data, client) {
+    if (!data) return null;
+    const { chat, contact, quoted, mentions, media, ...fields } = data;
+    const id = toId(fields.id);
+    const chatEntry = remember(chats, chat);
+    const contactEntry = remember(contacts, contact);
+    const mentioned = (mentions || []).map((c) => remember(contacts, c));
+    return {
+      ...fields,
+      id,
+      _data: fields._data || {},
+      client,
+      async getChat() {
+        return chatEntry || lookup(chats, id.remote, "Chat");
+      },
+      async getContact() {
+        return (
+          contactEntry ||
+          lookup(contacts, fields.author || fields.from, "Contact")
+        );
+      },
+      async getQuotedMessage() {
+        return hydrateMessage(quoted, client);
+      },
+      async getMentions() {
+        return mentioned;
+      },
+      async downloadMedia() {
+        if (!media) return undefined;
+        const base64 =
+          media.data ??
+          encryption
+            .readFile(path.resolve(baseDir, media.file))
+            .toString("base64");
+        return {
+          mimetype: media.mimetype,
+          filename: media.filename || null,
+          data: base64,
+        };
+      },
+    };
+  }
+
+  function hydrateReaction(data) {
+    const { chat, contact, ...fields } = data;
+    remember(chats, chat);
+    remember(contacts, contact);
+    return { ...fields, id: toId(fields.id), msgId: toId(fields.msgId) };
+  }
+
+  function hydrateArgs({ event, args }, client) {
+    return EVENT_ARGS[event].map((kind, i) => {
+      if (kind === "message") return hydrateMessage(args[i], client);
+      if (kind === "reaction") return hydrateReaction(args[i]);
+      return args[i];
+    });
+  }
+
+  function createClient() {
+    const client = new EventEmitter();
+    let destroyed = false;
+    // Chat id -> its messages from the last "ready" line's history
+    let history = new Map();
+
+    // Unlike emit(), waits for async handlers
+    async function dispatch(event, args, entry = {}) {
+      if (event === "ready") {
+        client.info = {
+          pushname: "Replay",
+          wid: toId("0@c.us"),
+          ...entry.info,
+        };
+        history = new Map();
+        for (const data of entry.history || []) {
+          const msg = hydrateMessage(data, client);
+          const chatId = msg.id.remote;
+          history.set(chatId, [...(history.get(chatId) || []), msg]);
+        }
+      }
+      await Promise.allSettled(
+        client.listeners(event).map((listener) => listener(...args)),
+      );
+    }
+
+    client.info = null;
+    client.initialize = async () => {
+      if (
+        cursor < events.length &&
+        !STARTUP_EVENTS.includes(events[cursor].event)
+      ) {
+        await dispatch("ready", []);
+      }
+      while (!destroyed && cursor < events.length) {
+        const entry = events[cursor++];
+        // Real events arrive on their own turn of the event loop, which
+        // lets timers (delete bursts, the outbox) run in between
+        if (realtime && lastAt && entry.at > lastAt) {
+          await sleep(entry.at - lastAt);
+        } else {
+          await new Promise((r) => setImmediate(r));
+        }
+        lastAt = entry.at || lastAt;
+        await dispatch(entry.event, hydrateArgs(entry, client), entry);
+        if (TERMINAL_EVENTS.includes(entry.event)) break;
+      }
+      if (cursor >= events.length) finish();
+    };
+    client.destroy = async () => {
+      destroyed = true;
+    };
+    client.getState = async () => (destroyed ? null : "CONNECTED");
+    client.getChatById = async (id) => lookup(chats, id, "Chat");
+    client.getChats = async () =>
+      [...history].map(([id, messages]) => ({
+        ...lookup(chats, id, "Chat"),
+        timestamp: messages[messages.length - 1].timestamp,
+        async fetchMessages({ limit = Infinity } = {}) {
+          return messages.slice(-limit);
+        },
+      }));
+    client.getContactById = async (id) => lookup(contacts, id, "Contact");
+    return client;
+  }
+
+  return { createClient, done, events: events.length };
+}
+
+// ─── Recorder ───────────────────────────────────────────
+
+function chatJSON(chat) {
+  return (
+    chat && { id: chat.id._serialized, name: chat.name, isGroup: chat.isGroup }
+  );
+}
+
+function contactJSON(contact) {
+  return (
+    contact && {
+      id: contact.id._serialized,
+      number: contact.number,
+      name: contact.name,
+      pushname: contact.pushname,
+    }
+  );
+}
+
+// Library lookups on a message that may already be gone
+async function attempt(fn) {
+  try {
+    return await fn();
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Appends every event of the clients passed to attach() to `fixturePath`,
+ * media included (saved under media/ next to the fixture). Media over
+ * `maxMediaBytes()` is left out. Lines are written in the order the events
+ * arrived even though their lookups run concurrently.
+ */
+function createRecorder(
+  fixturePath,
+  { encryption = PLAINTEXT, maxMediaBytes = () => Infinity } = {},
+) {
+  const baseDir = path.dirname(fixturePath);
+  const mediaDir = path.join(baseDir, "media");
+  let queue = Promise.resolve();
+
+  async function saveMedia(msg) {
+    if (msg._data?.size > maxMediaBytes()) return undefined;
+    const media = await attempt(() => msg.downloadMedia());
+    if (!media?.data) return undefined;
+    const sub = media.mimetype.split(";")[0].split("/")[1] || "bin";
+    const filePath = path.join(mediaDir, `${msg.id.id}.${sub}`);
+    fs.mkdirSync(mediaDir, { recursive: true });
+    encryption.writeFile(filePath, Buffer.from(media.data, "base64"));
+    return {
+      mimetype: media.mimetype,
+      filename: media.filename || undefined,
+      file: path.relative(baseDir, filePath),
+    };
+  }
+
+  async function messageJSON(
+    msg,
+    { withMedia = false, withQuote = true } = {},
+  ) {
+    if (!msg) return null;
+    const data = { id: msg.id._serialized };
+    for (const field of MESSAGE_FIELDS) {
+      if (msg[field] !== undefined) data[field] = msg[field];
+    }
+    data._data = {};
+    for (const field of RAW_FIELDS) {
+      if (msg._data?.[field] !== undefined)
+        data._data[field] = msg._data[field];
+    }
+    data.chat = chatJSON(await attempt(() => msg.getChat()));
+    data.contact = contactJSON(await attempt(() => msg.getContact()));
+    if (withQuote && msg.hasQuotedMsg) {
+      data.quoted = await messageJSON(
+        await attempt(() => msg.getQuotedMessage()),
+        { withQuote: false },
+      );
+    }
+    if (msg.mentionedIds?.length) {
+      const mentions = await attempt(() => msg.getMentions());
+      if (mentions) data.mentions = mentions.map(contactJSON);
+    }
+    if (withMedia && msg.hasMedia) data.media = await saveMedia(msg);
+    return data;
+  }
+
+  async function reactionJSON(reaction, client) {
+    const remote = reaction.msgId?.remote;
+    return {
+      id: serializedId(reaction.id),
+      msgId: serializedId(reaction.msgId),
+      senderId: reaction.senderId,
+      reaction: reaction.reaction,
+      timestamp: reaction.timestamp,
+      chat: chatJSON(
+        await attempt(() => client.getChatById(serializedId(remote))),
+      ),
+      contact: contactJSON(
+        await attempt(() => client.getContactById(reaction.senderId)),
+      ),
+    };
+  }
+
+  function record(client, account, event, args) {
+    const at = Date.now();
+    // Only "message" needs the file; the other events refer back to it
+    const withMedia = event === "message";
+    const line = Promise.all(
+      EVENT_ARGS[event].map((kind, i) => {
+        if (kind === "message") return messageJSON(args[i], { withMedia });
+        if (kind === "reaction") return reactionJSON(args[i], client);
+        return args[i];
+      }),
+    ).then((serialized) => ({
+      at,
+      ...(account ? { account } : {}),
+      event,
+      args: serialized,
+      ...(event === "ready" && client.info
+        ? { info: { pushname: client.info.pushname } }
+        : {}),
+    }));
+    queue = queue.then(async () => {
+      try {
+        encryption.appendText(fixturePath, JSON.stringify(await line) + "\n");
+      } catch (err) {
+        console.error("Recorder error:", err.message);
+      }
+    });
+  }
+
+  // `account` tags the client's lines when several are recorded together
+  function attach(client, account = null) {
+    for (const event of Object.keys(EVENT_ARGS)) {
+      client.on(event, (...args) => record(client, account, event, args));
+    }
+  }
+
+  // Resolves once everything recorded so far is on disk
+  function flush() {
+    return queue;
+  }
+
+  return { attach, flush };
+}
+
+module.exports = { createReplay, createRecorder, readFixture, toId };
@@ -0,0 +1,178 @@
+const fs = require("fs");
+const path = require("path");
+
+// ─── Chat / Contact Rules ───────────────────────────────
+// Persisted allow/block lists deciding, per incoming message, whether it is
+// captured at all, whether its media is downloaded and whether alerts fire.
+//
+// Targets are free text matched case-insensitively against the group name,
+// contact name, phone number or WhatsApp chat id of a message.
+
+const ACTIONS = ["ignore", "watch", "nomedia"];
+
+function parseDuration(value) {
+  const match = /^(\d+)\s*([mhdw])$/i.exec(String(value || "").trim());
+  if (!match) return null;
+  const unit = { m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 }[
+    match[2].toLowerCase()
+  ];
+  return Number(match[1]) * unit;
+}
+
+function normalizeTarget(target) {
+  return String(target || "")
+    .trim()
+    .toLowerCase();
+}
+
+// target is normalized; ctx: { chatId, chatName, senderName, senderNumber }
+function matchesTarget(target, ctx) {
+  const digits = target.replace(/\D/g, "");
+  const candidates = [ctx.chatId, ctx.chatName, ctx.senderName]
+    .filter(Boolean)
+    .map((c) => String(c).toLowerCase());
+  if (candidates.includes(target)) return true;
+  return (
+    digits.length >= 6 &&
+    digits === target.replace(/^\+/, "") &&
+    String(ctx.senderNumber || "").endsWith(digits)
+  );
+}
+
+function createRules(filePath) {
+  let state = { watchOnly: false, statuses: true, rules: {}, mutes: {} };
+
+  function load() {
+    try {
+      if (fs.existsSync(filePath)) {
+        state = { ...state, ...JSON.parse(fs.readFileSync(filePath, "utf8")) };
+      }
+    } catch (err) {
+      console.error("Could not read rules file, using defaults:", err.message);
+    }
+    return state;
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2), "utf8");
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function findRule(ctx) {
+    for (const action of ["ignore", "nomedia", "watch"]) {
+      const target = Object.keys(state.rules).find(
+        (t) => state.rules[t] === action && matchesTarget(t, ctx),
+      );
+      if (target) return { target, action };
+    }
+    return null;
+  }
+
+  function activeMute(ctx) {
+    const now = Date.now();
+    for (const [target, until] of Object.entries(state.mutes)) {
+      if (until > now && matchesTarget(target, ctx)) return { target, until };
+    }
+    return null;
+  }
+
+  /**
+   * Returns { capture, media, notify } for a message context. Ignored chats
+   * are dropped before caching; in watch-only mode anything not on the watch
+   * list is dropped too.
+   */
+  function evaluate(ctx) {
+    const rule = findRule(ctx);
+    const capture =
+      rule?.action !== "ignore" && (!state.watchOnly || Boolean(rule));
+    return {
+      capture,
+      media: capture && rule?.action !== "nomedia",
+      notify: capture && !activeMute(ctx),
+    };
+  }
+
+  function setRule(target, action) {
+    if (!ACTIONS.includes(action)) throw new Error(`Unknown action ${action}`);
+    state.rules[normalizeTarget(target)] = action;
+    save();
+  }
+
+  function removeRule(target) {
+    const key = normalizeTarget(target);
+    if (!(key in state.rules)) return false;
+    delete state.rules[key];
+    save();
+    return true;
+  }
+
+  function setWatchOnly(enabled) {
+    state.watchOnly = Boolean(enabled);
+    save();
+  }
+
+  // Status (story) capture is switched on and off on its own; per-contact
+  // rules still apply to it through evaluate()
+  function setStatusCapture(enabled) {
+    state.statuses = Boolean(enabled);
+    save();
+  }
+
+  function mute(target, durationMs) {
+    const until = Date.now() + durationMs;
+    state.mutes[normalizeTarget(target)] = until;
+    save();
+    return until;
+  }
+
+  function unmute(target) {
+    const key = normalizeTarget(target);
+    if (!(key in state.mutes)) return false;
+    delete state.mutes[key];
+    save();
+    return true;
+  }
+
+  function pruneMutes() {
+    const now = Date.now();
+    let changed = false;
+    for (const [target, until] of Object.entries(state.mutes)) {
+      if (until <= now) {
+        delete state.mutes[target];
+        changed = true;
+      }
+    }
+    if (changed) save();
+  }
+
+  function snapshot() {
+    pruneMutes();
+    return {
+      watchOnly: state.watchOnly,
+      statuses: state.statuses,
+      rules: { ...state.rules },
+      mutes: { ...state.mutes },
+    };
+  }
+
+  return {
+    load,
+    evaluate,
+    setRule,
+    removeRule,
+    setWatchOnly,
+    setStatusCapture,
+    mute,
+    unmute,
+    snapshot,
+  };
+}
+
+module.exports = {
+  createRules,
+  parseDuration,
+  normalizeTarget,
+  matchesTarget,
+};
@@ -0,0 +1,172 @@
+const archiver = require("archiver");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const tar = require("tar-stream");
+const { pipeline } = require("stream/promises");
+const { PLAINTEXT } = require("./encryption");
+
+// ─── Session Backups ────────────────────────────────────
+// Snapshots of a LocalAuth session (.wwebjs_auth/session-<client id>), so a
+// deleted or broken profile can be put back instead of pairing again
+// within the pairing code's short window. Only what WhatsApp Web needs to
+// resume goes in (the same parts whatsapp-web.js's RemoteAuth keeps); the
+// rest of the Chrome profile is cache.
+//
+// Archives are gzipped tar files named
+// session-<client id>-<UTC time>-<reason>.tgz, encrypted like everything
+// else when encryption is on (`npm run crypt -- decrypt` gives back a plain
+// .tgz). Only "auto" snapshots are pruned; ones taken by hand or before a
+// wipe or restore stay until deleted.
+
+const SESSION_PARTS = ["Default/IndexedDB", "Default/Local Storage"];
+const NAME_RE = /^session-(.+)-(\d{8}T\d{6}Z)-([a-z-]+)\.tgz$/;
+
+// 20261019T101500Z
+function formatStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+function parseStamp(stamp) {
+  const [, y, mo, d, h, mi, s] = stamp.match(
+    /^(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z$/,
+  );
+  return Date.UTC(y, mo - 1, d, h, mi, s);
+}
+
+/**
+ * Backups of every account live in `dir`, told apart by client id.
+ * `keep()` is how many "auto" snapshots to keep per client id and is read
+ * on every backup.
+ */
+function createSessionBackups({ dir, encryption = PLAINTEXT, keep = () => 5 }) {
+  // { filename, filePath, clientId, createdAt, reason, bytes }, newest first
+  function list(clientId) {
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir)
+      .map((filename) => {
+        const match = filename.match(NAME_RE);
+        if (!match || match[1] !== clientId) return null;
+        const filePath = path.join(dir, filename);
+        return {
+          filename,
+          filePath,
+          clientId,
+          createdAt: parseStamp(match[2]),
+          reason: match[3],
+          bytes: fs.statSync(filePath).size,
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // "latest", a file name or the start of one
+  function find(clientId, name = "latest") {
+    const backups = list(clientId);
+    if (name === "latest") return backups[0] || null;
+    return (
+      backups.find((b) => b.filename === name) ||
+      backups.find((b) => b.filename.startsWith(name)) ||
+      null
+    );
+  }
+
+  function prune(clientId) {
+    const auto = list(clientId).filter((b) => b.reason === "auto");
+    for (const backup of auto.slice(keep())) {
+      fs.rmSync(backup.filePath, { force: true });
+    }
+  }
+
+  /**
+   * Archives `sessionDir`. Chrome may still be running; like RemoteAuth,
+   * the files are copied as they are. Resolves with the new list() entry.
+   */
+  async function backup(sessionDir, clientId, reason) {
+    const parts = SESSION_PARTS.filter((part) =>
+      fs.existsSync(path.join(sessionDir, part)),
+    );
+    if (!parts.length) throw new Error("no saved session to back up");
+
+    fs.mkdirSync(dir, { recursive: true });
+    const filename = `session-${clientId}-${formatStamp(new Date())}-${reason}.tgz`;
+    const partialPath = path.join(dir, `.partial_${filename}`);
+    const archive = archiver("tar", { gzip: true, gzipOptions: { level: 6 } });
+    const output = fs.createWriteStream(partialPath);
+    const written = new Promise((resolve, reject) => {
+      output.on("close", resolve);
+      output.on("error", reject);
+      archive.on("error", reject);
+    });
+    written.catch(() => {}); // awaited below; this only silences early failures
+    archive.pipe(output);
+
+    try {
+      for (const part of parts) {
+        archive.directory(path.join(sessionDir, part), part);
+      }
+      await archive.finalize();
+      await written;
+      await encryption.adoptFile(partialPath, path.join(dir, filename));
+    } catch (err) {
+      archive.abort();
+      output.destroy();
+      fs.rmSync(partialPath, { force: true });
+      throw err;
+    }
+
+    if (reason === "auto") prune(clientId);
+    return list(clientId).find((b) => b.filename === filename);
+  }
+
+  /**
+   * Replaces `sessionDir` with the archive at `filePath`. Chrome must not be
+   * running. The archive is unpacked next to it first, so a bad one leaves
+   * the current session alone.
+   */
+  async function restore(filePath, sessionDir) {
+    const stagingDir = path.resolve(`${sessionDir}.restoring`);
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    fs.mkdirSync(stagingDir, { recursive: true });
+
+    const extract = tar.extract();
+    extract.on("entry", (header, stream, next) => {
+      const target = path.resolve(stagingDir, header.name);
+      if (!target.startsWith(stagingDir + path.sep)) {
+        stream.resume();
+        next(new Error(`unsafe path in archive: ${header.name}`));
+      } else if (header.type === "file") {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        pipeline(stream, fs.createWriteStream(target)).then(() => next(), next);
+      } else {
+        if (header.type === "directory") {
+          fs.mkdirSync(target, { recursive: true });
+        }
+        stream.resume();
+        next();
+      }
+    });
+
+    try {
+      await pipeline(
+        encryption.createReadStream(filePath),
+        zlib.createGunzip(),
+        extract,
+      );
+      if (!SESSION_PARTS.some((p) => fs.existsSync(path.join(stagingDir, p))))
+        throw new Error("the archive holds no WhatsApp session");
+    } catch (err) {
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+      throw err;
+    }
+
+    fs.rmSync(sessionDir, { recursive: true, force: true });
+    fs.renameSync(stagingDir, sessionDir);
+  }
+
+  return { list, find, backup, restore };
+}
+
+module.exports = { createSessionBackups, SESSION_PARTS };
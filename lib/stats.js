@@ -0,0 +1,140 @@
+const { parseQueryArgs } = require("./records");
+
+// ─── Deletion Statistics ────────────────────────────────
+// Tallies saved records (see lib/records.js) for /stats and the scheduled
+// digest. Kinds: deleted (including removed reactions), viewonce, edited and
+// status (deleted statuses).
+
+const DEFAULT_PERIOD = "7d";
+
+function senderLabel(record) {
+  const name = record.senderName || "Unknown";
+  return record.senderNumber && record.senderNumber !== name
+    ? `${name} (${record.senderNumber})`
+    : name;
+}
+
+function bump(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+// Map of label -> count as [{ label, count }], highest first
+function rank(map) {
+  return [...map.entries()]
+    .map(([label, count]) => ({ label, count }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+/**
+ * Counts the records saved between `since` and `until` (ms, either may be
+ * null). Returns plain counts plus ranked senders and groups.
+ */
+function summarizeRecords(records, { since = null, until = null } = {}) {
+  const senders = new Map();
+  const groups = new Map();
+  const viewOnceSenders = new Map();
+  const editors = new Map();
+  const summary = {
+    since,
+    until,
+    deleted: 0,
+    deletedMedia: 0,
+    reactionsRemoved: 0,
+    viewOnce: 0,
+    edited: 0,
+    statuses: 0,
+  };
+
+  for (const record of records) {
+    if (since && record.savedAt < since) continue;
+    if (until && record.savedAt > until) continue;
+    if (record.kind === "deleted") {
+      summary.deleted++;
+      if (record.mediaFilename) summary.deletedMedia++;
+      if (record.messageType === "reaction") summary.reactionsRemoved++;
+      bump(senders, senderLabel(record));
+      if (String(record.where || "").startsWith("Group: ")) {
+        bump(groups, record.where.slice("Group: ".length));
+      }
+    } else if (record.kind === "viewonce") {
+      summary.viewOnce++;
+      bump(viewOnceSenders, senderLabel(record));
+    } else if (record.kind === "edited") {
+      summary.edited++;
+      bump(editors, senderLabel(record));
+    } else if (record.kind === "status") {
+      summary.statuses++;
+    }
+  }
+
+  return {
+    ...summary,
+    senders: rank(senders),
+    groups: rank(groups),
+    viewOnceSenders: rank(viewOnceSenders),
+    editors: rank(editors),
+  };
+}
+
+function formatRanking(title, ranking, top) {
+  if (!ranking.length) return [];
+  return [
+    "",
+    title,
+    ...ranking.slice(0, top).map((r, i) => `${i + 1}. ${r.label} — ${r.count}`),
+  ];
+}
+
+/** Renders a summary as the body of a Telegram message. */
+function formatSummary(summary, { top = 5 } = {}) {
+  const extras = [
+    summary.deletedMedia && `${summary.deletedMedia} with media`,
+    summary.reactionsRemoved &&
+      `${summary.reactionsRemoved} removed reaction(s)`,
+  ].filter(Boolean);
+  const lines = [
+    `🗑️ Deleted: ${summary.deleted}${extras.length ? ` (${extras.join(", ")})` : ""}`,
+    `👁️ View-once captured: ${summary.viewOnce}`,
+    `✏️ Edited: ${summary.edited}`,
+    `📸 Statuses deleted: ${summary.statuses}`,
+    ...formatRanking("Top senders by deletions:", summary.senders, top),
+    ...formatRanking("Top groups by deletions:", summary.groups, top),
+    ...formatRanking("View-once from:", summary.viewOnceSenders, top),
+    ...formatRanking("Most edits:", summary.editors, top),
+  ];
+  return lines.join("\n");
+}
+
+/**
+ * Parses /stats arguments: an optional period ("24h", "7d", "2w", "today")
+ * and/or since:/until: bounds. `startOfToday` is midnight in the user's
+ * time zone. Returns { since, until, label, error }.
+ */
+function parseStatsPeriod(args, { now = Date.now(), startOfToday } = {}) {
+  const query = parseQueryArgs(args);
+  if (query.error) return { error: query.error };
+  const period = query.text.toLowerCase();
+
+  if (period === "today") {
+    return { since: startOfToday, until: query.until, label: "today" };
+  }
+  if (query.since && !period) {
+    return { since: query.since, until: query.until, label: "custom range" };
+  }
+  const relative = /^(\d+)([hdw])$/.exec(period || DEFAULT_PERIOD);
+  if (!relative) {
+    return {
+      error: `Unknown period "${query.text}" — use 24h, 7d, 2w, today or since:/until:`,
+    };
+  }
+  const unit = { h: 3600e3, d: 86400e3, w: 7 * 86400e3 }[relative[2]];
+  const word = { h: "hour", d: "day", w: "week" }[relative[2]];
+  const n = Number(relative[1]);
+  return {
+    since: now - n * unit,
+    until: query.until,
+    label: `last ${n === 1 ? word : `${n} ${word}s`}`,
+  };
+}
+
+module.exports = { summarizeRecords, formatSummary, parseStatsPeriod };
@@ -0,0 +1,152 @@
+const fs = require("fs");
+const path = require("path");
+const { PLAINTEXT } = require("./encryption");
+
+/**
+ * Disk-backed Map with per-entry expiry.
+ *
+ * Entries live in memory for fast lookups and every write is appended to a
+ * JSONL journal, so the contents survive pm2 restarts. The journal is
+ * compacted on load and whenever dead lines outnumber live entries. With
+ * `encryption` (lib/encryption.js) each journal line is encrypted.
+ */
+function createStore(
+  filePath,
+  { ttlMs, sweepIntervalMs = 10 * 60 * 1000, encryption = PLAINTEXT } = {},
+) {
+  const entries = new Map();
+  let journalLines = 0;
+  let sweepTimer = null;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  function append(record) {
+    encryption.appendText(filePath, JSON.stringify(record) + "\n");
+    journalLines++;
+    if (journalLines > entries.size * 2 + 1000) compact();
+  }
+
+  function isExpired(entry, now = Date.now()) {
+    return entry.expiresAt && entry.expiresAt <= now;
+  }
+
+  function load() {
+    entries.clear();
+    journalLines = 0;
+    if (fs.existsSync(filePath)) {
+      const lines = encryption.readText(filePath).split("\n");
+      for (const line of lines) {
+        if (!line) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (e) {
+          // Torn write from a crash mid-append — skip it
+          continue;
+        }
+        if (record.op === "set") {
+          entries.delete(record.k); // keep insertion order = last write
+          entries.set(record.k, { value: record.v, expiresAt: record.e });
+        } else if (record.op === "del") {
+          entries.delete(record.k);
+        }
+      }
+    }
+    sweep(false);
+    compact();
+    if (!sweepTimer && sweepIntervalMs) {
+      sweepTimer = setInterval(() => sweep(), sweepIntervalMs);
+      sweepTimer.unref();
+    }
+    return entries.size;
+  }
+
+  function compact() {
+    const tmpPath = `${filePath}.tmp`;
+    const lines = [];
+    for (const [k, entry] of entries) {
+      // One encrypted line per record, like appends
+      lines.push(
+        encryption.encodeText(
+          JSON.stringify({ op: "set", k, v: entry.value, e: entry.expiresAt }) +
+            "\n",
+        ),
+      );
+    }
+    fs.writeFileSync(tmpPath, lines.join(""), "utf8");
+    fs.renameSync(tmpPath, filePath);
+    journalLines = lines.length;
+  }
+
+  function sweep(journal = true) {
+    const now = Date.now();
+    let removed = 0;
+    for (const [k, entry] of entries) {
+      if (isExpired(entry, now)) {
+        entries.delete(k);
+        if (journal) append({ op: "del", k });
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (isExpired(entry)) {
+      remove(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  function set(key, value) {
+    // Updates keep the original expiry so an entry never outlives its window
+    const existing = entries.get(key);
+    const expiresAt = existing
+      ? existing.expiresAt
+      : ttlMs
+        ? Date.now() + ttlMs
+        : null;
+    entries.set(key, { value, expiresAt });
+    append({ op: "set", k: key, v: value, e: expiresAt });
+    return value;
+  }
+
+  function remove(key) {
+    if (!entries.has(key)) return false;
+    entries.delete(key);
+    append({ op: "del", k: key });
+    return true;
+  }
+
+  function close() {
+    if (sweepTimer) clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+
+  return {
+    load,
+    get,
+    set,
+    has: (key) => get(key) !== undefined,
+    delete: remove,
+    sweep,
+    compact,
+    close,
+    get size() {
+      return entries.size;
+    },
+    *entries() {
+      for (const [k, entry] of entries) {
+        if (!isExpired(entry)) yield [k, entry.value];
+      }
+    },
+    *values() {
+      for (const [, value] of this.entries()) yield value;
+    },
+  };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,226 @@
+// ─── Connection Supervisor ──────────────────────────────
+// Decides what to do when WhatsApp drops: transient failures (network,
+// Chrome crash, CONFLICT/TIMEOUT, a hung page) re-initialize the existing
+// session with exponential backoff; only a real logout wipes the session and
+// starts pairing again.
+
+// Reasons whatsapp-web.js passes to "disconnected"
+const LOGOUT_REASONS = ["LOGOUT", "UNPAIRED", "UNPAIRED_IDLE"];
+const FATAL_REASONS = ["TOS_BLOCK", "SMB_TOS_BLOCK"];
+// "change_state" states handled like a disconnect rather than waiting for
+// the health probe to notice. whatsapp-web.js also emits "disconnected" for
+// some of them; handleDisconnect copes with hearing about one twice.
+const RECONNECT_STATES = ["CONFLICT", "TIMEOUT", "UNPAIRED", "UNPAIRED_IDLE"];
+
+function classifyDisconnect(reason) {
+  const key = String(reason || "").toUpperCase();
+  if (LOGOUT_REASONS.includes(key)) return "logout";
+  if (FATAL_REASONS.includes(key)) return "fatal";
+  return "transient";
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} timed out`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * restart()  — tear down the client and initialize again, keeping the session
+ * relink()   — tear down, wipe the session and start pairing
+ * probe()    — resolve the WhatsApp Web state; throws if the page is gone
+ * isPairing() — true while waiting for the user to enter a pairing code, when
+ *               retrying would only spam new codes
+ */
+function createSupervisor({
+  restart,
+  relink,
+  probe,
+  isPairing,
+  notify,
+  baseDelayMs = 5000,
+  maxDelayMs = 5 * 60 * 1000,
+  probeIntervalMs = 60 * 1000,
+  probeTimeoutMs = 20 * 1000,
+  probeFailureLimit = 2,
+}) {
+  let attempts = 0;
+  let retryTimer = null;
+  let nextRetryAt = 0;
+  let probeTimer = null;
+  let probeFailures = 0;
+  let lastReason = null;
+  let state = "starting";
+  let stopped = false;
+  let relinking = null;
+
+  function stopProbe() {
+    clearInterval(probeTimer);
+    probeTimer = null;
+    probeFailures = 0;
+  }
+
+  async function runProbe() {
+    try {
+      const waState = await withTimeout(probe(), probeTimeoutMs, "Probe");
+      if (classifyDisconnect(waState) === "logout") {
+        return handleDisconnect(waState);
+      }
+      // TIMEOUT is a state WhatsApp Web can recover from on its own, but
+      // not if it sticks around
+      if (!waState || waState === "TIMEOUT") {
+        throw new Error(`WhatsApp Web state is ${waState}`);
+      }
+      probeFailures = 0;
+      // Only a healthy probe proves the reconnect stuck
+      attempts = 0;
+    } catch (err) {
+      if (stopped || !probeTimer) return;
+      probeFailures++;
+      console.warn(
+        `🩺 Health probe failed (${probeFailures}/${probeFailureLimit}): ${err.message}`,
+      );
+      if (probeFailures >= probeFailureLimit) {
+        scheduleRestart(`health probe failed: ${err.message}`);
+      }
+    }
+  }
+
+  function onReady() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    state = "connected";
+    stopProbe();
+    probeTimer = setInterval(runProbe, probeIntervalMs);
+    probeTimer.unref();
+  }
+
+  function scheduleRestart(reason) {
+    if (stopped || retryTimer) return;
+    stopProbe();
+    lastReason = reason;
+
+    if (isPairing()) {
+      state = "waiting";
+      notify({
+        type: "disconnected",
+        title: "🔌 Pairing interrupted",
+        body: `WhatsApp stopped while waiting for the pairing code: ${reason}\n\nSend /rebuild_it to get a new code.`,
+        data: { reason },
+      });
+      return;
+    }
+
+    attempts++;
+    const delay = Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+    nextRetryAt = Date.now() + delay;
+    state = "reconnecting";
+    console.log(
+      `🔁 Reconnecting in ${Math.round(delay / 1000)}s (attempt ${attempts}): ${reason}`,
+    );
+    // First failure and every fifth after it, so an outage isn't a flood
+    if (attempts === 1 || attempts % 5 === 0) {
+      notify({
+        type: "disconnected",
+        title: "🔌 Disconnected — reconnecting",
+        body: `Reason: ${reason}\nAttempt ${attempts}, next try in ${Math.round(delay / 1000)}s.\n\nThe session is kept; no re-pairing needed.`,
+        data: { reason, attempts, delayMs: delay },
+      });
+    }
+
+    retryTimer = setTimeout(async () => {
+      retryTimer = null;
+      try {
+        await restart();
+      } catch (err) {
+        scheduleRestart(`restart failed: ${err.message}`);
+      }
+    }, delay);
+  }
+
+  function handleLogout(reason) {
+    if (relinking) return relinking;
+    stopProbe();
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    lastReason = reason;
+    state = "pairing";
+    relinking = (async () => {
+      await notify({
+        type: "disconnected",
+        title: "🔌 Logged out",
+        body: `WhatsApp logged this device out (${reason}).\nClearing the session and requesting a new pairing code...`,
+        data: { reason },
+      });
+      await relink();
+    })().finally(() => {
+      relinking = null;
+    });
+    return relinking;
+  }
+
+  async function handleDisconnect(reason) {
+    if (stopped) return;
+    const kind = classifyDisconnect(reason);
+    console.error(`🔌 Disconnect classified as ${kind}: ${reason}`);
+    if (kind === "logout") return handleLogout(reason);
+    if (kind === "fatal") {
+      stopProbe();
+      lastReason = reason;
+      state = "blocked";
+      await notify({
+        type: "disconnected",
+        title: "⛔ Account blocked",
+        body: `WhatsApp refused the session (${reason}). Not retrying.`,
+        data: { reason },
+      });
+      return;
+    }
+    scheduleRestart(reason);
+  }
+
+  function onAuthFailure(message) {
+    // LocalAuth only fails like this when the stored session is unusable
+    return handleLogout(`auth failure: ${message}`);
+  }
+
+  function onInitFailed(message) {
+    scheduleRestart(`initialize failed: ${message}`);
+  }
+
+  function stop() {
+    stopped = true;
+    stopProbe();
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+
+  function status() {
+    return {
+      state,
+      attempts,
+      lastReason,
+      nextRetryAt: retryTimer ? nextRetryAt : null,
+    };
+  }
+
+  return {
+    onReady,
+    onDisconnected: handleDisconnect,
+    onAuthFailure,
+    onInitFailed,
+    stop,
+    status,
+  };
+}
+
+module.exports = {
+  createSupervisor,
+  classifyDisconnect,
+  withTimeout,
+  RECONNECT_STATES,
+};
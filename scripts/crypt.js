@@ -0,0 +1,213 @@
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const {
+  createEncryption,
+  generateKey,
+  loadKeys,
+} = require("../lib/encryption");
+require("dotenv").config({ quiet: true });
+
+// ─── Offline Decrypt & Key Rotation ─────────────────────
+// Works on the files the agent writes when encryption is on (see
+// lib/encryption.js). Keys come from the same ENCRYPTION_* variables / .env.
+
+// The agent's files: AGENT_HOME, else the app directory
+const ROOT = path.resolve(process.env.AGENT_HOME || path.join(__dirname, ".."));
+const SAVED_MEDIA_DIR = path.join(ROOT, "media", "saved");
+// Extra WhatsApp accounts keep their own media/ and data/ under here
+const ACCOUNTS_DIR = path.join(ROOT, "accounts");
+// WhatsApp session snapshots of all accounts (lib/session-backup.js)
+const SESSION_BACKUP_DIR = path.join(ROOT, "data", "session-backups");
+
+const USAGE = `Usage: npm run crypt -- <command>
+
+  genkey                      Print a new random key
+  decrypt <file> [out]        Decrypt one file to [out] or stdout
+  export <record.json> <dir>  Decrypt a saved record and its media into <dir>
+  rotate [--dry-run]          Re-encrypt everything with ENCRYPTION_KEY
+                              (also encrypts files written before encryption
+                              was enabled). Stop the agent first.
+
+Rotating keys: make the new key ENCRYPTION_KEY, move the old one to
+ENCRYPTION_PREVIOUS_KEYS, run rotate, then drop the old key.`;
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function openKeys() {
+  try {
+    return createEncryption({ keys: loadKeys() });
+  } catch (err) {
+    return fail(`Encryption: ${err.message}`);
+  }
+}
+
+// Writes the plaintext of `filePath` to `out` (a path) or stdout
+async function decryptTo(encryption, filePath, out) {
+  if (encryption.isEncryptedFile(filePath)) {
+    await pipeline(
+      encryption.createReadStream(filePath),
+      out ? fs.createWriteStream(out) : process.stdout,
+    );
+    return;
+  }
+  const ids = encryption.textKeyIds(filePath);
+  const data =
+    ids.size && ![...ids].every((id) => id === "plaintext")
+      ? encryption.readText(filePath)
+      : fs.readFileSync(filePath);
+  if (out) fs.writeFileSync(out, data);
+  else process.stdout.write(data);
+}
+
+async function decrypt(filePath, out) {
+  if (!filePath) fail(USAGE);
+  if (!fs.existsSync(filePath)) fail(`${filePath} not found`);
+  await decryptTo(openKeys(), filePath, out);
+  if (out) console.log(`🔓 ${filePath} → ${out}`);
+}
+
+async function exportRecord(recordArg, dir) {
+  if (!recordArg || !dir) fail(USAGE);
+  const recordPath = fs.existsSync(recordArg)
+    ? recordArg
+    : path.join(SAVED_MEDIA_DIR, recordArg);
+  if (!fs.existsSync(recordPath)) fail(`${recordArg} not found`);
+  const encryption = openKeys();
+
+  const record = JSON.parse(encryption.readFile(recordPath).toString("utf8"));
+  fs.mkdirSync(dir, { recursive: true });
+  const recordOut = path.join(dir, path.basename(recordPath));
+  fs.writeFileSync(recordOut, JSON.stringify(record, null, 2), "utf8");
+  console.log(`🔓 ${recordOut}`);
+
+  // Deleted messages keep media in media/saved, deleted statuses in their
+  // account's media/status/deleted
+  if (record.mediaFilename) {
+    const mediaPath = [
+      path.join(path.dirname(recordPath), record.mediaFilename),
+      ...accountRoots().map((root) =>
+        path.join(root, "media", "status", "deleted", record.mediaFilename),
+      ),
+    ].find((p) => fs.existsSync(p));
+    if (mediaPath) {
+      const mediaOut = path.join(dir, record.mediaFilename);
+      await decryptTo(encryption, mediaPath, mediaOut);
+      console.log(`🔓 ${mediaOut}`);
+    } else {
+      console.warn(`⚠️ Media ${record.mediaFilename} no longer exists`);
+    }
+  }
+}
+
+function accountRoots() {
+  if (!fs.existsSync(ACCOUNTS_DIR)) return [ROOT];
+  return [
+    ROOT,
+    ...fs
+      .readdirSync(ACCOUNTS_DIR, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => path.join(ACCOUNTS_DIR, entry.name)),
+  ];
+}
+
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(full);
+    // Skip in-progress downloads and leftovers from an interrupted rotate
+    if (!entry.isFile() || entry.name.startsWith(".")) return [];
+    if (entry.name.endsWith(".rekey") || entry.name.endsWith(".tmp")) return [];
+    return [full];
+  });
+}
+
+function textFiles() {
+  const files = [path.join(ROOT, "messages_log.txt")];
+  for (const dataDir of accountRoots().map((root) => path.join(root, "data"))) {
+    if (!fs.existsSync(dataDir)) continue;
+    for (const name of fs.readdirSync(dataDir)) {
+      if (name.endsWith(".jsonl")) files.push(path.join(dataDir, name));
+    }
+  }
+  if (process.env.NOTIFY_FILE_PATH) files.push(process.env.NOTIFY_FILE_PATH);
+  return [...new Set(files)].filter((f) => fs.existsSync(f));
+}
+
+async function rotate(dryRun) {
+  const encryption = openKeys();
+  if (!encryption.enabled)
+    fail("Set ENCRYPTION_KEY or ENCRYPTION_KEY_FILE first.");
+  console.log(
+    `🔐 ${dryRun ? "Checking" : "Re-encrypting"} with key ${encryption.activeKeyId}`,
+  );
+
+  const counts = { scanned: 0, converted: 0, failed: 0 };
+  const convert = async (filePath, isCurrent, run) => {
+    counts.scanned++;
+    try {
+      if (isCurrent()) return;
+      if (!dryRun) await run();
+      counts.converted++;
+      if (dryRun)
+        console.log(`   would convert ${path.relative(ROOT, filePath)}`);
+    } catch (err) {
+      counts.failed++;
+      console.error(`⚠️ ${path.relative(ROOT, filePath)}: ${err.message}`);
+    }
+  };
+
+  const mediaFiles = [
+    ...accountRoots().flatMap((root) => listFiles(path.join(root, "media"))),
+    ...listFiles(SESSION_BACKUP_DIR),
+  ];
+  for (const filePath of mediaFiles) {
+    await convert(
+      filePath,
+      () => encryption.fileKeyId(filePath) === encryption.activeKeyId,
+      () => encryption.reencryptFile(filePath),
+    );
+  }
+  for (const filePath of textFiles()) {
+    await convert(
+      filePath,
+      () =>
+        [...encryption.textKeyIds(filePath)].every(
+          (id) => id === encryption.activeKeyId,
+        ),
+      () => encryption.reencryptText(filePath),
+    );
+  }
+
+  console.log(
+    `✅ ${counts.scanned} file(s) checked, ${counts.converted} ${dryRun ? "to convert" : "converted"}${counts.failed ? `, ${counts.failed} failed` : ""}`,
+  );
+  if (counts.failed) process.exit(1);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  switch (command) {
+    case "genkey":
+      console.log(generateKey());
+      break;
+    case "decrypt":
+      await decrypt(args[0], args[1]);
+      break;
+    case "export":
+      await exportRecord(args[0], args[1]);
+      break;
+    case "rotate":
+      await rotate(args.includes("--dry-run"));
+      break;
+    default:
+      console.log(USAGE);
+      if (command) process.exit(1);
+  }
+}
+
+main().catch((err) => fail(err.message));
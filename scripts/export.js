@@ -0,0 +1,81 @@
+const path = require("path");
+const { createConfig } = require("../lib/config");
+const { createEncryption, loadKeys } = require("../lib/encryption");
+const {
+  parseExportArgs,
+  findExportRecords,
+  buildExport,
+  exportFilename,
+} = require("../lib/export");
+require("dotenv").config({ quiet: true });
+
+// ─── Offline Export ─────────────────────────────────────
+// Same archive as the /export Telegram command, written to a local file.
+// Works while the agent is stopped; needs the encryption keys if it's on.
+
+// The agent's files: AGENT_HOME, else the app directory
+const ROOT = path.resolve(process.env.AGENT_HOME || path.join(__dirname, ".."));
+const SAVED_MEDIA_DIR = path.join(ROOT, "media", "saved");
+
+const USAGE = `Usage: npm run export -- <chat or contact> [from] [to] [--out file.zip]
+
+  from/to are YYYY-MM-DD or 12h/3d/2w; since:/until: work too.`;
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf("--out");
+  const out = outIndex === -1 ? null : args.splice(outIndex, 2)[1];
+  if (!args.length || (outIndex !== -1 && !out)) fail(USAGE);
+
+  const config = createConfig(
+    process.env.CONFIG_PATH || path.join(ROOT, "config.json"),
+  );
+  const configErrors = config.load();
+  if (configErrors.length) fail(`Config: ${configErrors.join("; ")}`);
+  let encryption;
+  try {
+    encryption = createEncryption({ keys: loadKeys() });
+  } catch (err) {
+    fail(`Encryption: ${err.message}`);
+  }
+
+  const query = parseExportArgs(args);
+  if (query.error) fail(`${query.error}\n\n${USAGE}`);
+  const { target, since, until } = query;
+  const records = findExportRecords({
+    savedDir: SAVED_MEDIA_DIR,
+    target,
+    since,
+    until,
+    encryption,
+  });
+  if (!records.length) {
+    fail(`No deleted, edited or view-once messages match "${target}".`);
+  }
+
+  const outPath = out || exportFilename(target);
+  const result = await buildExport({
+    records,
+    outPath,
+    mediaDir: SAVED_MEDIA_DIR,
+    target,
+    since,
+    until,
+    formatTime: (date) =>
+      date.toLocaleString(config.get("locale"), {
+        timeZone: config.get("timeZone"),
+      }),
+    encryption,
+  });
+  console.log(
+    `📦 ${outPath}: ${result.records} message(s), ${result.media} media file(s)${result.missingMedia ? `, ${result.missingMedia} missing` : ""}`,
+  );
+  console.log(`   SHA-256 ${result.sha256}`);
+}
+
+main().catch((err) => fail(err.message));
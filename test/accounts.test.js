@@ -0,0 +1,88 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startFakeTelegram } = require("./helpers/fake-telegram");
+const { runAgent } = require("./helpers/run-agent");
+
+const FIXTURE = path.join(__dirname, "fixtures", "accounts.jsonl");
+
+function readDeleted(home) {
+  const dir = path.join(home, "media", "saved");
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.startsWith("deleted_") && f.endsWith(".json"))
+    .map((f) => JSON.parse(fs.readFileSync(path.join(dir, f), "utf8")));
+}
+
+describe("replaying accounts.jsonl with two accounts", () => {
+  let telegram;
+  let run;
+
+  before(async () => {
+    telegram = await startFakeTelegram();
+    telegram.sendCommand("/status work");
+    run = await runAgent({
+      fixture: FIXTURE,
+      telegram,
+      env: { WA_ACCOUNTS: "home=15550009999,work=+15550008888" },
+    });
+  });
+
+  after(async () => {
+    await telegram.close();
+    if (run) fs.rmSync(run.home, { recursive: true, force: true });
+  });
+
+  test("plays each account's events on its own client", () => {
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /Replaying 4 event\(s\)/);
+    assert.match(run.output, /\[home\] WhatsApp connected/);
+    assert.match(run.output, /\[work\] WhatsApp connected/);
+  });
+
+  test("tags saved records with their account", () => {
+    const deleted = readDeleted(run.home);
+    const byAccount = Object.fromEntries(
+      deleted.map((r) => [r.account, r.originalMessage]),
+    );
+    assert.deepEqual(byAccount, {
+      home: "Dinner at 8",
+      work: "Budget is final",
+    });
+  });
+
+  test("keeps each deleted message's text file", () => {
+    const dir = path.join(run.home, "media", "saved");
+    const texts = fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith(".txt"))
+      .map((f) => fs.readFileSync(path.join(dir, f), "utf8"));
+    assert.ok(texts.some((t) => t.includes("Message: Dinner at 8")));
+    assert.ok(texts.some((t) => t.includes("Message: Budget is final")));
+  });
+
+  test("tags alerts with the account name", () => {
+    const texts = telegram.texts();
+    assert.ok(texts.some((t) => /\[home\] 🗑️ Deleted by Alice/.test(t)));
+    assert.ok(texts.some((t) => /\[work\] 🗑️ Deleted by Carol/.test(t)));
+  });
+
+  test("keeps the first account in place and the others under accounts/", () => {
+    assert.ok(
+      fs.existsSync(path.join(run.home, "data", "message-cache.jsonl")),
+    );
+    assert.ok(
+      fs.existsSync(
+        path.join(run.home, "accounts", "work", "data", "message-cache.jsonl"),
+      ),
+    );
+  });
+
+  test("/status <account> reports only that account", () => {
+    const status = telegram.texts().find((t) => t.includes("📊 Status"));
+    assert.ok(status, "status reply");
+    assert.match(status, /\[work\]/);
+    assert.doesNotMatch(status, /\[home\]/);
+  });
+});
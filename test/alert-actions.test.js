@@ -0,0 +1,139 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStore } = require("../lib/store");
+const { createAlertActions, removeButton } = require("../lib/alert-actions");
+const { startFakeTelegram } = require("./helpers/fake-telegram");
+const { runAgent } = require("./helpers/run-agent");
+
+const FIXTURE = path.join(__dirname, "fixtures", "capture.jsonl");
+
+describe("alert action buttons", () => {
+  let dir;
+  let actions;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-actions-"));
+    const store = createStore(path.join(dir, "actions.jsonl"), {
+      ttlMs: 60 * 1000,
+      sweepIntervalMs: 0,
+    });
+    store.load();
+    actions = createAlertActions(store);
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("offers only the actions that fit the alert", () => {
+    const full = actions.keyboard({
+      chat: { chatId: "1@c.us" },
+      senderNumber: "15550001111",
+      sentAt: 1760000000000,
+      media: [{ filePath: "/tmp/x.png" }],
+    });
+    assert.deepEqual(
+      full.map((row) => row.map((b) => b.callback_data.split(":")[0])),
+      [
+        ["media", "history"],
+        ["mute", "ignore"],
+      ],
+    );
+
+    const bare = actions.keyboard({ senderNumber: "Unknown", media: [] });
+    assert.deepEqual(
+      bare.map((row) => row.map((b) => b.callback_data.split(":")[0])),
+      [["mute"]],
+    );
+  });
+
+  test("fits Telegram's 64-byte callback data and resolves it", () => {
+    const [[button]] = actions.keyboard({ where: "Group: Family" });
+    assert.ok(Buffer.byteLength(button.callback_data) <= 64);
+    const { action, context } = actions.resolve(button.callback_data);
+    assert.equal(action, "mute");
+    assert.equal(context.where, "Group: Family");
+    assert.equal(actions.resolve("mute:nope"), null);
+    assert.equal(actions.resolve("explode:abc"), null);
+  });
+
+  test("removeButton drops the pressed button and empty rows", () => {
+    const keyboard = [
+      [{ callback_data: "media:a" }],
+      [{ callback_data: "mute:a" }, { callback_data: "ignore:a" }],
+    ];
+    assert.deepEqual(removeButton(keyboard, "media:a"), [keyboard[1]]);
+    assert.deepEqual(removeButton(keyboard, "mute:a"), [
+      keyboard[0],
+      [{ callback_data: "ignore:a" }],
+    ]);
+  });
+});
+
+describe("pressing alert buttons during a replay", () => {
+  let telegram;
+  let run;
+
+  before(async () => {
+    const pressed = new Set();
+    telegram = await startFakeTelegram({
+      onCall: (call) => {
+        const keyboard = call.fields.reply_markup?.inline_keyboard;
+        if (!keyboard) return;
+        const data = (action) =>
+          keyboard
+            .flat()
+            .map((b) => b.callback_data)
+            .find((d) => d.startsWith(`${action}:`));
+        const text = String(call.fields.text);
+        if (/Deleted by Bob/.test(text) && !pressed.has("bob")) {
+          pressed.add("bob");
+          telegram.pressCallback(call, data("mute"));
+        } else if (/Meet at 6/.test(text) && !pressed.has("alice")) {
+          pressed.add("alice");
+          telegram.pressCallback(call, data("history"));
+        }
+      },
+    });
+    run = await runAgent({ fixture: FIXTURE, telegram });
+  });
+
+  after(async () => {
+    await telegram.close();
+    if (run) fs.rmSync(run.home, { recursive: true, force: true });
+  });
+
+  test("puts buttons under deletion and view-once alerts", () => {
+    assert.equal(run.code, 0, run.output);
+    const withButtons = telegram.calls.filter(
+      (c) => c.method === "sendMessage" && c.fields.reply_markup,
+    );
+    assert.ok(withButtons.some((c) => /View-Once/.test(c.fields.text)));
+    assert.ok(withButtons.some((c) => /Deleted by Bob/.test(c.fields.text)));
+  });
+
+  test("mutes the chat and updates the alert", () => {
+    const rules = JSON.parse(
+      fs.readFileSync(path.join(run.home, "data", "rules.json"), "utf8"),
+    );
+    assert.ok(rules.mutes.family > Date.now());
+
+    const edit = telegram.calls.find(
+      (c) =>
+        c.method === "editMessageText" && /muted until/.test(c.fields.text),
+    );
+    assert.ok(edit, "alert edited");
+    assert.match(edit.fields.text, /Deleted by Bob[\s\S]*🔕 Family muted/);
+    const left = edit.fields.reply_markup.inline_keyboard.flat();
+    assert.ok(!left.some((b) => b.callback_data.startsWith("mute:")));
+    assert.ok(telegram.calls.some((c) => c.method === "answerCallbackQuery"));
+  });
+
+  test("sends the chat history around a deleted message", () => {
+    const history = telegram.texts().find((t) => t.startsWith("💬 Private"));
+    assert.ok(history, "history reply");
+    assert.match(history, /👉 .*Alice: \(this message\)/);
+    assert.match(history, /Alice: I'll be very late/);
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startFakeTelegram } = require("./helpers/fake-telegram");
+const { runAgent } = require("./helpers/run-agent");
+
+const PHOTO = path.join(__dirname, "fixtures", "media", "photo.png");
+const DAVE = "15550004444@c.us";
+const FAMILY = "120363000000@g.us";
+const BOB = "15550002222@c.us";
+
+// History has to sit inside the delete window, so the fixture is written
+// relative to now instead of checked in
+function writeFixture(dir) {
+  const now = Math.floor(Date.now() / 1000);
+  const dave = {
+    id: DAVE,
+    number: "15550004444",
+    name: "Dave",
+    pushname: "dave",
+  };
+  const bob = { id: BOB, number: "15550002222", name: "Bob", pushname: "bob" };
+  const family = { id: FAMILY, name: "Family", isGroup: true };
+  const history = [
+    {
+      id: `false_${DAVE}_DDD1`,
+      type: "chat",
+      body: "Call me back",
+      timestamp: now - 2 * 3600,
+      from: DAVE,
+      chat: { id: DAVE, name: "Dave", isGroup: false },
+      contact: dave,
+    },
+    {
+      id: `true_${DAVE}_DDD2`,
+      type: "chat",
+      body: "Will do",
+      timestamp: now - 3600,
+      fromMe: true,
+      from: "0@c.us",
+      contact: dave,
+    },
+    {
+      id: `false_${FAMILY}_FFF1_${BOB}`,
+      type: "chat",
+      body: "Ancient news",
+      timestamp: now - 100 * 3600,
+      from: FAMILY,
+      author: BOB,
+      chat: family,
+      contact: bob,
+    },
+    {
+      id: `false_${FAMILY}_FFF2_${BOB}`,
+      type: "image",
+      body: "Pizza tonight?",
+      timestamp: now - 1800,
+      from: FAMILY,
+      author: BOB,
+      hasMedia: true,
+      _data: { size: 70 },
+      contact: bob,
+      media: { mimetype: "image/png", file: PHOTO },
+    },
+  ];
+  const revoke = (id, timestamp, extra = {}) => ({
+    event: "message_revoke_everyone",
+    args: [{ id, type: "revoked", timestamp, ...extra }, null],
+  });
+  const lines = [
+    { event: "ready", args: [], history },
+    revoke(`false_${DAVE}_DDD1`, now - 2 * 3600, { from: DAVE }),
+    revoke(`false_${FAMILY}_FFF2_${BOB}`, now - 1800, {
+      from: FAMILY,
+      author: BOB,
+    }),
+    revoke(`false_${FAMILY}_FFF1_${BOB}`, now - 100 * 3600, {
+      from: FAMILY,
+      author: BOB,
+    }),
+  ];
+  const fixture = path.join(dir, "backfill.jsonl");
+  fs.writeFileSync(fixture, lines.map((l) => JSON.stringify(l)).join("\n"));
+  return fixture;
+}
+
+describe("backfilling history after ready", () => {
+  let dir;
+  let telegram;
+  let run;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-backfill-"));
+    let asked = false;
+    telegram = await startFakeTelegram({
+      // By the first alert the backfill is done and more alerts are queued
+      onCall: (call) => {
+        if (!asked && /Deleted by Dave/.test(call.fields.text)) {
+          asked = true;
+          telegram.sendCommand("/status");
+        }
+      },
+    });
+    run = await runAgent({
+      fixture: writeFixture(dir),
+      telegram,
+      env: { BACKFILL_MEDIA: "on" },
+    });
+  });
+
+  after(async () => {
+    await telegram.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (run) fs.rmSync(run.home, { recursive: true, force: true });
+  });
+
+  test("recovers messages sent before the agent started", () => {
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /Backfilled 2 message\(s\) from 2 chat\(s\)/);
+    const texts = telegram.texts();
+    const dave = texts.find((t) => /Deleted by Dave/.test(t));
+    assert.ok(dave, "Dave's deletion alert");
+    assert.match(dave, /Call me back/);
+    assert.ok(texts.some((t) => /Pizza tonight\?/.test(t)));
+  });
+
+  test("downloads backfilled media when asked to", () => {
+    assert.ok(telegram.calls.some((c) => c.method === "sendPhoto"));
+  });
+
+  test("skips messages outside the delete window", () => {
+    assert.ok(
+      telegram.texts().some((t) => /Unknown - message not cached/.test(t)),
+    );
+  });
+
+  test("reports the backfill in /status", () => {
+    const status = telegram.texts().find((t) => t.includes("📊 Status"));
+    assert.ok(status, "status reply");
+    assert.match(status, /History: 2 messages from 2\/2 chats backfilled/);
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { createDashboard } = require("../lib/dashboard");
+
+const TOKEN = "dashboard-token";
+const MIMETYPES = { ".png": "image/png", ".svg": "image/svg+xml" };
+
+function freePort() {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Raw request, so the Host header can be anything
+function request(port, urlPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { host: "127.0.0.1", port, path: urlPath, headers },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({ status: res.statusCode, headers: res.headers }),
+        );
+      },
+    );
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+describe("dashboard", () => {
+  let dir;
+  let port;
+  let dashboard;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-dashboard-"));
+    fs.writeFileSync(path.join(dir, "photo.png"), "png");
+    fs.writeFileSync(
+      path.join(dir, "evil.svg"),
+      '<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>',
+    );
+    port = await freePort();
+    dashboard = createDashboard({
+      port,
+      token: TOKEN,
+      savedDir: dir,
+      getStatus: () => ({ ok: true }),
+      getCachedMessages: () => [],
+      guessMimetype: (f) =>
+        MIMETYPES[path.extname(f)] || "application/octet-stream",
+    });
+    // Its "listening" line would land in the test runner's stdout stream
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      dashboard.start();
+      // Until it listens
+      for (let i = 0; i < 50; i++) {
+        try {
+          await request(port, "/");
+          break;
+        } catch (err) {
+          await new Promise((r) => setTimeout(r, 20));
+        }
+      }
+    } finally {
+      console.log = originalLog;
+    }
+  });
+
+  after(() => {
+    dashboard.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("survives a malformed Host header", async () => {
+    const res = await request(port, "/api/status", { Host: "[" });
+    assert.equal(res.status, 401);
+    const ok = await request(port, `/api/status?token=${TOKEN}`, {
+      Host: "[",
+    });
+    assert.equal(ok.status, 200);
+  });
+
+  test("serves raster images inline, sandboxed", async () => {
+    const res = await request(port, `/media/photo.png?token=${TOKEN}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers["content-type"], "image/png");
+    assert.match(res.headers["content-disposition"], /^inline/);
+    assert.equal(res.headers["x-content-type-options"], "nosniff");
+    assert.equal(res.headers["content-security-policy"], "sandbox");
+  });
+
+  test("downloads anything else instead of rendering it", async () => {
+    const res = await request(port, `/media/evil.svg?token=${TOKEN}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers["content-type"], "application/octet-stream");
+    assert.match(res.headers["content-disposition"], /^attachment/);
+    assert.equal(res.headers["content-security-policy"], "sandbox");
+  });
+});
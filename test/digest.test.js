@@ -0,0 +1,132 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createDigestScheduler,
+  zonedParts,
+  startOfDay,
+} = require("../lib/digest");
+
+// Monday 19 October 2026, 06:30 UTC = 12:00 in Kolkata
+const NOW = Date.UTC(2026, 9, 19, 6, 30);
+
+test("zonedParts reads the wall clock of a time zone", () => {
+  assert.deepEqual(zonedParts(new Date(NOW), "Asia/Kolkata"), {
+    date: "2026-10-19",
+    hour: 12,
+    minute: 0,
+    second: 0,
+    weekday: "mon",
+  });
+  assert.equal(
+    zonedParts(new Date(NOW), "America/Los_Angeles").date,
+    "2026-10-18",
+  );
+});
+
+test("startOfDay is local midnight", () => {
+  assert.equal(
+    startOfDay(NOW + 1234, "Asia/Kolkata"),
+    Date.UTC(2026, 9, 18, 18, 30),
+  );
+  assert.equal(startOfDay(NOW, "UTC"), Date.UTC(2026, 9, 19));
+});
+
+describe("digest scheduler", () => {
+  let dir;
+  let settings;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-digest-"));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  function scheduler(onDue, name = "digest.json") {
+    return createDigestScheduler({
+      statePath: path.join(dir, name),
+      getSettings: () => settings,
+      onDue,
+      tickMs: 60 * 60 * 1000,
+    });
+  }
+
+  test("is due once the time has passed that day", () => {
+    settings = {
+      schedule: "daily",
+      time: "11:00",
+      weekday: "sun",
+      timeZone: "Asia/Kolkata",
+    };
+    const digest = scheduler(async () => {});
+    assert.equal(digest.due(NOW), "daily");
+    settings = { ...settings, time: "13:00" };
+    assert.equal(digest.due(NOW), null);
+    settings = { ...settings, schedule: "off", time: "11:00" };
+    assert.equal(digest.due(NOW), null);
+  });
+
+  test("weekly digests wait for their weekday", () => {
+    settings = {
+      schedule: "weekly",
+      time: "00:00",
+      weekday: "sun",
+      timeZone: "Asia/Kolkata",
+    };
+    const digest = scheduler(async () => {});
+    assert.equal(digest.due(NOW), null);
+    settings = { ...settings, weekday: "mon" };
+    assert.equal(digest.due(NOW), "weekly");
+  });
+
+  test("sends once per day and remembers it across restarts", async () => {
+    settings = {
+      schedule: "daily",
+      time: "00:00",
+      weekday: "sun",
+      timeZone: "UTC",
+    };
+    const sent = [];
+    const digest = scheduler(async (kind, lastSentAt) => {
+      sent.push({ kind, lastSentAt });
+    }, "state.json");
+    digest.start();
+    digest.stop();
+    await digest.tick();
+    assert.deepEqual(sent, [{ kind: "daily", lastSentAt: null }]);
+
+    const again = scheduler(async () => sent.push("again"), "state.json");
+    again.start();
+    again.stop();
+    assert.equal(sent.length, 1);
+    assert.equal(again.due(), null);
+  });
+
+  test("retries on the next tick when sending fails", async () => {
+    settings = {
+      schedule: "daily",
+      time: "00:00",
+      weekday: "sun",
+      timeZone: "UTC",
+    };
+    let fail = true;
+    let sent = 0;
+    const digest = scheduler(async () => {
+      if (fail) throw new Error("Telegram down");
+      sent++;
+    }, "retry.json");
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      await digest.tick();
+    } finally {
+      console.error = originalError;
+    }
+    assert.equal(sent, 0);
+    fail = false;
+    await digest.tick();
+    assert.equal(sent, 1);
+  });
+});
@@ -0,0 +1,205 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createEncryption,
+  loadKeys,
+  generateKey,
+  keyIdOf,
+} = require("../lib/encryption");
+const { createStore } = require("../lib/store");
+
+const CHUNK = 64 * 1024;
+const HEADER = 6 + 8 + 7;
+const SEALED_CHUNK = CHUNK + 16;
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+describe("encryption", () => {
+  const oldKey = crypto.randomBytes(32);
+  const newKey = crypto.randomBytes(32);
+  const encryption = createEncryption({ keys: [oldKey] });
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-crypt-"));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const file = (name) => path.join(dir, name);
+
+  test("round-trips files around chunk boundaries", async () => {
+    for (const size of [0, 1, CHUNK - 1, CHUNK, CHUNK + 1, 2 * CHUNK + 5]) {
+      const plain = crypto.randomBytes(size);
+      fs.writeFileSync(file("plain.bin"), plain);
+
+      // Whole-buffer writer, both readers
+      encryption.writeFile(file("buffer.enc"), plain);
+      assert.deepEqual(encryption.readFile(file("buffer.enc")), plain);
+      assert.deepEqual(
+        await readStream(encryption.createReadStream(file("buffer.enc"))),
+        plain,
+      );
+
+      // Streaming writer, both readers
+      await encryption.encryptFile(file("plain.bin"), file("stream.enc"));
+      assert.deepEqual(encryption.readFile(file("stream.enc")), plain);
+      assert.deepEqual(
+        await readStream(encryption.createReadStream(file("stream.enc"))),
+        plain,
+      );
+
+      assert.equal(encryption.plainSize(file("stream.enc")), size, `${size}`);
+      assert.ok(encryption.isEncryptedFile(file("stream.enc")));
+    }
+  });
+
+  test("reads plaintext files as they are", () => {
+    fs.writeFileSync(file("old.txt"), "written before encryption");
+    assert.equal(
+      encryption.readFile(file("old.txt")).toString(),
+      "written before encryption",
+    );
+    assert.equal(encryption.plainSize(file("old.txt")), 25);
+    assert.equal(encryption.fileKeyId(file("old.txt")), null);
+  });
+
+  test("detects truncated files", async () => {
+    encryption.writeFile(file("long.enc"), crypto.randomBytes(2 * CHUNK + 5));
+    const data = fs.readFileSync(file("long.enc"));
+    // Cut exactly after the second chunk, which wasn't sealed as the last
+    fs.writeFileSync(
+      file("cut.enc"),
+      data.subarray(0, HEADER + 2 * SEALED_CHUNK),
+    );
+    assert.throws(() => encryption.readFile(file("cut.enc")), /corrupt/);
+    await assert.rejects(
+      readStream(encryption.createReadStream(file("cut.enc"))),
+      /corrupt/,
+    );
+    fs.writeFileSync(file("stub.enc"), data.subarray(0, HEADER - 2));
+    await assert.rejects(
+      readStream(encryption.createReadStream(file("stub.enc"))),
+      /truncated/,
+    );
+  });
+
+  test("detects reordered chunks", () => {
+    encryption.writeFile(file("order.enc"), crypto.randomBytes(3 * CHUNK));
+    const data = fs.readFileSync(file("order.enc"));
+    const chunk = (i) =>
+      data.subarray(HEADER + i * SEALED_CHUNK, HEADER + (i + 1) * SEALED_CHUNK);
+    fs.writeFileSync(
+      file("swapped.enc"),
+      Buffer.concat([data.subarray(0, HEADER), chunk(1), chunk(0), chunk(2)]),
+    );
+    assert.throws(() => encryption.readFile(file("swapped.enc")), /corrupt/);
+  });
+
+  test("names an unknown key", () => {
+    const stranger = createEncryption({ keys: [newKey] });
+    encryption.writeFile(file("mine.enc"), "secret");
+    assert.throws(
+      () => stranger.readFile(file("mine.enc")),
+      new RegExp(`unknown key ${keyIdOf(oldKey)}`),
+    );
+    encryption.appendText(file("mine.log"), "secret\n");
+    assert.throws(() => stranger.readText(file("mine.log")), /unknown key/);
+  });
+
+  test("loses only the damaged line of a text file", () => {
+    encryption.appendText(file("log.txt"), "one\n");
+    encryption.appendText(file("log.txt"), "two\n");
+    encryption.appendText(file("log.txt"), "three\n");
+    const lines = fs.readFileSync(file("log.txt"), "utf8").split("\n");
+    lines[1] = lines[1].slice(0, -8) + "AAAAAAA=";
+    fs.writeFileSync(file("log.txt"), lines.join("\n"));
+    assert.equal(encryption.readText(file("log.txt")), "one\nthree\n");
+  });
+
+  test("compacted journals keep one encrypted line per entry", () => {
+    const filePath = file("store.jsonl");
+    const store = createStore(filePath, { encryption, sweepIntervalMs: 0 });
+    store.load();
+    for (let i = 0; i < 5; i++) store.set(`k${i}`, { n: i });
+    store.compact();
+    const lines = fs.readFileSync(filePath, "utf8").trim().split("\n");
+    assert.equal(lines.length, 5);
+    assert.ok(lines.every((l) => l.startsWith("enc1:")));
+
+    // A damaged line costs that entry, not the whole journal
+    lines[2] = lines[2].slice(0, -8) + "AAAAAAA=";
+    fs.writeFileSync(filePath, lines.join("\n") + "\n");
+    const reloaded = createStore(filePath, { encryption, sweepIntervalMs: 0 });
+    assert.equal(reloaded.load(), 4);
+    assert.equal(reloaded.get("k2"), undefined);
+    assert.deepEqual(reloaded.get("k4"), { n: 4 });
+  });
+
+  test("rotates files and text to a new key", async () => {
+    const rotated = createEncryption({ keys: [newKey, oldKey] });
+    const plain = crypto.randomBytes(CHUNK + 10);
+    encryption.writeFile(file("rotate.enc"), plain);
+    fs.writeFileSync(file("rotate.txt"), "plain line\n");
+    encryption.appendText(file("rotate.txt"), "first\nsecond\n");
+
+    const mtime = new Date("2026-01-01T00:00:00Z");
+    fs.utimesSync(file("rotate.enc"), mtime, mtime);
+    assert.equal(await rotated.reencryptFile(file("rotate.enc")), true);
+    assert.equal(await rotated.reencryptFile(file("rotate.enc")), false);
+    assert.equal(rotated.fileKeyId(file("rotate.enc")), rotated.activeKeyId);
+    assert.deepEqual(rotated.readFile(file("rotate.enc")), plain);
+    assert.equal(fs.statSync(file("rotate.enc")).mtimeMs, mtime.getTime());
+
+    assert.equal(rotated.reencryptText(file("rotate.txt")), true);
+    assert.equal(rotated.reencryptText(file("rotate.txt")), false);
+    assert.deepEqual(
+      [...rotated.textKeyIds(file("rotate.txt"))],
+      [rotated.activeKeyId],
+    );
+    assert.equal(
+      rotated.readText(file("rotate.txt")),
+      "plain line\nfirst\nsecond\n",
+    );
+    // Rewritten line by line
+    assert.equal(
+      fs.readFileSync(file("rotate.txt"), "utf8").trim().split("\n").length,
+      3,
+    );
+    // The new key alone reads it
+    const newOnly = createEncryption({ keys: [newKey] });
+    assert.deepEqual(newOnly.readFile(file("rotate.enc")), plain);
+  });
+});
+
+describe("loadKeys", () => {
+  test("reads the current key first, then previous ones", () => {
+    const current = generateKey();
+    const previous = crypto.randomBytes(32).toString("hex");
+    const keys = loadKeys({
+      ENCRYPTION_KEY: current,
+      ENCRYPTION_PREVIOUS_KEYS: ` ${previous} ,`,
+    });
+    assert.equal(keys.length, 2);
+    assert.deepEqual(keys[0], Buffer.from(current, "base64"));
+    assert.deepEqual(keys[1], Buffer.from(previous, "hex"));
+    assert.deepEqual(loadKeys({}), []);
+  });
+
+  test("rejects bad keys and conflicting settings", () => {
+    assert.throws(() => loadKeys({ ENCRYPTION_KEY: "short" }), /32 bytes/);
+    assert.throws(
+      () =>
+        loadKeys({ ENCRYPTION_KEY: generateKey(), ENCRYPTION_KEY_FILE: "x" }),
+      /not both/,
+    );
+  });
+});
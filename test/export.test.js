@@ -0,0 +1,51 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startFakeTelegram } = require("./helpers/fake-telegram");
+const { runAgent } = require("./helpers/run-agent");
+
+const FIXTURE = path.join(__dirname, "fixtures", "capture.jsonl");
+
+describe("/export during a replay", () => {
+  let telegram;
+  let run;
+
+  before(async () => {
+    let asked = false;
+    telegram = await startFakeTelegram({
+      // Once Alice's deletion is saved there is something to export
+      onCall: (call) => {
+        if (!asked && /deleted by Alice/i.test(call.fields.text)) {
+          asked = true;
+          telegram.sendCommand("/export Alice");
+        }
+      },
+    });
+    run = await runAgent({ fixture: FIXTURE, telegram });
+  });
+
+  after(async () => {
+    await telegram.close();
+    if (run) fs.rmSync(run.home, { recursive: true, force: true });
+  });
+
+  test("sends the archive to Telegram", () => {
+    assert.equal(run.code, 0, run.output);
+    const upload = telegram.calls.find(
+      (c) =>
+        c.method === "sendDocument" && /\.zip$/.test(c.files.document.filename),
+    );
+    assert.ok(upload, "export upload");
+    assert.match(upload.fields.caption, /📦 Export: Alice/);
+    // A ZIP
+    assert.equal(upload.files.document.data.subarray(0, 2).toString(), "PK");
+  });
+
+  test("deletes the archive once delivered", () => {
+    assert.deepEqual(
+      fs.readdirSync(path.join(run.home, "media", "exports")),
+      [],
+    );
+  });
+});
@@ -0,0 +1,45 @@
+const http = require("http");
+
+// ─── Fake HTTP Receiver ─────────────────────────────────
+// A local stand-in for webhook and ntfy servers. Every request is kept in
+// `requests` as { method, path, headers, body }; `respond(request)` may
+// return { status, headers, body } to answer with something other than
+// 200 OK.
+
+function startFakeHttp({ respond = null } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const request = {
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        body: Buffer.concat(chunks),
+      };
+      requests.push(request);
+      const reply = (respond && respond(request)) || {};
+      res.writeHead(reply.status || 200, reply.headers || {});
+      res.end(reply.body || "");
+    });
+  });
+
+  function close() {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  }
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close,
+      });
+    });
+  });
+}
+
+module.exports = { startFakeHttp };
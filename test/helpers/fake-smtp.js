@@ -0,0 +1,79 @@
+const net = require("net");
+
+// ─── Fake SMTP Server ───────────────────────────────────
+// Just enough SMTP for nodemailer without TLS or auth. Every message is
+// kept in `messages` as { from, to, data }. `rejectWith` (e.g. "550 no such
+// user") answers RCPT TO with that reply instead of accepting it.
+
+function startFakeSmtp({ rejectWith = null } = {}) {
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.setEncoding("utf8");
+    const write = (line) => socket.write(`${line}\r\n`);
+    let current = { from: null, to: [], data: "" };
+    let inData = false;
+    let buffer = "";
+
+    function handle(line) {
+      const verb = line.slice(0, 4).toUpperCase();
+      if (verb === "EHLO" || verb === "HELO") write("250 localhost");
+      else if (verb === "MAIL") {
+        current.from = line.slice(10).trim();
+        write("250 OK");
+      } else if (verb === "RCPT") {
+        if (rejectWith) write(rejectWith);
+        else {
+          current.to.push(line.slice(8).trim());
+          write("250 OK");
+        }
+      } else if (verb === "DATA") {
+        inData = true;
+        write("354 End data with <CR><LF>.<CR><LF>");
+      } else if (verb === "QUIT") {
+        write("221 Bye");
+        socket.end();
+      } else if (verb === "RSET" || verb === "NOOP") write("250 OK");
+      else write("502 Command not implemented");
+    }
+
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      for (;;) {
+        if (inData) {
+          const end = buffer.indexOf("\r\n.\r\n");
+          if (end === -1) return;
+          current.data = buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          messages.push(current);
+          current = { from: null, to: [], data: "" };
+          write("250 OK queued");
+          continue;
+        }
+        const newline = buffer.indexOf("\r\n");
+        if (newline === -1) return;
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        handle(line);
+      }
+    });
+    write("220 localhost fake SMTP");
+  });
+
+  function close() {
+    for (const socket of sockets) socket.destroy();
+    return new Promise((resolve) => server.close(resolve));
+  }
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({ port: server.address().port, messages, close });
+    });
+  });
+}
+
+module.exports = { startFakeSmtp };
@@ -0,0 +1,132 @@
+const http = require("http");
+
+// ─── Fake Telegram Bot API ──────────────────────────────
+// A local stand-in for api.telegram.org (point TELEGRAM_API_URL at `url`).
+// Every call is kept in `calls` as { method, fields, files }; getUpdates
+// hands out whatever was queued with sendCommand() (by default as if typed
+// in `chatId`) or pressCallback(). `onCall(call)` sees each call as it
+// arrives; sent messages get `messageId`.
+
+const POLL_HOLD_MS = 200;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+async function parseCall(method, req, body) {
+  const call = { method, fields: {}, files: {} };
+  const type = req.headers["content-type"] || "";
+  if (type.startsWith("application/json")) {
+    call.fields = JSON.parse(body.toString("utf8"));
+  } else if (type.startsWith("multipart/form-data")) {
+    const form = await new Response(body, {
+      headers: { "content-type": type },
+    }).formData();
+    for (const [name, value] of form) {
+      if (typeof value === "string") {
+        call.fields[name] = value;
+      } else {
+        call.files[name] = {
+          filename: value.name,
+          data: Buffer.from(await value.arrayBuffer()),
+        };
+      }
+    }
+  }
+  return call;
+}
+
+function startFakeTelegram({ chatId = "42", onCall = null } = {}) {
+  const calls = [];
+  const updates = [];
+  let nextUpdateId = 1;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const method = url.pathname.split("/").pop();
+    const reply = (result) => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ ok: true, result }));
+    };
+    try {
+      const body = await readBody(req);
+      if (method === "getUpdates") {
+        // Long polling, shortened
+        if (!updates.length) {
+          await new Promise((r) => setTimeout(r, POLL_HOLD_MS));
+        }
+        const offset = Number(url.searchParams.get("offset")) || 0;
+        reply(updates.filter((u) => u.update_id >= offset));
+        return;
+      }
+      const call = await parseCall(method, req, body);
+      call.messageId = calls.push(call);
+      if (onCall) onCall(call);
+      reply({ message_id: call.messageId });
+    } catch (err) {
+      res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ ok: false, description: err.message }));
+    }
+  });
+
+  // `from` is the sender's user id, `chat` the chat it was typed in
+  function sendCommand(text, { chat = chatId, from = chat } = {}) {
+    updates.push({
+      update_id: nextUpdateId++,
+      message: { chat: { id: Number(chat) }, from: { id: Number(from) }, text },
+    });
+  }
+
+  // Presses an inline button under a message sent with sendMessage
+  function pressCallback(call, data, { from = chatId } = {}) {
+    updates.push({
+      update_id: nextUpdateId++,
+      callback_query: {
+        id: `cb${nextUpdateId}`,
+        from: { id: Number(from), first_name: "Tester" },
+        data,
+        message: {
+          message_id: call.messageId,
+          chat: { id: Number(call.fields.chat_id) },
+          text: String(call.fields.text).replace(/<[^>]+>/g, ""),
+          reply_markup: call.fields.reply_markup,
+        },
+      },
+    });
+  }
+
+  // Text of every message sent (to `toChat` only, if given), HTML tags
+  // stripped
+  function texts(toChat = null) {
+    return calls
+      .filter((c) => c.method === "sendMessage")
+      .filter((c) => toChat === null || String(c.fields.chat_id) === toChat)
+      .map((c) => String(c.fields.text).replace(/<[^>]+>/g, ""));
+  }
+
+  function close() {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  }
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        chatId,
+        calls,
+        sendCommand,
+        pressCallback,
+        texts,
+        close,
+      });
+    });
+  });
+}
+
+module.exports = { startFakeTelegram };
@@ -0,0 +1,60 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// ─── Agent Runner ───────────────────────────────────────
+// Starts index.js in replay mode with its own AGENT_HOME in a temp folder
+// and resolves when it exits at the end of the fixture. `setup(home)` runs
+// first, to seed files the agent should find.
+
+const INDEX = path.join(__dirname, "..", "..", "index.js");
+
+function runAgent({
+  fixture,
+  telegram,
+  env = {},
+  setup = null,
+  timeoutMs = 60 * 1000,
+}) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-test-"));
+  if (setup) setup(home);
+  const child = spawn(process.execPath, [INDEX], {
+    cwd: home,
+    // Nothing from the developer's own environment or .env leaks in
+    env: {
+      PATH: process.env.PATH,
+      HOME: home,
+      AGENT_HOME: home,
+      REPLAY_FIXTURE: fixture,
+      TELEGRAM_BOT_TOKEN: "test-token",
+      TELEGRAM_CHAT_ID: telegram.chatId,
+      TELEGRAM_API_URL: telegram.url,
+      NOTIFY_SINKS: "telegram,file",
+      STARTUP_GRACE_SECONDS: "0",
+      DELETE_BURST_WINDOW_SECONDS: "0",
+      TIME_ZONE: "UTC",
+      LOCALE: "en-GB",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill("SIGKILL");
+      reject(new Error(`Agent still running after ${timeoutMs}ms:\n${output}`));
+    }, timeoutMs);
+    child.on("error", reject);
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      resolve({ home, code, output });
+    });
+  });
+}
+
+module.exports = { runAgent };
@@ -0,0 +1,109 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createKeywordWatch,
+  highlightMatches,
+  parseWatchword,
+} = require("../lib/keywords");
+
+const CTX = {
+  chatId: "120363000000@g.us",
+  chatName: "Family",
+  senderName: "Bob",
+  senderNumber: "15550002222",
+};
+
+describe("keyword watch", () => {
+  let dir;
+  let watch;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-keywords-"));
+    watch = createKeywordWatch(path.join(dir, "watchwords.json"));
+    watch.load();
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("matches whole words and regexes", () => {
+    watch.add("urgent");
+    watch.add("/ord-\\d{6}/i");
+    const text = "URGENT: ORD-123456 is not urgently needed";
+    const hits = watch.match(text, CTX);
+    assert.equal(hits.length, 2);
+    assert.equal(
+      highlightMatches(text, hits),
+      "«URGENT»: «ORD-123456» is not urgently needed",
+    );
+  });
+
+  test("refuses nested quantifiers", () => {
+    for (const pattern of ["/(a+)+$/", "/(x*y)*/", "/((ab)+c){2,}/"]) {
+      assert.throws(() => watch.add(pattern), /repeats a group/, pattern);
+    }
+    // Quantified groups without a quantifier inside are fine
+    assert.ok(watch.add("/(ab)+c/"));
+    assert.ok(watch.add("/([a+])+/"));
+  });
+
+  test("refuses long regexes", () => {
+    assert.throws(() => watch.add(`/${"a".repeat(120)}/`), /longer than/);
+  });
+
+  test("skips unsafe regexes found in the file", () => {
+    const filePath = path.join(dir, "old.json");
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({
+        watches: [{ id: 1, pattern: "/(a+)+$/", chat: null }],
+        nextId: 2,
+      }),
+    );
+    const old = createKeywordWatch(filePath);
+    old.load();
+    assert.deepEqual(old.match(`${"a".repeat(40)}!`, CTX), []);
+  });
+
+  test("stops a regex that backtracks too long", () => {
+    const slow = createKeywordWatch(path.join(dir, "slow.json"));
+    slow.load();
+    slow.add("/(a|a)*b/");
+    slow.add("urgent");
+    const originalWarn = console.warn;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(" "));
+    const startedAt = Date.now();
+    let hits;
+    try {
+      hits = slow.match(`urgent ${"a".repeat(40)}c`, CTX);
+    } finally {
+      console.warn = originalWarn;
+    }
+    assert.ok(Date.now() - startedAt < 1000, "bounded");
+    assert.deepEqual(
+      hits.map((h) => h.watch.pattern),
+      ["urgent"],
+    );
+    assert.match(warnings[0], /\(a\|a\)\*b\/ skipped/);
+    // Harmless text still matches
+    assert.deepEqual(slow.match("xx ab", CTX)[0].ranges, [[3, 5]]);
+  });
+});
+
+test("parseWatchword takes in: after the regex", () => {
+  assert.deepEqual(parseWatchword("/meet in:\\w+/i in:Family"), {
+    pattern: "/meet in:\\w+/i",
+    chat: "Family",
+  });
+  assert.deepEqual(parseWatchword("/meet in:\\w+/"), {
+    pattern: "/meet in:\\w+/",
+    chat: null,
+  });
+  assert.deepEqual(parseWatchword("pizza in:Work Chat"), {
+    pattern: "pizza",
+    chat: "Work Chat",
+  });
+});
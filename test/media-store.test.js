@@ -0,0 +1,93 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createEncryption } = require("../lib/encryption");
+const { createMediaStore } = require("../lib/media-store");
+
+describe("media store", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-media-"));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  function storeIn(name, options = {}) {
+    const store = createMediaStore({
+      dir: path.join(dir, name),
+      indexPath: path.join(dir, `${name}.jsonl`),
+      ttlMs: 60 * 60 * 1000,
+      sweepIntervalMs: 0,
+      ...options,
+    });
+    store.load();
+    return store;
+  }
+
+  // A finished download waiting to be moved into the store
+  function download(name, data) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, data);
+    return filePath;
+  }
+
+  test("shares one file between messages with the same content", () => {
+    const store = storeIn("shared");
+    const photo = crypto.randomBytes(1000);
+    const first = store.put(photo, { ext: ".jpg", ref: "msg1" });
+    const second = store.put(photo, { ext: ".jpg", ref: "msg2" });
+    assert.equal(second.deduped, true);
+    assert.equal(second.filePath, first.filePath);
+    assert.equal(store.stats().bytes, 1000);
+
+    store.release(first.hash, "msg1");
+    assert.ok(fs.existsSync(first.filePath), "msg2 still needs it");
+    store.release(first.hash, "msg2");
+    assert.ok(!fs.existsSync(first.filePath));
+    assert.equal(store.stats().bytes, 0);
+  });
+
+  for (const encrypted of [false, true]) {
+    test(`keeps every reference when identical downloads finish together${encrypted ? ", encrypted" : ""}`, async () => {
+      const name = encrypted ? "together-enc" : "together";
+      const store = storeIn(name, {
+        encryption: encrypted
+          ? createEncryption({ keys: [crypto.randomBytes(32)] })
+          : undefined,
+      });
+      const photo = crypto.randomBytes(200 * 1024);
+      const results = await Promise.all(
+        ["msg1", "msg2", "msg3"].map((ref) =>
+          store.putFile(download(`${name}-${ref}.part`, photo), {
+            ext: ".jpg",
+            ref,
+          }),
+        ),
+      );
+      assert.deepEqual(
+        results.map((r) => r.deduped),
+        [false, true, true],
+      );
+      assert.equal(new Set(results.map((r) => r.filePath)).size, 1);
+      assert.equal(store.stats().bytes, photo.length);
+      assert.equal(store.stats().files, 1);
+      assert.deepEqual(
+        fs.readdirSync(dir).filter((f) => f.endsWith(".part")),
+        [],
+      );
+
+      // The file stays until the last message lets go of it
+      const [{ hash, filePath }] = results;
+      store.release(hash, "msg1");
+      store.release(hash, "msg2");
+      assert.ok(fs.existsSync(filePath));
+      store.release(hash, "msg3");
+      assert.ok(!fs.existsSync(filePath));
+      assert.equal(store.stats().bytes, 0);
+    });
+  }
+});
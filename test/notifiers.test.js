@@ -0,0 +1,252 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createEncryption } = require("../lib/encryption");
+const { createSinks } = require("../lib/notifiers");
+const { createWebhookSink, signPayload } = require("../lib/notifiers/webhook");
+const { createNtfySink } = require("../lib/notifiers/ntfy");
+const { createSmtpSink } = require("../lib/notifiers/smtp");
+const { createFileSink } = require("../lib/notifiers/file");
+const { createTelegramSink } = require("../lib/notifiers/telegram");
+const { startFakeHttp } = require("./helpers/fake-http");
+const { startFakeSmtp } = require("./helpers/fake-smtp");
+
+const PHOTO = path.join(__dirname, "fixtures", "media", "photo.png");
+
+const EVENT = {
+  type: "deleted",
+  title: "🗑️ Deleted by Alice",
+  body: "See you at 8",
+  data: { messageId: "false_15550001111@c.us_AAA" },
+  media: { filePath: PHOTO, mimetype: "image/png", filename: "photo.png" },
+};
+
+describe("webhook sink", () => {
+  let server;
+  let status = 200;
+
+  before(async () => {
+    server = await startFakeHttp({
+      respond: () =>
+        status === 200
+          ? null
+          : { status, headers: { "Retry-After": "7" }, body: "nope" },
+    });
+  });
+
+  after(() => server.close());
+
+  test("posts the event signed, with media inline", async () => {
+    const sink = createWebhookSink({
+      url: `${server.url}/hook`,
+      secret: "s3cret",
+      includeMedia: true,
+    });
+    await sink.send(EVENT);
+
+    const req = server.requests.at(-1);
+    assert.equal(req.method, "POST");
+    assert.equal(req.path, "/hook");
+    assert.equal(req.headers["x-wa-agent-event"], "deleted");
+    const body = req.body.toString("utf8");
+    const timestamp = req.headers["x-signature-timestamp"];
+    assert.equal(
+      req.headers["x-signature-256"],
+      `sha256=${signPayload("s3cret", timestamp, body)}`,
+    );
+    const payload = JSON.parse(body);
+    assert.equal(payload.title, EVENT.title);
+    assert.deepEqual(payload.data, EVENT.data);
+    assert.deepEqual(
+      Buffer.from(payload.media[0].base64, "base64"),
+      fs.readFileSync(PHOTO),
+    );
+  });
+
+  test("marks 4xx as permanent and honours Retry-After", async () => {
+    const sink = createWebhookSink({ url: server.url });
+    status = 404;
+    await assert.rejects(sink.send(EVENT), (err) => err.permanent === true);
+    status = 503;
+    await assert.rejects(
+      sink.send(EVENT),
+      (err) => !err.permanent && err.retryAfterMs === 7000,
+    );
+    status = 200;
+  });
+});
+
+describe("telegram sink", () => {
+  let server;
+  let failAt = 0;
+
+  before(async () => {
+    server = await startFakeHttp({
+      respond: () =>
+        server.requests.length === failAt
+          ? { status: 502, body: "bad gateway" }
+          : null,
+    });
+  });
+
+  after(() => server.close());
+
+  test("resumes a long message after the last delivered part", async () => {
+    const sink = createTelegramSink({
+      token: "t0ken",
+      chatId: "42",
+      apiUrl: server.url,
+    });
+    const lines = Array.from({ length: 300 }, (_, i) => `line ${i} `.repeat(5));
+    const event = { title: "📜 Long", body: lines.join("\n") };
+    const texts = () =>
+      server.requests.map((r) => JSON.parse(r.body.toString("utf8")).text);
+
+    // The second part fails once
+    failAt = 2;
+    const progress = {};
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      await assert.rejects(sink.send(event, progress), /502/);
+      assert.equal(server.requests.length, 2);
+      await sink.send(event, progress);
+    } finally {
+      console.log = originalLog;
+    }
+
+    const [first, failed, ...retried] = texts();
+    assert.ok(retried.length >= 2, "more than two parts");
+    assert.equal(retried[0], failed);
+    assert.ok(!retried.includes(first));
+    assert.match(retried.at(-1), /line 299/);
+  });
+});
+
+describe("ntfy sink", () => {
+  let server;
+  let failAttachments = true;
+
+  before(async () => {
+    server = await startFakeHttp({
+      respond: (req) =>
+        req.method === "PUT" && failAttachments ? { status: 502 } : null,
+    });
+  });
+
+  after(() => server.close());
+
+  test("publishes the text, then the attachment", async () => {
+    const sink = createNtfySink({
+      serverUrl: `${server.url}/`,
+      topic: "wa alerts",
+      token: "tk",
+    });
+    const progress = {};
+    await assert.rejects(sink.send(EVENT, progress));
+    assert.equal(progress.textSent, true);
+
+    // The retry only sends what is still missing
+    failAttachments = false;
+    await sink.send(EVENT, progress);
+    const [text, ...uploads] = server.requests;
+    assert.equal(text.method, "POST");
+    assert.equal(text.headers.authorization, "Bearer tk");
+    const published = JSON.parse(text.body.toString("utf8"));
+    assert.equal(published.topic, "wa alerts");
+    assert.deepEqual(published.tags, ["wastebasket"]);
+    assert.equal(uploads.length, 2);
+    assert.ok(uploads.every((u) => u.method === "PUT"));
+    assert.equal(uploads[1].path, "/wa%20alerts");
+    assert.equal(uploads[1].headers.filename, "photo.png");
+    assert.deepEqual(uploads[1].body, fs.readFileSync(PHOTO));
+  });
+});
+
+describe("SMTP sink", () => {
+  let server;
+
+  before(async () => {
+    server = await startFakeSmtp();
+  });
+
+  after(() => server.close());
+
+  test("mails the event with its media attached", async () => {
+    const sink = createSmtpSink({
+      host: "127.0.0.1",
+      port: server.port,
+      secure: false,
+      from: "agent@example.com",
+      to: "me@example.com",
+    });
+    await sink.send(EVENT);
+
+    assert.equal(server.messages.length, 1);
+    const [message] = server.messages;
+    assert.equal(message.from, "<agent@example.com>");
+    assert.deepEqual(message.to, ["<me@example.com>"]);
+    assert.match(message.data, /^Subject: /m);
+    assert.match(message.data, /See you at 8/);
+    assert.match(message.data, /filename=photo\.png/);
+  });
+
+  test("treats 5xx replies as permanent", async () => {
+    const rejecting = await startFakeSmtp({ rejectWith: "550 no such user" });
+    try {
+      const sink = createSmtpSink({
+        host: "127.0.0.1",
+        port: rejecting.port,
+        secure: false,
+        from: "agent@example.com",
+        to: "nobody@example.com",
+      });
+      await assert.rejects(sink.send(EVENT), (err) => err.permanent === true);
+    } finally {
+      await rejecting.close();
+    }
+  });
+});
+
+describe("file sink", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-sink-"));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("appends one JSON line per event", async () => {
+    const filePath = path.join(dir, "plain", "events.jsonl");
+    const sink = createFileSink({ filePath });
+    await sink.send(EVENT);
+    await sink.send({ type: "connected", title: "✅", body: "Ready" });
+
+    const lines = fs.readFileSync(filePath, "utf8").trim().split("\n");
+    assert.equal(lines.length, 2);
+    const first = JSON.parse(lines[0]);
+    assert.equal(first.type, "deleted");
+    assert.deepEqual(first.media, [
+      { filename: "photo.png", mimetype: "image/png", filePath: PHOTO },
+    ]);
+    assert.equal(JSON.parse(lines[1]).data, null);
+  });
+
+  test("encrypts each line when encryption is on", async () => {
+    const encryption = createEncryption({ keys: [crypto.randomBytes(32)] });
+    const filePath = path.join(dir, "encrypted.jsonl");
+    const sink = createFileSink({ filePath, encryption });
+    await sink.send(EVENT);
+
+    assert.doesNotMatch(fs.readFileSync(filePath, "utf8"), /See you at 8/);
+    assert.equal(JSON.parse(encryption.readText(filePath)).body, EVENT.body);
+  });
+});
+
+test("createSinks rejects unknown sink names", () => {
+  assert.throws(() => createSinks(["pager"], {}), /Unknown notification sink/);
+});
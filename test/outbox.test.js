@@ -0,0 +1,138 @@
+const { describe, test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createOutbox } = require("../lib/outbox");
+
+const EVENT = { type: "deleted", title: "Deleted", body: "hi" };
+
+function readDeadLetters(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  return fs
+    .readFileSync(filePath, "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+}
+
+describe("outbox", () => {
+  let dir;
+  let filePath;
+  let deadLetterPath;
+  let outbox;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-outbox-"));
+    filePath = path.join(dir, "outbox.jsonl");
+    deadLetterPath = path.join(dir, "dead-letter.jsonl");
+  });
+
+  afterEach(() => {
+    if (outbox) outbox.stop();
+    outbox = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Resolves once `sink` has been called `count` times
+  function waitForCalls(sink, count) {
+    return new Promise((resolve) => {
+      const check = () =>
+        sink.calls.length >= count ? resolve() : setTimeout(check, 5);
+      check();
+    });
+  }
+
+  function recordingSink(name, fail = () => null) {
+    const sink = {
+      name,
+      calls: [],
+      async send(event) {
+        sink.calls.push(event);
+        const err = fail(sink.calls.length);
+        if (err) throw err;
+      },
+    };
+    return sink;
+  }
+
+  test("retries a failed delivery", async () => {
+    const sink = recordingSink("webhook", (n) =>
+      n === 1 ? new Error("timeout") : null,
+    );
+    outbox = createOutbox({
+      filePath,
+      deadLetterPath,
+      sinks: [sink],
+      baseDelayMs: 10,
+    });
+    outbox.start();
+    outbox.enqueue(EVENT);
+    await waitForCalls(sink, 2);
+    await new Promise((r) => setImmediate(r));
+    assert.equal(outbox.stats().pending, 0);
+  });
+
+  test("dead-letters permanent failures", async () => {
+    const sink = recordingSink("webhook", () =>
+      Object.assign(new Error("gone"), { permanent: true }),
+    );
+    outbox = createOutbox({ filePath, deadLetterPath, sinks: [sink] });
+    outbox.start();
+    outbox.enqueue(EVENT);
+    await waitForCalls(sink, 1);
+    await new Promise((r) => setImmediate(r));
+    const [dropped] = readDeadLetters(deadLetterPath);
+    assert.equal(dropped.reason, "gone");
+    assert.equal(outbox.stats().pending, 0);
+  });
+
+  test("dead-letters items that stay undelivered past maxAgeMs", async () => {
+    const sink = recordingSink("webhook", () => new Error("down"));
+    outbox = createOutbox({
+      filePath,
+      deadLetterPath,
+      sinks: [sink],
+      maxAgeMs: 50,
+      baseDelayMs: 1000,
+    });
+    outbox.start();
+    outbox.enqueue(EVENT);
+    await waitForCalls(sink, 1);
+    await new Promise((r) => setTimeout(r, 120));
+    const [dropped] = readDeadLetters(deadLetterPath);
+    assert.equal(dropped.reason, "expired");
+    assert.deepEqual(dropped.event, EVENT);
+    assert.equal(outbox.stats().pending, 0);
+    // Expired before its retry came up
+    assert.equal(sink.calls.length, 1);
+  });
+
+  test("expires old items found on disk at start", async () => {
+    const sink = recordingSink("webhook");
+    outbox = createOutbox({ filePath, deadLetterPath, sinks: [sink] });
+    outbox.start();
+    outbox.stop();
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({
+        op: "set",
+        k: "1-000000-webhook",
+        v: {
+          id: "1-000000-webhook",
+          sink: "webhook",
+          event: EVENT,
+          createdAt: 1,
+          attempts: 3,
+          nextAttemptAt: 0,
+          progress: {},
+        },
+        e: null,
+      }) + "\n",
+    );
+    outbox = createOutbox({ filePath, deadLetterPath, sinks: [sink] });
+    outbox.start();
+    assert.equal(readDeadLetters(deadLetterPath)[0].reason, "expired");
+    assert.equal(sink.calls.length, 0);
+  });
+});
@@ -0,0 +1,155 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createRecorder,
+  createReplay,
+  readFixture,
+  toId,
+} = require("../lib/replay");
+
+const PHOTO = fs.readFileSync(
+  path.join(__dirname, "fixtures", "media", "photo.png"),
+);
+
+// Shaped like whatsapp-web.js objects, down to the non-JSON bits
+const chat = { id: toId("120363000000@g.us"), name: "Family", isGroup: true };
+const bob = {
+  id: toId("15550002222@c.us"),
+  number: "15550002222",
+  name: "Bob",
+  pushname: "bob",
+};
+
+function liveMessage(fields) {
+  return {
+    ...fields,
+    id: toId(fields.id),
+    _data: { ...fields._data, body: "<thumbnail>" },
+    getChat: async () => chat,
+    getContact: async () => bob,
+    getQuotedMessage: async () => null,
+    getMentions: async () => [],
+    downloadMedia: async () =>
+      fields.hasMedia
+        ? { mimetype: "image/png", data: PHOTO.toString("base64") }
+        : undefined,
+  };
+}
+
+test("toId expands message and contact ids", () => {
+  assert.deepEqual(toId("false_120363000000@g.us_BBB1_15550002222@c.us"), {
+    fromMe: false,
+    remote: "120363000000@g.us",
+    id: "BBB1",
+    participant: "15550002222@c.us",
+    _serialized: "false_120363000000@g.us_BBB1_15550002222@c.us",
+  });
+  assert.equal(toId("15550002222@c.us").user, "15550002222");
+});
+
+test("recorded events replay with the same data", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-rec-"));
+  try {
+    const fixturePath = path.join(dir, "session.jsonl");
+    const live = new EventEmitter();
+    live.getChatById = async () => chat;
+    live.getContactById = async () => bob;
+    const recorder = createRecorder(fixturePath);
+    recorder.attach(live);
+
+    const sent = liveMessage({
+      id: "false_120363000000@g.us_BBB1_15550002222@c.us",
+      type: "image",
+      body: "look at this",
+      timestamp: 1760000001,
+      author: "15550002222@c.us",
+      hasMedia: true,
+      _data: { size: PHOTO.length },
+    });
+    live.emit("message", sent);
+    live.emit(
+      "message_revoke_everyone",
+      liveMessage({ id: sent.id._serialized, type: "revoked" }),
+      null,
+    );
+    live.emit("disconnected", "NAVIGATION");
+    await recorder.flush();
+
+    const events = readFixture(fixturePath);
+    assert.deepEqual(
+      events.map((e) => e.event),
+      ["message", "message_revoke_everyone", "disconnected"],
+    );
+    const [recorded] = events[0].args;
+    assert.equal(recorded._data.body, undefined, "raw fields are filtered");
+    assert.deepEqual(
+      fs.readFileSync(path.join(dir, recorded.media.file)),
+      PHOTO,
+    );
+
+    const replay = createReplay(fixturePath);
+    const client = replay.createClient();
+    const seen = [];
+    client.on("message", (msg) => seen.push(msg));
+    client.on("message_revoke_everyone", (after, before) =>
+      seen.push(after, before),
+    );
+    await client.initialize();
+    await replay.done;
+
+    const [msg, revoked, before] = seen;
+    assert.equal(client.info.pushname, "Replay");
+    assert.equal(msg.id.id, "BBB1");
+    assert.equal(msg.body, "look at this");
+    assert.equal((await msg.getChat()).name, "Family");
+    assert.equal((await msg.getContact()).number, "15550002222");
+    const media = await msg.downloadMedia();
+    assert.equal(media.mimetype, "image/png");
+    assert.deepEqual(Buffer.from(media.data, "base64"), PHOTO);
+    assert.equal(revoked.type, "revoked");
+    assert.equal(before, null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a disconnect hands the rest of the fixture to the next client", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-rec-"));
+  try {
+    const fixturePath = path.join(dir, "reconnect.jsonl");
+    fs.writeFileSync(
+      fixturePath,
+      [
+        { event: "disconnected", args: ["NAVIGATION"] },
+        { event: "code", args: ["ABCD1234"] },
+      ]
+        .map((e) => JSON.stringify(e))
+        .join("\n"),
+    );
+    const replay = createReplay(fixturePath);
+    const seen = [];
+    const first = replay.createClient();
+    first.on("ready", () => seen.push("first:ready"));
+    first.on("disconnected", (reason) => seen.push(`first:${reason}`));
+    first.on("code", () => seen.push("first:code"));
+    await first.initialize();
+
+    const second = replay.createClient();
+    second.on("ready", () => seen.push("second:ready"));
+    second.on("code", (code) => seen.push(`second:${code}`));
+    await second.initialize();
+    await replay.done;
+
+    assert.deepEqual(seen, [
+      "first:ready",
+      "first:NAVIGATION",
+      "second:ABCD1234",
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,330 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createEncryption,
+  generateKey,
+  loadKeys,
+} = require("../lib/encryption");
+const { startFakeTelegram } = require("./helpers/fake-telegram");
+const { runAgent } = require("./helpers/run-agent");
+
+const FIXTURE = path.join(__dirname, "fixtures", "capture.jsonl");
+const PHOTO = fs.readFileSync(
+  path.join(__dirname, "fixtures", "media", "photo.png"),
+);
+
+function readRecords(home, kind) {
+  const dir = path.join(home, "media", "saved");
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.startsWith(`${kind}_`) && f.endsWith(".json"))
+    .map((f) => JSON.parse(fs.readFileSync(path.join(dir, f), "utf8")));
+}
+
+function readNotifications(home) {
+  return fs
+    .readFileSync(path.join(home, "data", "notifications.jsonl"), "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+describe("replaying capture.jsonl", () => {
+  let telegram;
+  let run;
+
+  before(async () => {
+    telegram = await startFakeTelegram();
+    telegram.sendCommand("/options");
+    run = await runAgent({ fixture: FIXTURE, telegram });
+  });
+
+  after(async () => {
+    await telegram.close();
+    if (run) fs.rmSync(run.home, { recursive: true, force: true });
+  });
+
+  test("plays the whole fixture and exits cleanly", () => {
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /Replaying 12 event\(s\)/);
+  });
+
+  test("saves deleted messages with their media", () => {
+    const deleted = readRecords(run.home, "deleted");
+    const text = deleted.find((r) => r.originalMessage === "Meet at 6");
+    assert.ok(text, "private message record");
+    assert.equal(text.senderName, "Alice");
+    assert.equal(text.where, "Private Chat");
+
+    const photo = deleted.find((r) => r.originalMessage === "look at this");
+    assert.ok(photo, "group message record");
+    assert.equal(photo.where, "Group: Family");
+    assert.equal(photo.senderNumber, "15550002222");
+    assert.equal(photo.mediaMimetype, "image/png");
+    const saved = fs.readFileSync(
+      path.join(run.home, "media", "saved", photo.mediaFilename),
+    );
+    assert.deepEqual(saved, PHOTO);
+  });
+
+  test("keeps the edit history", () => {
+    const [edited] = readRecords(run.home, "edited");
+    assert.equal(edited.before, "I'll be late");
+    assert.equal(edited.after, "I'll be very late");
+    assert.equal(edited.editHistory.length, 2);
+  });
+
+  test("captures view-once media", () => {
+    const [viewOnce] = readRecords(run.home, "viewonce");
+    assert.equal(viewOnce.senderName, "Alice");
+    assert.ok(
+      fs.existsSync(
+        path.join(run.home, "media", "saved", viewOnce.mediaFilename),
+      ),
+    );
+  });
+
+  test("writes the message log", () => {
+    const log = fs.readFileSync(
+      path.join(run.home, "messages_log.txt"),
+      "utf8",
+    );
+    assert.match(log, /🗑️ DELETED MESSAGE[\s\S]*Original: Meet at 6/);
+    assert.match(log, /✏️ EDITED MESSAGE[\s\S]*After: I'll be very late/);
+  });
+
+  test("re-pairs after a logout and keeps capturing", () => {
+    const types = readNotifications(run.home).map((n) => n.type);
+    assert.ok(types.includes("disconnected"));
+    assert.ok(types.includes("pairing_code"));
+    assert.equal(types.filter((t) => t === "connected").length, 2);
+    assert.ok(
+      readRecords(run.home, "deleted").some(
+        (r) => r.originalMessage === "Back after re-pairing",
+      ),
+    );
+    // The caches are read from disk once, not again on the relink
+    assert.equal(run.output.match(/Rehydrated/g).length, 1);
+  });
+
+  test("sends alerts and media to Telegram", () => {
+    const texts = telegram.texts();
+    // Replayed without delays, Alice's two deletions may arrive as one burst
+    assert.ok(texts.some((t) => /deleted by Alice[\s\S]*Meet at 6/i.test(t)));
+    assert.ok(texts.some((t) => t.includes("Edited by Alice")));
+    assert.ok(texts.some((t) => t.includes("Your code: ABCD1234")));
+
+    const photos = telegram.calls.filter((c) => c.method === "sendPhoto");
+    assert.equal(photos.length, 2, "view-once and deleted photo");
+    for (const call of photos) {
+      assert.equal(call.fields.chat_id, telegram.chatId);
+      assert.deepEqual(call.files.photo.data, PHOTO);
+    }
+    assert.ok(photos.some((c) => c.fields.caption.startsWith("👁️")));
+    assert.ok(photos.some((c) => c.fields.caption.startsWith("📎")));
+  });
+
+  test("answers commands from the authorized chat", () => {
+    assert.ok(
+      telegram.texts().some((t) => t.includes("/options — Show this list")),
+    );
+  });
+});
+
+describe("replaying with encryption at rest", () => {
+  const key = generateKey();
+  let telegram;
+  let run;
+
+  before(async () => {
+    telegram = await startFakeTelegram();
+    run = await runAgent({
+      fixture: FIXTURE,
+      telegram,
+      env: { ENCRYPTION_KEY: key },
+    });
+  });
+
+  after(async () => {
+    await telegram.close();
+    if (run) fs.rmSync(run.home, { recursive: true, force: true });
+  });
+
+  test("nothing captured is readable without the key", () => {
+    assert.equal(run.code, 0, run.output);
+    const logPath = path.join(run.home, "messages_log.txt");
+    assert.doesNotMatch(fs.readFileSync(logPath, "utf8"), /Meet at 6/);
+
+    const encryption = createEncryption({
+      keys: loadKeys({ ENCRYPTION_KEY: key }),
+    });
+    assert.match(encryption.readText(logPath), /Original: Meet at 6/);
+    const savedDir = path.join(run.home, "media", "saved");
+    const media = fs.readdirSync(savedDir).filter((f) => f.endsWith(".png"));
+    assert.ok(media.length > 0);
+    for (const file of media) {
+      const filePath = path.join(savedDir, file);
+      assert.ok(encryption.isEncryptedFile(filePath));
+      assert.deepEqual(encryption.readFile(filePath), PHOTO);
+    }
+  });
+
+  test("Telegram still gets the plaintext media", () => {
+    const photos = telegram.calls.filter((c) => c.method === "sendPhoto");
+    assert.ok(photos.length > 0);
+    for (const call of photos) assert.deepEqual(call.files.photo.data, PHOTO);
+  });
+});
+
+describe("deletion bursts left over from a crash", () => {
+  let dir;
+  let telegram;
+  let run;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-burst-"));
+    const fixture = path.join(dir, "ready.jsonl");
+    fs.writeFileSync(fixture, JSON.stringify({ event: "ready", args: [] }));
+    const alert = (id, text) => ({
+      title: "🗑️ Deleted by Zed",
+      chat: { chatId: "15550009999@c.us", senderName: "Zed" },
+      messageId: id,
+      sentAt: Date.now(),
+      body: `Message: ${text}`,
+      data: { messageId: id, senderName: "Zed", originalMessage: text },
+    });
+    telegram = await startFakeTelegram();
+    run = await runAgent({
+      fixture,
+      telegram,
+      // What the agent had on disk when it was killed mid-window
+      setup: (home) => {
+        fs.mkdirSync(path.join(home, "data"));
+        fs.writeFileSync(
+          path.join(home, "data", "delete-bursts.jsonl"),
+          JSON.stringify({
+            op: "set",
+            k: "default|15550009999@c.us|15550009999",
+            v: {
+              account: "default",
+              alerts: [alert("Z1", "first"), alert("Z2", "second")],
+            },
+            e: null,
+          }) + "\n",
+        );
+      },
+    });
+  });
+
+  after(async () => {
+    await telegram.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (run) fs.rmSync(run.home, { recursive: true, force: true });
+  });
+
+  test("are sent on the next start", () => {
+    assert.equal(run.code, 0, run.output);
+    const alert = telegram.texts().find((t) => t.includes("deleted by Zed"));
+    assert.ok(alert, "burst alert");
+    assert.match(alert, /2 messages deleted by Zed[\s\S]*first[\s\S]*second/);
+  });
+
+  test("keep the single-deletion data shape", () => {
+    const { data } = readNotifications(run.home).find(
+      (n) => n.type === "deleted",
+    );
+    assert.equal(data.messageId, "Z1");
+    assert.equal(data.senderName, "Zed");
+    assert.deepEqual(
+      data.burst.map((r) => r.messageId),
+      ["Z1", "Z2"],
+    );
+  });
+});
+
+describe("replaying reactions", () => {
+  const DAVE = "15550004444@c.us";
+  const BOB = "15550002222@c.us";
+  let dir;
+  let telegram;
+  let run;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-reactions-"));
+    const msgId = `false_${DAVE}_RRR1`;
+    const chat = { id: DAVE, name: "Dave", isGroup: false };
+    const reaction = (senderId, emoji, id) => ({
+      event: "message_reaction",
+      args: [{ id, msgId, senderId, reaction: emoji, timestamp: 1760000001 }],
+    });
+    const lines = [
+      {
+        event: "message",
+        args: [
+          {
+            id: msgId,
+            type: "chat",
+            body: "Dinner?",
+            timestamp: 1760000000,
+            from: DAVE,
+            chat,
+            contact: { id: DAVE, number: "15550004444", name: "Dave" },
+          },
+        ],
+      },
+      {
+        event: "message_reaction",
+        args: [
+          {
+            id: `false_${DAVE}_X1`,
+            msgId,
+            senderId: BOB,
+            reaction: "👍",
+            timestamp: 1760000001,
+            chat,
+            contact: { id: BOB, number: "15550002222", name: "Bob" },
+          },
+        ],
+      },
+      reaction(DAVE, "❤️", `false_${DAVE}_X2`),
+      reaction(BOB, "", `false_${DAVE}_X3`),
+    ];
+    const fixture = path.join(dir, "reactions.jsonl");
+    fs.writeFileSync(fixture, lines.map((l) => JSON.stringify(l)).join("\n"));
+    telegram = await startFakeTelegram();
+    run = await runAgent({ fixture, telegram });
+  });
+
+  after(async () => {
+    await telegram.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (run) fs.rmSync(run.home, { recursive: true, force: true });
+  });
+
+  test("reports a removed reaction", () => {
+    assert.equal(run.code, 0, run.output);
+    const alert = telegram
+      .texts()
+      .find((t) => t.includes("Reaction removed by Bob"));
+    assert.ok(alert, "removal alert");
+    assert.match(alert, /👍/);
+  });
+
+  test("keeps reactions out of the message cache", () => {
+    const data = path.join(run.home, "data");
+    const messages = fs.readFileSync(
+      path.join(data, "message-cache.jsonl"),
+      "utf8",
+    );
+    assert.match(messages, /Dinner\?/);
+    assert.doesNotMatch(messages, /reaction/);
+    const reactions = fs.readFileSync(
+      path.join(data, "reaction-cache.jsonl"),
+      "utf8",
+    );
+    assert.match(reactions, /❤️/);
+  });
+});
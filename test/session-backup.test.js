@@ -0,0 +1,242 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createEncryption } = require("../lib/encryption");
+const { createSessionBackups } = require("../lib/session-backup");
+const { startFakeTelegram } = require("./helpers/fake-telegram");
+const { runAgent } = require("./helpers/run-agent");
+
+const CAPTURE = path.join(__dirname, "fixtures", "capture.jsonl");
+
+// Just enough of a Chrome profile: what a session needs, plus cache
+function seedSession(sessionDir, marker) {
+  const files = {
+    "Default/IndexedDB/https_web.whatsapp.com_0.indexeddb.leveldb/000003.log": `keys ${marker}`,
+    "Default/Local Storage/leveldb/CURRENT": `MANIFEST-${marker}`,
+    "Default/Cache/Cache_Data/data_0": "cached page",
+    "Default/Preferences": "{}",
+  };
+  for (const [name, content] of Object.entries(files)) {
+    const filePath = path.join(sessionDir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+}
+
+function readSessionKeys(sessionDir) {
+  return fs.readFileSync(
+    path.join(
+      sessionDir,
+      "Default/IndexedDB/https_web.whatsapp.com_0.indexeddb.leveldb/000003.log",
+    ),
+    "utf8",
+  );
+}
+
+describe("session backups", () => {
+  let dir;
+  let sessionDir;
+  let encryption;
+  let backups;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-sessions-"));
+    sessionDir = path.join(dir, ".wwebjs_auth", "session-wa-agent");
+    encryption = createEncryption({ keys: [crypto.randomBytes(32)] });
+    backups = createSessionBackups({
+      dir: path.join(dir, "backups"),
+      encryption,
+      keep: () => 2,
+    });
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("archives only the session, encrypted", async () => {
+    seedSession(sessionDir, "one");
+    const backup = await backups.backup(sessionDir, "wa-agent", "manual");
+    assert.match(
+      backup.filename,
+      /^session-wa-agent-\d{8}T\d{6}Z-manual\.tgz$/,
+    );
+    assert.ok(encryption.isEncryptedFile(backup.filePath));
+    assert.deepEqual(backups.find("wa-agent", "latest"), backup);
+    assert.deepEqual(backups.list("wa-agent-work"), []);
+  });
+
+  test("restores a backup over the current session", async () => {
+    fs.rmSync(sessionDir, { recursive: true, force: true });
+    seedSession(sessionDir, "two");
+    await backups.restore(backups.find("wa-agent").filePath, sessionDir);
+    assert.equal(readSessionKeys(sessionDir), "keys one");
+    assert.ok(!fs.existsSync(path.join(sessionDir, "Default", "Cache")));
+    assert.ok(!fs.existsSync(`${sessionDir}.restoring`));
+  });
+
+  test("leaves the session alone when an archive is bad", async () => {
+    const bad = path.join(dir, "backups", "session-wa-agent-bad.tgz");
+    fs.writeFileSync(bad, "not an archive");
+    await assert.rejects(backups.restore(bad, sessionDir));
+    assert.equal(readSessionKeys(sessionDir), "keys one");
+  });
+
+  test("prunes only automatic snapshots", async () => {
+    for (let i = 0; i < 3; i++) {
+      // Names go by the second
+      await new Promise((r) => setTimeout(r, 1000));
+      await backups.backup(sessionDir, "wa-agent", "auto");
+    }
+    const reasons = backups.list("wa-agent").map((b) => b.reason);
+    assert.deepEqual(reasons.sort(), ["auto", "auto", "manual"]);
+  });
+});
+
+describe("session commands and QR pairing during a replay", () => {
+  let dir;
+  let telegram;
+  let run;
+
+  before(async () => {
+    // Pairing by QR code, then the capture's alerts up to its logout (which
+    // would wipe the session), so the commands have time to run
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-qr-"));
+    fs.symlinkSync(
+      path.join(path.dirname(CAPTURE), "media"),
+      path.join(dir, "media"),
+    );
+    const capture = fs.readFileSync(CAPTURE, "utf8").split("\n");
+    const fixture = path.join(dir, "qr.jsonl");
+    fs.writeFileSync(
+      fixture,
+      [
+        JSON.stringify({ event: "qr", args: ["2@ref,static,identity,adv"] }),
+        JSON.stringify({ event: "ready", args: [] }),
+        ...capture.slice(
+          0,
+          capture.findIndex((line) => line.includes('"disconnected"')),
+        ),
+      ].join("\n"),
+    );
+    telegram = await startFakeTelegram();
+    telegram.sendCommand("/backup_session");
+    telegram.sendCommand("/restore_session");
+    run = await runAgent({
+      fixture,
+      telegram,
+      env: {
+        ENCRYPTION_KEY: crypto.randomBytes(32).toString("base64"),
+        SESSION_BACKUP_TELEGRAM: "on",
+      },
+      setup: (home) =>
+        seedSession(path.join(home, ".wwebjs_auth", "session-wa-agent"), "x"),
+    });
+  });
+
+  after(async () => {
+    await telegram.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (run) fs.rmSync(run.home, { recursive: true, force: true });
+  });
+
+  test("sends the QR code to Telegram", () => {
+    assert.equal(run.code, 0, run.output);
+    const qr = telegram.texts().find((t) => t.includes("WhatsApp QR Code"));
+    assert.ok(qr, "QR notification");
+    // No browser in a replay, so there is no picture to send
+    assert.match(qr, /Couldn't take a picture/);
+  });
+
+  test("/backup_session snapshots the session", () => {
+    const files = fs.readdirSync(
+      path.join(run.home, "data", "session-backups"),
+    );
+    assert.equal(files.length, 1);
+    assert.match(files[0], /^session-wa-agent-.*-manual\.tgz$/);
+    assert.ok(
+      telegram
+        .texts()
+        .some((t) => t.includes("Session backed up") && t.includes(files[0])),
+    );
+  });
+
+  test("uploads the snapshot still encrypted", () => {
+    const upload = telegram.calls.find((c) =>
+      /\.tgz$/.test(c.files.document?.filename || ""),
+    );
+    assert.ok(upload, "backup upload");
+    assert.equal(upload.files.document.data.subarray(0, 5).toString(), "WAENC");
+  });
+
+  test("/restore_session lists the backups", () => {
+    const list = telegram.texts().find((t) => t.includes("Session backups"));
+    assert.ok(list, "backup list");
+    assert.match(list, /1\. session-wa-agent-.*-manual\.tgz/);
+  });
+});
+
+describe("session snapshots around a logout", () => {
+  const runs = {};
+  let telegram;
+
+  before(async () => {
+    // The capture logs out and pairs again, which wipes the session
+    telegram = await startFakeTelegram();
+    telegram.sendCommand("/backup_session");
+    for (const [name, env] of Object.entries({
+      encrypted: { ENCRYPTION_KEY: crypto.randomBytes(32).toString("base64") },
+      plain: {},
+    })) {
+      runs[name] = await runAgent({
+        fixture: CAPTURE,
+        telegram,
+        env,
+        setup: (home) =>
+          seedSession(path.join(home, ".wwebjs_auth", "session-wa-agent"), "x"),
+      });
+    }
+  });
+
+  after(async () => {
+    await telegram.close();
+    for (const run of Object.values(runs)) {
+      fs.rmSync(run.home, { recursive: true, force: true });
+    }
+  });
+
+  const backupFiles = (run) => {
+    const backupDir = path.join(run.home, "data", "session-backups");
+    return fs.existsSync(backupDir) ? fs.readdirSync(backupDir) : [];
+  };
+
+  test("snapshots the session before relinking", () => {
+    const { encrypted } = runs;
+    assert.equal(encrypted.code, 0, encrypted.output);
+    assert.ok(
+      backupFiles(encrypted).some((f) =>
+        /^session-wa-agent-.*-before-relink\.tgz$/.test(f),
+      ),
+    );
+  });
+
+  test("takes no snapshot without an encryption key", () => {
+    const { plain } = runs;
+    assert.equal(plain.code, 0, plain.output);
+    assert.deepEqual(backupFiles(plain), []);
+    assert.match(
+      plain.output,
+      /No before-relink session snapshot: encryption is off/,
+    );
+    assert.ok(
+      telegram
+        .texts()
+        .some(
+          (t) =>
+            t.includes("🔒 Encryption required") &&
+            t.includes("ENCRYPTION_KEY"),
+        ),
+    );
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { listRecords } = require("../lib/records");
+const {
+  summarizeRecords,
+  formatSummary,
+  parseStatsPeriod,
+} = require("../lib/stats");
+
+const DAY = 86400e3;
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const RECORDS = [
+  {
+    kind: "deleted",
+    savedAt: NOW - 1000,
+    senderName: "Alice",
+    senderNumber: "111",
+    where: "Private Chat",
+  },
+  {
+    kind: "deleted",
+    savedAt: NOW - 2000,
+    senderName: "Bob",
+    senderNumber: "222",
+    where: "Group: Family",
+    mediaFilename: "a.png",
+  },
+  {
+    kind: "deleted",
+    savedAt: NOW - 3000,
+    senderName: "Bob",
+    senderNumber: "222",
+    where: "Group: Family",
+    messageType: "reaction",
+  },
+  {
+    kind: "viewonce",
+    savedAt: NOW - 4000,
+    senderName: "Alice",
+    senderNumber: "111",
+  },
+  {
+    kind: "edited",
+    savedAt: NOW - 5000,
+    senderName: "Carol",
+    senderNumber: "333",
+  },
+  { kind: "status", savedAt: NOW - 6000, senderName: "Dave" },
+  {
+    kind: "deleted",
+    savedAt: NOW - 10 * DAY,
+    senderName: "Old",
+    where: "Private Chat",
+  },
+];
+
+describe("listRecords", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-agent-records-"));
+    fs.writeFileSync(
+      path.join(dir, `deleted_${NOW - 1000}_Alice.json`),
+      JSON.stringify({ senderName: "Alice" }),
+    );
+    fs.writeFileSync(
+      path.join(dir, `deleted_${NOW - 2000}_Bob.json`),
+      JSON.stringify({ senderName: "Bob" }),
+    );
+    // Unreadable, but outside the range, so never opened
+    fs.writeFileSync(path.join(dir, `deleted_${NOW - 10 * DAY}_Old.json`), "{");
+    fs.writeFileSync(path.join(dir, `edited_${NOW}_Carol.json`), "{}");
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("reads only records inside the range, newest first", () => {
+    const originalError = console.error;
+    const errors = [];
+    console.error = (...args) => errors.push(args.join(" "));
+    try {
+      const records = listRecords(dir, ["deleted"], undefined, {
+        since: NOW - DAY,
+        until: NOW,
+      });
+      assert.deepEqual(
+        records.map((r) => r.senderName),
+        ["Alice", "Bob"],
+      );
+      assert.equal(records[0].savedAt, NOW - 1000);
+      assert.deepEqual(errors, []);
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
+
+describe("summarizeRecords", () => {
+  test("counts and ranks within the period", () => {
+    const summary = summarizeRecords(RECORDS, { since: NOW - DAY });
+    assert.equal(summary.deleted, 3);
+    assert.equal(summary.deletedMedia, 1);
+    assert.equal(summary.reactionsRemoved, 1);
+    assert.equal(summary.viewOnce, 1);
+    assert.equal(summary.edited, 1);
+    assert.equal(summary.statuses, 1);
+    assert.deepEqual(summary.senders, [
+      { label: "Bob (222)", count: 2 },
+      { label: "Alice (111)", count: 1 },
+    ]);
+    assert.deepEqual(summary.groups, [{ label: "Family", count: 2 }]);
+  });
+
+  test("formats a summary with its top entries", () => {
+    const summary = summarizeRecords(RECORDS, { since: NOW - DAY });
+    const text = formatSummary(summary, { top: 1 });
+    assert.match(text, /Deleted: 3 \(1 with media, 1 removed reaction\(s\)\)/);
+    assert.match(text, /Top senders by deletions:\n1\. Bob \(222\) — 2\n\n/);
+    assert.doesNotMatch(text, /Alice \(111\) — 1\n.*Top groups/s);
+  });
+});
+
+describe("parseStatsPeriod", () => {
+  test("defaults to the last 7 days", () => {
+    assert.deepEqual(parseStatsPeriod([], { now: NOW }), {
+      since: NOW - 7 * DAY,
+      until: null,
+      label: "last 7 days",
+    });
+  });
+
+  test("accepts today, relative periods and bounds", () => {
+    const startOfToday = NOW - 12 * 3600e3;
+    assert.equal(
+      parseStatsPeriod(["today"], { now: NOW, startOfToday }).since,
+      startOfToday,
+    );
+    assert.equal(
+      parseStatsPeriod(["24h"], { now: NOW }).label,
+      "last 24 hours",
+    );
+    assert.equal(parseStatsPeriod(["1w"], { now: NOW }).label, "last week");
+    const custom = parseStatsPeriod(["since:2026-10-01", "until:2026-10-02"]);
+    assert.equal(custom.label, "custom range");
+    assert.equal(custom.since, Date.parse("2026-10-01"));
+    assert.equal(custom.until, Date.parse("2026-10-03") - 1);
+  });
+
+  test("reports bad input", () => {
+    assert.match(parseStatsPeriod(["fortnight"]).error, /Unknown period/);
+    assert.match(parseStatsPeriod(["since:soon"]).error, /Invalid date/);
+  });
+});
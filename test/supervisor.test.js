@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createSupervisor,
+  classifyDisconnect,
+  RECONNECT_STATES,
+} = require("../lib/supervisor");
+
+function supervisorWith(overrides = {}) {
+  const calls = { restart: 0, relink: 0, notified: [] };
+  const supervisor = createSupervisor({
+    restart: async () => calls.restart++,
+    relink: async () => {
+      calls.relink++;
+      await new Promise((r) => setTimeout(r, 10));
+    },
+    probe: async () => "CONNECTED",
+    isPairing: () => false,
+    notify: async (event) => calls.notified.push(event),
+    baseDelayMs: 5,
+    ...overrides,
+  });
+  return { supervisor, calls };
+}
+
+test("classifies disconnect reasons", () => {
+  assert.equal(classifyDisconnect("UNPAIRED"), "logout");
+  assert.equal(classifyDisconnect("TOS_BLOCK"), "fatal");
+  assert.equal(classifyDisconnect("CONFLICT"), "transient");
+  assert.equal(classifyDisconnect(undefined), "transient");
+});
+
+test("reconnects on CONFLICT and TIMEOUT states", async () => {
+  for (const state of ["CONFLICT", "TIMEOUT"]) {
+    assert.ok(RECONNECT_STATES.includes(state));
+    const { supervisor, calls } = supervisorWith();
+    supervisor.onReady();
+    await supervisor.onDisconnected(state);
+    assert.equal(supervisor.status().state, "reconnecting");
+    await new Promise((r) => setTimeout(r, 30));
+    assert.equal(calls.restart, 1);
+    assert.equal(calls.relink, 0);
+    supervisor.stop();
+  }
+});
+
+test("relinks once when a logout is reported twice", async () => {
+  const { supervisor, calls } = supervisorWith();
+  supervisor.onReady();
+  // change_state and then "disconnected" for the same logout
+  await Promise.all([
+    supervisor.onDisconnected("UNPAIRED"),
+    supervisor.onDisconnected("UNPAIRED"),
+  ]);
+  assert.equal(calls.relink, 1);
+  assert.equal(calls.notified.length, 1);
+
+  // A later logout is handled again
+  await supervisor.onDisconnected("LOGOUT");
+  assert.equal(calls.relink, 2);
+  supervisor.stop();
+});
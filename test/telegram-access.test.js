@@ -0,0 +1,123 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startFakeTelegram } = require("./helpers/fake-telegram");
+const { runAgent } = require("./helpers/run-agent");
+
+const FIXTURE = path.join(__dirname, "fixtures", "capture.jsonl");
+const VIEWER = "77";
+const FAMILY_GROUP = "-100500";
+const STRANGER = "99";
+
+describe("Telegram roles and routing", () => {
+  let telegram;
+  let run;
+
+  before(async () => {
+    let asked = false;
+    telegram = await startFakeTelegram({
+      // Both deletions are saved once Bob's reaches the Family group
+      onCall: (call) => {
+        if (
+          !asked &&
+          String(call.fields.chat_id) === FAMILY_GROUP &&
+          /Deleted by Bob/.test(call.fields.text)
+        ) {
+          asked = true;
+          telegram.sendCommand("/search at", { chat: VIEWER });
+          telegram.sendCommand("/stats", { chat: VIEWER });
+          telegram.sendCommand("/config get", { chat: VIEWER });
+        }
+      },
+    });
+    telegram.sendCommand("/rebuild_it fresh", { chat: VIEWER });
+    telegram.sendCommand("/recent", { chat: VIEWER });
+    telegram.sendCommand("/status", { chat: STRANGER });
+    telegram.sendCommand("/config set puppeteerArgs --renderer-cmd-prefix=id");
+    telegram.sendCommand("/config set maxMediaSizeMb 20");
+    run = await runAgent({
+      fixture: FIXTURE,
+      telegram,
+      env: {
+        TELEGRAM_CHATS: `${VIEWER}=viewer`,
+        TELEGRAM_ROUTES: `Family=${FAMILY_GROUP}/9,*=${VIEWER}`,
+      },
+    });
+  });
+
+  after(async () => {
+    await telegram.close();
+    if (run) fs.rmSync(run.home, { recursive: true, force: true });
+  });
+
+  test("routes a group's alerts to its forum topic", () => {
+    assert.equal(run.code, 0, run.output);
+    const toGroup = telegram.calls.filter(
+      (c) => String(c.fields.chat_id) === FAMILY_GROUP,
+    );
+    assert.ok(
+      toGroup.some(
+        (c) =>
+          c.method === "sendMessage" && /Deleted by Bob/.test(c.fields.text),
+      ),
+    );
+    assert.ok(toGroup.some((c) => c.method === "sendPhoto"));
+    for (const call of toGroup) {
+      assert.equal(String(call.fields.message_thread_id), "9");
+    }
+  });
+
+  test("sends other chats' alerts to the catch-all", () => {
+    assert.ok(telegram.texts(VIEWER).some((t) => /deleted by Alice/i.test(t)));
+    assert.ok(!telegram.texts(telegram.chatId).some((t) => /Alice/.test(t)));
+  });
+
+  test("keeps connection events in TELEGRAM_CHAT_ID", () => {
+    assert.ok(
+      telegram
+        .texts(telegram.chatId)
+        .some((t) => t.includes("Your code: ABCD1234")),
+    );
+  });
+
+  test("lets viewers search but not reconnect", () => {
+    const replies = telegram.texts(VIEWER);
+    assert.ok(replies.some((t) => t.includes("🔒 Admins only")));
+    assert.ok(replies.some((t) => t.includes("🗂️ Last 10 deleted")));
+    assert.doesNotMatch(run.output, /Re-authenticating/);
+  });
+
+  test("shows viewers only the chats routed to them", () => {
+    const replies = telegram.texts(VIEWER);
+    const search = replies.find((t) => t.includes("🔎 /search at"));
+    assert.ok(search, "search reply");
+    assert.match(search, /Meet at 6/);
+    assert.doesNotMatch(search, /look at this/);
+    const stats = replies.find((t) => t.includes("📊 Stats"));
+    assert.ok(stats, "stats reply");
+    assert.doesNotMatch(stats, /Family|Bob/);
+  });
+
+  test("keeps /config from viewers", () => {
+    const replies = telegram.texts(VIEWER);
+    assert.ok(replies.some((t) => /\/config needs an admin/.test(t)));
+    assert.ok(!replies.some((t) => t.includes("telegramChats")));
+  });
+
+  test("keeps Chrome flags out of /config set", () => {
+    const replies = telegram.texts(telegram.chatId);
+    assert.ok(
+      replies.some((t) =>
+        /Not settable here[\s\S]*puppeteerArgs can only be changed/.test(t),
+      ),
+    );
+    assert.ok(replies.some((t) => t.includes("maxMediaSizeMb = 20")));
+    const configPath = path.join(run.home, "config.json");
+    assert.doesNotMatch(fs.readFileSync(configPath, "utf8"), /renderer/);
+  });
+
+  test("ignores chats that are not listed", () => {
+    assert.deepEqual(telegram.texts(STRANGER), []);
+  });
+});